@@ -0,0 +1,613 @@
+/**
+ * Instagram Feed
+ *
+ * Shows an Instagram account's latest posts as cards, the way YouTubeChannelVideos (youtube-api.js)
+ * shows videos, with the helpers of youtube-dom.js and youtube-cache.js.
+ *
+ * Features:
+ * - Reads posts from a JSON endpoint: the /api/instagram proxy (netlify/functions/instagram.js),
+ *   which keeps the access token on the server, or any file with the same { posts: [...] } shape
+ * - Stale-while-revalidate cache in IndexedDB (see youtube-cache.js)
+ * - Falls back to a generated snapshot (assets/data/fallback-instagram.json, refreshed on each
+ *   deploy by scripts/update-fallback-instagram.js), then to a link to the profile
+ * - Real thumbnails and captions in RTL cards; video and album posts are marked
+ * - Builds its markup without parsing captions as HTML, and only links to Instagram and this site
+ * - Text and dates in the feed's locale, from the catalogue of youtube-i18n.js (locale and messages
+ *   options, data-locale and data-messages)
+ * - Starts itself from <div data-instagram-feed ...> markup
+ */
+
+import {
+    youtubeStaticHTML,
+    parseYouTubeWidgetUrl,
+    isHttpYouTubeWidgetUrl,
+    createYouTubeElement,
+    createYouTubeIcon,
+    addYouTubeStyleSheet
+} from './youtube-dom.js';
+import { YOUTUBE_DEFAULT_LOCALE, YouTubeMessages } from './youtube-i18n.js';
+import { YouTubeVideoCache } from './youtube-cache.js';
+
+// Instagram's pages and its image CDNs, with their subdomains; post links and thumbnails must point to
+// one of them or to this site. Only the feed's own elements may use them (see getInstagramOrigins).
+const INSTAGRAM_ALLOWED_HOSTS = ['instagram.com', 'cdninstagram.com', 'fbcdn.net'];
+
+// Bump when the shape of cached posts changes; older entries are then ignored and deleted
+const INSTAGRAM_CACHE_SCHEMA_VERSION = 1;
+
+// Post types, as written by netlify/lib/instagram-data.js
+const INSTAGRAM_POST_TYPES = ['image', 'video', 'carousel'];
+
+// Running feeds by container element, so markup is only initialized once
+const instagramFeedInstances = new Map();
+
+/**
+ * Whether a URL is an http(s) URL on Instagram or this site
+ */
+const isInstagramFeedUrl = url => {
+    if (!isHttpYouTubeWidgetUrl(url)) return false;
+
+    const parsed = parseYouTubeWidgetUrl(url);
+    const host = parsed.hostname.toLowerCase();
+    return parsed.origin === window.location.origin
+        || INSTAGRAM_ALLOWED_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+};
+
+/**
+ * The origins of Instagram URLs, for createYouTubeElement's origins; YouTube's allowlist stays as it is
+ */
+const getInstagramOrigins = (...urls) => new Set(urls
+    .filter(isInstagramFeedUrl)
+    .map(url => parseYouTubeWidgetUrl(url).origin));
+
+class InstagramFeed {
+    constructor(options) {
+        this.options = {
+            endpoint: '/api/instagram', // URL of the posts: the proxy, or a JSON file with { posts: [...] }
+            fallbackUrl: '', // URL of a fallback-instagram.json snapshot, used when the endpoint fails
+            profileUrl: 'https://www.instagram.com/alaantv/', // The account's profile, linked below the posts
+            maxPosts: 6, // Number of posts to display
+            containerSelector: '#instagram-feed', // Container element
+            container: null, // Container element itself; takes precedence over containerSelector
+            cacheExpiration: 1800, // Seconds before cached posts are revalidated (they are still shown meanwhile)
+            requestTimeout: 10, // Seconds before a request is aborted
+            locale: YOUTUBE_DEFAULT_LOCALE, // Language of the feed's text and dates (see youtube-i18n.js)
+            messages: {}, // Strings replacing the locale's, e.g. { 'instagram.viewMore': '...' }
+            ...options
+        };
+        this.messages = new YouTubeMessages(this.options.locale, this.options.messages);
+
+        this.container = this.options.container || document.querySelector(this.options.containerSelector);
+        this.destroyed = false;
+        this.cache = new YouTubeVideoCache({
+            dbName: 'instagram-posts',
+            keyPrefix: 'instagram-posts-',
+            schemaVersion: INSTAGRAM_CACHE_SCHEMA_VERSION
+        });
+        this.cacheKey = `instagram-posts-${this.options.endpoint}-${this.options.maxPosts}`;
+        this.posts = [];
+    }
+
+    /**
+     * Create a feed from a container's data attributes
+     * <div data-instagram-feed data-endpoint="/api/instagram" data-max="6"
+     *      data-fallback="assets/data/fallback-instagram.json"></div>
+     */
+    static fromElement(element, defaults = InstagramFeed.feedDefaults) {
+        const data = element.dataset;
+        const options = { ...defaults, container: element };
+
+        if (data.endpoint) options.endpoint = data.endpoint;
+        if (data.fallback) options.fallbackUrl = data.fallback;
+        if (data.profile) options.profileUrl = data.profile;
+        if (data.max) options.maxPosts = parseInt(data.max, 10);
+        if (data.cache) options.cacheExpiration = parseInt(data.cache, 10);
+        if (data.locale) options.locale = data.locale;
+        if (data.messages) {
+            try {
+                options.messages = JSON.parse(data.messages);
+            } catch (error) {
+                console.error('Invalid JSON in data-messages:', error);
+            }
+        }
+
+        return new InstagramFeed(options);
+    }
+
+    /**
+     * Start a feed for every [data-instagram-feed] element in root (or root itself) that isn't running yet
+     */
+    static autoInit(root = document) {
+        const elements = [];
+        if (root.matches && root.matches('[data-instagram-feed]')) {
+            elements.push(root);
+        }
+        if (root.querySelectorAll) {
+            elements.push(...root.querySelectorAll('[data-instagram-feed]'));
+        }
+
+        return elements
+            .filter(element => !instagramFeedInstances.has(element))
+            .map(element => {
+                const feed = InstagramFeed.fromElement(element);
+                feed.init();
+                return feed;
+            });
+    }
+
+    /**
+     * Get the feed running in a container element, if any
+     */
+    static getInstance(element) {
+        return instagramFeedInstances.get(element) || null;
+    }
+
+    /**
+     * Initialize the feed
+     */
+    init() {
+        if (!this.container) {
+            console.error('Instagram container element not found');
+            return;
+        }
+
+        if (!this.options.endpoint && !this.options.fallbackUrl) {
+            console.error('An Instagram endpoint or fallback file is required');
+            return;
+        }
+
+        if (instagramFeedInstances.has(this.container)) {
+            console.error('An Instagram feed is already running in this container');
+            return;
+        }
+        instagramFeedInstances.set(this.container, this);
+
+        this.container.setAttribute('lang', this.messages.locale);
+        this.container.setAttribute('dir', this.messages.dir);
+        this.loadPosts();
+    }
+
+    /**
+     * Stop the feed and empty its container; requests still in flight are ignored when they finish
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        if (this.container) {
+            this.container.replaceChildren();
+            this.container.removeAttribute('aria-busy');
+            if (instagramFeedInstances.get(this.container) === this) {
+                instagramFeedInstances.delete(this.container);
+            }
+        }
+        this.posts = [];
+    }
+
+    /**
+     * Show cached posts at once, then fetch fresh ones if the cache is missing or stale
+     * When the endpoint fails, cached posts stay on screen; without them the snapshot is shown.
+     */
+    async loadPosts() {
+        const cached = await this.getFromCache();
+        if (this.destroyed) return;
+
+        if (cached) {
+            this.renderPosts(cached.posts);
+            if (!cached.stale) return;
+        } else {
+            this.showLoading();
+        }
+
+        try {
+            const posts = this.options.endpoint ? await this.fetchPosts() : [];
+            if (this.destroyed) return;
+
+            if (posts.length > 0) {
+                this.saveToCache(posts);
+                if (!cached || this.havePostsChanged(cached.posts, posts)) {
+                    this.renderPosts(posts);
+                }
+                return;
+            }
+        } catch (error) {
+            console.error('Error fetching Instagram posts:', error);
+        }
+
+        if (this.destroyed || cached) return;
+
+        const fallbackPosts = await this.loadFallbackPosts();
+        if (this.destroyed) return;
+
+        if (fallbackPosts.length > 0) {
+            console.log('Using fallback Instagram posts');
+            this.renderPosts(fallbackPosts);
+        } else {
+            this.showError();
+        }
+    }
+
+    /**
+     * Fetch a URL and parse its JSON, aborting after requestTimeout seconds
+     */
+    async fetchJson(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.requestTimeout * 1000);
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                const error = new Error(`Failed to fetch ${url}`);
+                error.status = response.status;
+                throw error;
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Fetch the latest posts from the endpoint
+     */
+    async fetchPosts() {
+        const separator = this.options.endpoint.includes('?') ? '&' : '?';
+        const data = await this.fetchJson(`${this.options.endpoint}${separator}limit=${this.options.maxPosts}`);
+        return this.getValidPosts(data, 'from the endpoint');
+    }
+
+    /**
+     * Read the posts of the fallbackUrl snapshot
+     */
+    async loadFallbackPosts() {
+        if (!this.options.fallbackUrl) return [];
+
+        try {
+            return this.getValidPosts(await this.fetchJson(this.options.fallbackUrl), 'in the fallback file');
+        } catch (error) {
+            console.error('Error loading fallback Instagram posts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * The displayable posts of an endpoint or snapshot response, logging the others
+     * A post needs an Instagram (or same-site) link and thumbnail. The response's profileUrl
+     * replaces the profileUrl option.
+     */
+    getValidPosts(data, label) {
+        if (data && data.profileUrl && isInstagramFeedUrl(data.profileUrl)) {
+            this.options.profileUrl = data.profileUrl;
+        }
+
+        const posts = data && Array.isArray(data.posts) ? data.posts : [];
+        return posts
+            .filter((post, index) => {
+                const valid = post && typeof post === 'object'
+                    && typeof post.id === 'string'
+                    && isInstagramFeedUrl(post.url)
+                    && isInstagramFeedUrl(post.thumbnail);
+                if (!valid) {
+                    console.warn(`Skipping Instagram post ${index} ${label}: it needs an id, url and thumbnail on Instagram`);
+                }
+                return valid;
+            })
+            .map(post => ({
+                id: post.id,
+                type: INSTAGRAM_POST_TYPES.includes(post.type) ? post.type : 'image',
+                caption: typeof post.caption === 'string' ? post.caption : '',
+                thumbnail: post.thumbnail,
+                url: post.url,
+                publishedAt: post.publishedAt || null
+            }))
+            .slice(0, this.options.maxPosts);
+    }
+
+    /**
+     * Whether fresh posts differ from the cached ones in what the cards show
+     */
+    havePostsChanged(cachedPosts, posts) {
+        const describe = list => JSON.stringify(list.map(({ id, caption, thumbnail }) => [id, caption, thumbnail]));
+        return describe(cachedPosts) !== describe(posts);
+    }
+
+    /**
+     * Format a post's date in the feed's locale, e.g. "٨ سبتمبر"
+     */
+    formatDate(date) {
+        const time = new Date(date);
+        if (!date || Number.isNaN(time.getTime())) return '';
+
+        const sameYear = time.getFullYear() === new Date().getFullYear();
+        return time.toLocaleDateString(this.messages.formatLocale, sameYear
+            ? { day: 'numeric', month: 'long' }
+            : { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    /**
+     * Render posts as a grid of cards, followed by the profile link
+     */
+    renderPosts(posts) {
+        if (this.destroyed) return;
+        this.posts = posts;
+
+        this.container.removeAttribute('aria-busy');
+        this.container.replaceChildren(
+            createYouTubeElement('div', { className: 'instagram-posts-grid', role: 'list', dir: this.messages.dir }, posts.map(post => (
+                createYouTubeElement('div', { className: 'instagram-post-item', role: 'listitem' }, [this.createCard(post)])
+            ))),
+            this.renderProfileLink()
+        );
+    }
+
+    /**
+     * A post card: its thumbnail, type badge, caption and date, linking to the post on Instagram
+     */
+    createCard(post) {
+        // A shown caption already names the link, so the image only needs alt text without one
+        const image = createYouTubeElement('img', {
+            src: post.thumbnail,
+            origins: getInstagramOrigins(post.thumbnail),
+            alt: post.caption ? '' : this.messages.t('instagram.post'),
+            className: 'instagram-post-thumbnail',
+            loading: 'lazy'
+        });
+        const thumbnail = createYouTubeElement('div', { className: 'instagram-post-thumbnail-container' }, [
+            image,
+            post.type === 'video' ? createYouTubeIcon('play', 48, { class: 'instagram-post-badge instagram-post-play' }) : null,
+            post.type === 'carousel' ? createYouTubeIcon('album', 20, { class: 'instagram-post-badge instagram-post-album' }) : null
+        ]);
+
+        // Instagram's image URLs expire; a snapshot can outlive them, so keep the caption and drop the image
+        image.addEventListener('error', () => {
+            image.remove();
+            thumbnail.classList.add('instagram-post-no-image');
+            thumbnail.prepend(createYouTubeIcon('instagram', 40, { class: 'instagram-post-placeholder' }));
+        }, { once: true });
+
+        const date = this.formatDate(post.publishedAt);
+        return createYouTubeElement('a', {
+            href: post.url,
+            origins: getInstagramOrigins(post.url),
+            target: '_blank',
+            rel: 'noopener',
+            className: 'instagram-post'
+        }, [
+            thumbnail,
+            createYouTubeElement('div', { className: 'instagram-post-info' }, [
+                post.caption ? createYouTubeElement('p', { className: 'instagram-post-caption', text: post.caption }) : null,
+                date ? createYouTubeElement('time', { className: 'instagram-post-date', datetime: post.publishedAt, text: date }) : null
+            ]),
+            this.renderNewWindowHint()
+        ]);
+    }
+
+    /**
+     * Link to the account's profile
+     */
+    renderProfileLink() {
+        return createYouTubeElement('a', {
+            href: this.options.profileUrl,
+            origins: getInstagramOrigins(this.options.profileUrl),
+            target: '_blank',
+            rel: 'noopener',
+            className: 'instagram-profile-link'
+        }, [
+            createYouTubeIcon('instagram', 18),
+            this.messages.t('instagram.viewMore'),
+            this.renderNewWindowHint()
+        ]);
+    }
+
+    /**
+     * Screen reader text for links that open in a new window (target="_blank")
+     */
+    renderNewWindowHint() {
+        return createYouTubeElement('span', { className: 'youtube-visually-hidden', text: ` ${this.messages.t('newWindow')}` });
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading() {
+        if (this.destroyed) return;
+
+        this.container.setAttribute('aria-busy', 'true');
+        this.container.innerHTML = youtubeStaticHTML(`
+            <div class="youtube-loading">
+                <div class="youtube-loading-spinner"></div>
+            </div>
+        `);
+        this.container.querySelector('.youtube-loading').appendChild(createYouTubeElement('p', {
+            role: 'status',
+            text: this.messages.t('instagram.loading')
+        }));
+    }
+
+    /**
+     * Show that no posts could be loaded, with the profile link
+     */
+    showError() {
+        if (this.destroyed) return;
+
+        this.container.removeAttribute('aria-busy');
+        this.container.replaceChildren(createYouTubeElement('div', { className: 'instagram-error', role: 'alert' }, [
+            createYouTubeIcon('instagram', 24),
+            createYouTubeElement('p', { text: this.messages.t('instagram.error') }),
+            this.renderProfileLink()
+        ]));
+    }
+
+    /**
+     * Cache posts under the feed's key
+     */
+    saveToCache(posts) {
+        return this.cache.set(this.cacheKey, { posts });
+    }
+
+    /**
+     * Get cached posts as { posts, stale }
+     * Entries are kept past cacheExpiration; stale ones are shown while they are revalidated.
+     */
+    async getFromCache() {
+        const entry = await this.cache.get(this.cacheKey);
+        if (!entry || !entry.data || !Array.isArray(entry.data.posts) || entry.data.posts.length === 0) {
+            return null;
+        }
+
+        return {
+            posts: entry.data.posts,
+            stale: Date.now() > entry.timestamp + (this.options.cacheExpiration * 1000)
+        };
+    }
+}
+
+// Add CSS styles
+const addInstagramStyles = () => {
+    addYouTubeStyleSheet('instagram-feed-styles', `
+        .instagram-posts-grid {
+            display: grid;
+            grid-template-columns: repeat(3, 1fr);
+            gap: 15px;
+            margin-top: 15px;
+        }
+
+        @media (max-width: 768px) {
+            .instagram-posts-grid {
+                grid-template-columns: repeat(2, 1fr);
+            }
+        }
+
+        .instagram-post {
+            display: block;
+            border-radius: 8px;
+            overflow: hidden;
+            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+            color: inherit;
+            text-decoration: none;
+            transition: transform 0.2s ease, box-shadow 0.2s ease;
+        }
+
+        .instagram-post:hover {
+            transform: translateY(-5px);
+            box-shadow: 0 5px 15px rgba(0, 0, 0, 0.2);
+        }
+
+        @media (prefers-reduced-motion: reduce) {
+            .instagram-post {
+                transition: none;
+            }
+
+            .instagram-post:hover {
+                transform: none;
+            }
+        }
+
+        .instagram-post:focus-visible,
+        .instagram-profile-link:focus-visible {
+            outline: 2px solid #fff;
+            outline-offset: 2px;
+        }
+
+        .instagram-post-thumbnail-container {
+            position: relative;
+            padding-top: 100%; /* Square, as on Instagram */
+            background: linear-gradient(45deg, #f09433, #dc2743 50%, #bc1888);
+        }
+
+        .instagram-post-thumbnail {
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+        }
+
+        .instagram-post-play {
+            position: absolute;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            opacity: 0.8;
+        }
+
+        .instagram-post-album {
+            position: absolute;
+            top: 8px;
+            left: 8px;
+            color: #fff;
+            filter: drop-shadow(0 1px 2px rgba(0, 0, 0, 0.6));
+        }
+
+        .instagram-post-placeholder {
+            position: absolute;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            color: #fff;
+        }
+
+        .instagram-post-info {
+            padding: 12px;
+            background-color: #111;
+            text-align: right;
+        }
+
+        .instagram-post-caption {
+            margin: 0 0 8px 0;
+            font-size: 14px;
+            line-height: 1.4;
+            display: -webkit-box;
+            -webkit-line-clamp: 2;
+            -webkit-box-orient: vertical;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            overflow-wrap: anywhere;
+        }
+
+        .instagram-post-date {
+            color: #aaa;
+            font-size: 13px;
+        }
+
+        .instagram-profile-link {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 8px;
+            margin-top: 15px;
+            padding: 10px 16px;
+            border-radius: 4px;
+            background: linear-gradient(45deg, #f09433, #dc2743 50%, #bc1888);
+            color: #fff;
+            font-weight: 500;
+            text-decoration: none;
+        }
+
+        .instagram-error {
+            text-align: center;
+            padding: 40px 0;
+            color: #666;
+        }
+
+        .instagram-error svg {
+            color: #dc2743;
+        }
+    `);
+};
+
+// Options for feeds started from data-instagram-feed markup; data attributes override them
+InstagramFeed.feedDefaults = {
+    endpoint: '/api/instagram' // The site's proxy (netlify/functions/instagram.js)
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    addInstagramStyles();
+    InstagramFeed.autoInit();
+});
+
+export {
+    InstagramFeed
+};
@@ -0,0 +1,288 @@
+/**
+ * YouTube Widget Analytics
+ *
+ * Viewer engagement events for YouTubeChannelVideos (see youtube-api.js), turned on with its
+ * `analytics` option or the data-analytics attribute.
+ *
+ * Events, each { type, widgetId, timestamp, ...details }:
+ * - render: videos were shown; source ('api', 'cache' or 'fallback'), loadTime in ms since the load
+ *   started, videos (how many), tab (its label), and for the fallback list the reason ('empty' or
+ *   the error's kind)
+ * - error: a request failed; context, kind, reason and status (see youtube-errors.js)
+ * - impression: a card was at least half visible, once per video and list; the video's details
+ * - click: a card was clicked; the video's details
+ * - view_more: the "view more" button or link was clicked; action ('load_more' or 'channel') and
+ *   shown (how many videos were on screen)
+ * A video's details are videoId, title, position (1-based, in reading order), list ('feed' or
+ * 'search'), editorial, short and source (the source's label, or null).
+ *
+ * Events go to sinks, listed in the analytics option:
+ * - 'event': a bubbling CustomEvent named youtube:<type> on the container, with the event as detail
+ * - { type: 'beacon', url, delay }: batched POSTs of { events: [...] } with navigator.sendBeacon,
+ *   sent `delay` ms after the first queued event (default 2000) and when the page is hidden
+ * - { type: 'dataLayer', name }: pushes { event: 'youtube_<type>', youtubeWidget: event } to
+ *   window.dataLayer (or window[name]) for Google Tag Manager
+ * - a function, called with (event, widget)
+ * More can be added with YouTubeChannelVideos.registerAnalyticsSink(name, (options, widget) => sink).
+ *
+ * Nothing is sent without consent: analyticsConsent is false by default and can be true or a function
+ * asked before every event, e.g. () => window.cookieConsent.analytics. Events without consent are
+ * dropped on purpose, not queued until consent is given: consent covers what happens after it, so a
+ * card seen before it is not reported later, even if it stays on screen.
+ */
+
+// Sink factories by name: (options, widget) → function(event, widget), optionally with a destroy() method
+const youtubeAnalyticsSinks = new Map();
+
+// Share of a card that must be visible to count as an impression
+const YOUTUBE_IMPRESSION_THRESHOLD = 0.5;
+
+class YouTubeWidgetAnalytics {
+    constructor(widget) {
+        this.widget = widget;
+        this.sinks = YouTubeWidgetAnalytics.createSinks(widget.options.analytics, widget);
+        this.seen = new Set(); // list:videoId of the impressions already sent
+        this.observed = new WeakSet(); // Cards the impression observer already watches
+        this.observer = null;
+
+        this.handleClick = this.handleClick.bind(this);
+    }
+
+    /**
+     * Make a sink available under a name
+     */
+    static registerSink(name, createSink) {
+        youtubeAnalyticsSinks.set(name, createSink);
+    }
+
+    /**
+     * Turn the analytics option's entries ('event', { type: 'beacon', url }, functions) into sinks
+     * Unknown or misconfigured entries are logged and skipped.
+     */
+    static createSinks(entries, widget) {
+        return (Array.isArray(entries) ? entries : [entries]).filter(Boolean).map(entry => {
+            if (typeof entry === 'function') return entry;
+
+            const { type, ...options } = typeof entry === 'string' ? { type: entry } : entry;
+            const createSink = youtubeAnalyticsSinks.get(type);
+            if (!createSink) {
+                console.error(`Unknown YouTube analytics sink "${type}"`);
+                return null;
+            }
+
+            try {
+                return createSink(options, widget);
+            } catch (error) {
+                console.error(`Invalid YouTube analytics sink "${type}":`, error);
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    /**
+     * Whether there is anywhere to send events
+     */
+    get enabled() {
+        return this.sinks.length > 0;
+    }
+
+    /**
+     * Whether the viewer agreed to analytics, from the analyticsConsent option
+     */
+    hasConsent() {
+        const consent = this.widget.options.analyticsConsent;
+        try {
+            return Boolean(typeof consent === 'function' ? consent() : consent);
+        } catch (error) {
+            console.error('Error checking analytics consent:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Send an event to every sink, if the viewer consented
+     */
+    track(type, details = {}) {
+        if (!this.enabled || this.widget.destroyed || !this.hasConsent()) return;
+
+        const event = {
+            type,
+            widgetId: this.widget.widgetId,
+            timestamp: new Date().toISOString(),
+            ...details
+        };
+
+        this.sinks.forEach(sink => {
+            try {
+                sink(event, this.widget);
+            } catch (error) {
+                console.error(`Error sending the YouTube analytics event "${type}":`, error);
+            }
+        });
+    }
+
+    /**
+     * Listen for clicks on the cards and "view more" in the container and the search results
+     */
+    attach() {
+        if (!this.enabled) return;
+
+        this.widget.container.addEventListener('click', this.handleClick);
+        if (this.widget.search) {
+            this.widget.search.element.addEventListener('click', this.handleClick);
+        }
+    }
+
+    /**
+     * The list a card belongs to and its videos: the widget's own, or the search results
+     */
+    getList(element) {
+        const { container, search } = this.widget;
+        if (container.contains(element)) return { list: 'feed', videos: this.widget.renderedVideos };
+        if (search && search.element.contains(element)) return { list: 'search', videos: search.results };
+        return null;
+    }
+
+    /**
+     * A video's details for impression and click events
+     */
+    describeVideo(video, index, list) {
+        return {
+            videoId: video.id,
+            title: video.title,
+            position: index + 1,
+            list,
+            editorial: Boolean(video.editorial),
+            short: Boolean(video.isShort),
+            source: (video.source && video.source.label) || null
+        };
+    }
+
+    handleClick(event) {
+        const viewMore = event.target.closest('.youtube-view-more-btn');
+        if (viewMore) {
+            this.track('view_more', {
+                action: viewMore.matches('button') ? 'load_more' : 'channel',
+                shown: this.widget.renderedVideos.length
+            });
+            return;
+        }
+
+        const link = event.target.closest('.youtube-video-link[data-video-index]');
+        const found = link && this.getList(link);
+        if (!found) return;
+
+        const index = Number(link.dataset.videoIndex);
+        const video = found.videos[index];
+        if (video) {
+            this.track('click', this.describeVideo(video, index, found.list));
+        }
+    }
+
+    /**
+     * Count the cards inside root as impressions once they are half visible
+     * Called after every render; cards already watched are skipped.
+     */
+    observeCards(root) {
+        if (!this.enabled || !root || typeof IntersectionObserver === 'undefined') return;
+
+        if (!this.observer) {
+            this.observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.observer.unobserve(entry.target);
+                    this.trackImpression(entry.target);
+                });
+            }, { threshold: YOUTUBE_IMPRESSION_THRESHOLD });
+        }
+
+        root.querySelectorAll('.youtube-video-link[data-video-index]').forEach(link => {
+            if (this.observed.has(link)) return;
+            this.observed.add(link);
+            this.observer.observe(link);
+        });
+    }
+
+    /**
+     * Report a card that came into view, once; without consent the impression is dropped for good
+     */
+    trackImpression(link) {
+        const found = this.getList(link);
+        if (!found) return;
+
+        const index = Number(link.dataset.videoIndex);
+        const video = found.videos[index];
+        const key = video && `${found.list}:${video.id}`;
+        if (!video || this.seen.has(key) || !this.hasConsent()) return;
+
+        this.seen.add(key);
+        this.track('impression', this.describeVideo(video, index, found.list));
+    }
+
+    /**
+     * Stop watching cards, remove the listeners and let the sinks send what they queued
+     */
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        const { container, search } = this.widget;
+        if (container) container.removeEventListener('click', this.handleClick);
+        if (search) search.element.removeEventListener('click', this.handleClick);
+
+        this.sinks.forEach(sink => {
+            if (typeof sink.destroy === 'function') sink.destroy();
+        });
+        this.sinks = [];
+    }
+}
+
+YouTubeWidgetAnalytics.registerSink('event', (options, widget) => event => {
+    widget.container.dispatchEvent(new CustomEvent(`youtube:${event.type}`, { bubbles: true, detail: event }));
+});
+
+YouTubeWidgetAnalytics.registerSink('beacon', ({ url, delay = 2000 }) => {
+    if (!url) throw new Error('url is required');
+
+    let queue = [];
+    let timer = null;
+
+    const flush = () => {
+        clearTimeout(timer);
+        timer = null;
+        if (queue.length === 0) return;
+
+        // A plain string is sent as text/plain, which needs no CORS preflight
+        const body = JSON.stringify({ events: queue });
+        queue = [];
+        if (navigator.sendBeacon && navigator.sendBeacon(url, body)) return;
+        fetch(url, { method: 'POST', body, keepalive: true }).catch(() => {});
+    };
+
+    // The last events of a visit are sent while the page is being hidden or closed
+    const handleVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') flush();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    const sink = event => {
+        queue.push(event);
+        if (!timer) timer = setTimeout(flush, delay);
+    };
+    sink.destroy = () => {
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        flush();
+    };
+    return sink;
+});
+
+YouTubeWidgetAnalytics.registerSink('dataLayer', ({ name = 'dataLayer' }) => event => {
+    window[name] = window[name] || [];
+    window[name].push({ event: `youtube_${event.type}`, youtubeWidget: event });
+});
+
+export {
+    YouTubeWidgetAnalytics
+};
@@ -4,33 +4,336 @@
  * This script fetches the latest videos from a YouTube channel using the YouTube Data API v3
  * and displays them in a responsive grid layout.
  * 
+ * An ES module: the page loads it with <script type="module" src="assets/js/youtube-api.js">, and it
+ * imports the other widget modules. Page code imports what it uses:
+ *   import { YouTubeChannelVideos } from '/assets/js/youtube-api.js';
+ * 
  * Features:
  * - Fetches latest videos from a specified channel
  * - Displays videos in a responsive grid with thumbnails and titles
  * - Handles API errors gracefully with fallback options from JSON file
+ * - Mixes scheduled editorial entries (promos, also outside YouTube) into the feed at fixed positions
+ *   and hides blocklisted videos
  * - Caches results to reduce API quota usage
  * - Supports custom titles and URLs for fallback videos
  * - Controls featured video display based on JSON configuration
+ * - Plays videos in an on-page player overlay (see youtube-player.js) with #video=<id> deep links
+ * - Detects live and upcoming broadcasts and shows a LIVE hero or a countdown above the grid
+ * - Can fetch through the /api/videos proxy (netlify/functions/videos.js) so no API key ships to browsers
+ * - Merges several channels and playlists into one feed, tagging each video with its source
+ * - Optional show/playlist tabs that load lazily and remember the last selected tab
+ * - In-page "load more" (and optional infinite scroll) driven by the API's nextPageToken
+ * - Shows each video's duration, view count and relative publish date, and flags Shorts
+ * - Shorts can be left in the grid, left out, or shown in their own vertical rail (shortsMode)
+ * - Grid, carousel, list or hero layout, with pluggable layouts and card templates (see youtube-layouts.js)
+ * - Starts itself from <div data-yt-widget ...> markup (also when added later); any number of widgets per page
+ * - Optional search box with show and date filters over the loaded videos, falling back to YouTube's
+ *   search for the channel (see youtube-search.js)
+ * - Builds its markup without parsing titles or URLs from data as HTML, and only links to YouTube
+ *   (see youtube-dom.js); works under an enforced Trusted Types CSP
+ * - Resolves @handles with channels.list?forHandle (checking the handle YouTube answers with) and keeps
+ *   the channel and uploads playlist IDs in localStorage, so uncached loads skip the lookup
+ * - Typed errors by cause (quota, key, unknown channel, offline, timeout, server; see youtube-errors.js),
+ *   request timeouts with retries for transient failures, error messages with a retry button,
+ *   and a debug option that keeps the last errors and request timings
+ * - Arabic or English text, direction and number formatting with the locale option, and single strings
+ *   replaceable with the messages option (see youtube-i18n.js)
+ * - Dark or light theme built on CSS custom properties, with single colours, the radius and the grid
+ *   replaceable per widget with the theme option (see youtube-theme.js); the styles are added once
+ * - Optional engagement events (render source and load time, errors, card impressions and clicks,
+ *   "view more" clicks) to a CustomEvent, a sendBeacon endpoint or the dataLayer, only with the
+ *   viewer's consent (see youtube-analytics.js)
+ * - Stale-while-revalidate cache in IndexedDB (see youtube-cache.js); on quotaExceeded it backs off
+ *   and keeps showing the last good list
+ * - Tells offline viewers that they see saved videos and when those were last updated, and reloads
+ *   a failed or stale feed when the connection returns (sw.js keeps the page itself available)
  */
 
+import {
+    youtubeStaticHTML,
+    youtubeTemplateHTML,
+    parseYouTubeWidgetUrl,
+    isHttpYouTubeWidgetUrl,
+    youtubeSafeUrl,
+    createYouTubeElement,
+    createYouTubeIcon,
+    addYouTubeStyleSheet
+} from './youtube-dom.js';
+import { YOUTUBE_DEFAULT_LOCALE, YouTubeMessages } from './youtube-i18n.js';
+import { YOUTUBE_DEFAULT_THEME, YouTubeTheme } from './youtube-theme.js';
+import {
+    YouTubeWidgetError,
+    YouTubeQuotaError,
+    YouTubeChannelError,
+    createYouTubeError,
+    getYouTubeErrorReason,
+    toYouTubeError
+} from './youtube-errors.js';
+import { YouTubePlayerModal } from './youtube-player.js';
+import { YouTubeVideoCache } from './youtube-cache.js';
+import { YouTubeLayoutRenderer } from './youtube-layouts.js';
+import { normalizeYouTubeSearchText, YouTubeVideoSearch } from './youtube-search.js';
+import {
+    FALLBACK_VIDEOS_SCHEMA_VERSION,
+    migrateFallbackVideos,
+    validateFallbackVideos,
+    selectFallbackVideos
+} from './youtube-fallback.js';
+import { YouTubeWidgetAnalytics } from './youtube-analytics.js';
+
+// Shorts can be up to 3 minutes long, but only vertical videos are Shorts
+const YOUTUBE_SHORTS_MAX_DURATION = 180;
+
+// Without the player's aspect ratio, only videos up to this long are assumed to be Shorts
+const YOUTUBE_SHORTS_MAX_DURATION_UNKNOWN_RATIO = 60;
+
+// Shared by every widget on the page: the quota belongs to the API key, not to one widget
+const YOUTUBE_QUOTA_BACKOFF_KEY = 'youtube-quota-backoff';
+
+// Resolved channels, { [channel]: { channelId, uploadsPlaylistId, resolvedAt } }, shared by every widget
+const YOUTUBE_CHANNELS_KEY = 'youtube-channels';
+
+// Requests and errors kept for getDiagnostics() with the debug option
+const YOUTUBE_DIAGNOSTICS_LIMIT = 20;
+
+// Running widgets by container element, so markup is only initialized once and removed containers are cleaned up
+const youtubeWidgetInstances = new Map();
+
+// Numbers widgets without a container ID, for unique element IDs
+let youtubeWidgetCount = 0;
+
+// The widget that answers #video=<id> deep links; with several widgets only one may open the player
+let youtubeDeepLinkOwner = null;
+
 class YouTubeChannelVideos {
     constructor(options) {
         this.options = {
-            apiKey: '', // YouTube Data API key (required)
+            apiKey: '', // YouTube Data API key (required unless endpoint is set)
+            endpoint: '', // URL of the videos proxy, e.g. '/api/videos'; used instead of calling googleapis.com
             channelId: '', // YouTube channel ID (required)
             channelUsername: '', // Alternative to channelId
+            sources: [], // Several channels and/or playlists to merge instead of a single channel
+                         // Entries can be channel IDs, @handles, playlist IDs or objects:
+                         // [{ type: 'playlist', id: 'PL...', label: 'مأكول الهنا' }]
             maxResults: 10, // Number of videos to display
             containerSelector: '#youtube-api-container', // Container element
-            cacheExpiration: 3600, // Cache expiration in seconds (1 hour)
+            container: null, // Container element itself; takes precedence over containerSelector
+            layout: 'grid', // 'grid', 'carousel', 'list', 'hero' or a registered layout (see youtube-layouts.js)
+            cardTemplate: null, // Content of each card: a registered template name or a function (see youtube-layouts.js)
+            heroInterval: 8, // Seconds between slides in the hero layout; 0 turns auto-advance off
+            cacheExpiration: 3600, // Seconds before cached videos are revalidated (they are still shown meanwhile)
+            channelCacheExpiration: 30 * 24 * 3600, // Seconds a resolved channel ID and uploads playlist ID are kept
+            requestTimeout: 10, // Seconds before a request is aborted
+            retries: 2, // Extra attempts for timeouts, network and server errors
+            retryDelay: 1, // Seconds before the first retry; doubles for each further one
+            quotaBackoff: 900, // Seconds to stop calling the API after quotaExceeded; doubles on each repeat
+            maxQuotaBackoff: 6 * 3600, // Upper limit for the quota backoff in seconds
             featuredVideo: true, // Whether to show the first video as featured (optional)
-            fallbackVideos: [], // Array of fallback videos to use if API fails
-                               // Can be an array of strings (video IDs) or
-                               // an array of objects with id and title properties: [{id: 'videoId', title: 'Custom Title'}]
+            shortsMode: 'include', // 'include' Shorts in the grid, 'exclude' them, or show them in a vertical 'rail'
+            fallbackVideos: [], // Array of fallback videos to use if API fails, as entries of fallback-videos.json:
+                               // [{id: 'videoId', title: 'Custom Title'}] (see fallback-videos.schema.json)
+                               // Invalid entries are logged and skipped
+            fallbackUrl: '', // URL of a fallback-videos.json file to read fallbackVideos (and showFeaturedVideo) from
+            editorialVideos: [], // Entries placed into the channel feed: [{ title, url, thumbnail, position: 1, startAt, endAt }]
+                                 // An entry with id (and no url) is a YouTube video and plays in the overlay
+            editorialUrl: '', // URL of an editorial JSON file, { entries: [...], blocklist: [...] }, added to the two options
+            blocklist: [], // Video IDs never shown, whichever list they come from
+            search: false, // Whether to show a search box with show and date filters above the container
+            remoteSearch: true, // Whether to ask YouTube's search.list (100 quota units) when no loaded video matches
+            tabs: [], // Tabs above the grid: [{ label: 'الأحدث' }, { label: 'مأكول الهنا', playlist: 'PL...' }]
+                      // A tab without playlist/sources shows the widget's own sources
+            loadMore: true, // Whether "view more" loads the next page in place instead of linking to YouTube
+            infiniteScroll: false, // Whether to load the next page automatically when the button scrolls into view
+            playerModal: true, // Whether to play videos in an on-page overlay instead of linking to youtube.com
+            deepLink: true, // Whether the overlay reads and writes #video=<id> in the URL
+            liveDetection: true, // Whether to check the channel for live and upcoming broadcasts
+            liveCheckInterval: 120, // Seconds between live broadcast checks
+            debug: false, // Whether to log requests and keep the last errors and timings (see getDiagnostics)
+            locale: YOUTUBE_DEFAULT_LOCALE, // 'ar' or 'en' (or a locale added with YouTubeMessages.register)
+            messages: {}, // Strings replacing the locale's, by key: { viewMore: 'More episodes' } (see youtube-i18n.js)
+            theme: YOUTUBE_DEFAULT_THEME, // 'dark' or 'light', or { preset, brand, surface, columns, ... } (see youtube-theme.js)
+            analytics: [], // Where to send engagement events: 'event', 'dataLayer', { type: 'beacon', url }, or functions
+                           // (see youtube-analytics.js)
+            analyticsConsent: false, // Whether the viewer agreed to analytics; true/false or a function asked before each event
             ...options
         };
         
-        this.container = document.querySelector(this.options.containerSelector);
-        this.cacheKey = `youtube-videos-${this.options.channelId || this.options.channelUsername}`;
+        this.container = this.options.container || document.querySelector(this.options.containerSelector);
+        this.widgetId = (this.container && this.container.id) || `youtube-widget-${++youtubeWidgetCount}`;
+        // showFeaturedVideo from the fallback file only applies when featuredVideo wasn't set explicitly
+        this.featuredFromFallbackFile = !options || options.featuredVideo === undefined;
+        this.destroyed = false;
+        this.messages = new YouTubeMessages(this.options.locale, this.options.messages);
+        this.theme = new YouTubeTheme(this.options.theme);
+        this.sources = this.getSources();
+        this.cacheKey = this.getCacheKey(this.sources);
+        this.cache = new YouTubeVideoCache();
+        this.fallbackEntries = null; // { source: options.fallbackVideos, videos: its valid entries }
+        this.editorialEntries = null; // { source: options.editorialVideos, videos: video objects of its valid entries }
+        this.editorialOrigins = new Set(); // Origins of the valid entries' links and thumbnails, allowed in this widget only
+        this.search = null; // The search box, with the search option
+        this.remoteSearches = new Map(); // Query and dates → promise of search.list results
+        this.tabs = this.getTabs();
+        this.activeTab = 0;
+        this.tabStorageKey = `youtube-tab-${this.sources.map(source => source.id).join('+')}`;
+        this.tablist = null;
+        this.tabPanel = null;
+        this.paging = new Map(); // cacheKey → { tokens: { sourceId: nextPageToken }, pending: [videos not shown yet] }
+        this.layout = null; // The layout renderer showing the videos
+        this.layoutElement = null;
+        this.shortsRail = null;
+        this.loadMoreElement = null;
+        this.loadMoreObserver = null;
+        this.loadingMore = false;
+        this.renderedVideos = [];
+        this.dataUpdatedAt = null; // When the videos on screen were fetched; null for the fallback list
+        this.offlineBanner = null;
+        this.player = null;
+        this.deepLinkHandled = false;
+        this.channelPromises = new Map(); // Channel → promise of { channelId, uploadsPlaylistId }
+        this.diagnostics = { requests: [], errors: [] }; // Filled with the debug option
+        this.analytics = new YouTubeWidgetAnalytics(this);
+        this.liveBroadcast = null;
+        this.liveElement = null;
+        this.liveTimer = null;
+        this.countdownTimer = null;
+        
+        this.handleContainerClick = this.handleContainerClick.bind(this);
+        this.handleHashChange = this.handleHashChange.bind(this);
+        this.handleConnectionChange = this.handleConnectionChange.bind(this);
+    }
+    
+    /**
+     * Create a widget from a container's data attributes
+     * <div data-yt-widget data-source="@tarfiehplus,PL..." data-layout="grid" data-max="9"
+     *      data-featured="false" data-shorts="rail" data-fallback="assets/data/fallback-videos.json"></div>
+     */
+    static fromElement(element, defaults = YouTubeChannelVideos.widgetDefaults) {
+        const data = element.dataset;
+        const options = { ...defaults, container: element };
+        
+        const readBoolean = value => value === '' || value === 'true';
+        const readJson = (value, name) => {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                console.error(`Invalid JSON in data-${name}:`, error);
+                return undefined;
+            }
+        };
+        
+        if (data.source) {
+            options.sources = data.source.trim().startsWith('[')
+                ? readJson(data.source, 'source')
+                : data.source.split(',').map(source => source.trim()).filter(Boolean);
+        }
+        if (data.tabs) options.tabs = readJson(data.tabs, 'tabs');
+        if (data.layout) options.layout = data.layout;
+        if (data.card) options.cardTemplate = data.card;
+        if (data.max) options.maxResults = parseInt(data.max, 10);
+        if (data.featured !== undefined) options.featuredVideo = readBoolean(data.featured);
+        if (data.shorts) options.shortsMode = data.shorts;
+        if (data.endpoint) options.endpoint = data.endpoint;
+        if (data.cache) options.cacheExpiration = parseInt(data.cache, 10);
+        if (data.fallback) options.fallbackUrl = data.fallback;
+        if (data.editorial) options.editorialUrl = data.editorial;
+        if (data.search !== undefined) options.search = readBoolean(data.search);
+        if (data.blocklist) options.blocklist = data.blocklist.split(',').map(id => id.trim()).filter(Boolean);
+        if (data.live !== undefined) options.liveDetection = readBoolean(data.live);
+        if (data.player !== undefined) options.playerModal = readBoolean(data.player);
+        if (data.loadMore !== undefined) options.loadMore = readBoolean(data.loadMore);
+        if (data.infiniteScroll !== undefined) options.infiniteScroll = readBoolean(data.infiniteScroll);
+        if (data.debug !== undefined) options.debug = readBoolean(data.debug);
+        if (data.locale) options.locale = data.locale;
+        if (data.messages) options.messages = readJson(data.messages, 'messages');
+        if (data.theme) {
+            options.theme = data.theme.trim().startsWith('{') ? readJson(data.theme, 'theme') : data.theme.trim();
+        }
+        if (data.analytics) {
+            options.analytics = data.analytics.trim().startsWith('[')
+                ? readJson(data.analytics, 'analytics')
+                : data.analytics.split(',').map(sink => sink.trim()).filter(Boolean);
+        }
+        if (data.analyticsConsent !== undefined) options.analyticsConsent = readBoolean(data.analyticsConsent);
+        
+        return new YouTubeChannelVideos(options);
+    }
+    
+    /**
+     * Start a widget for every [data-yt-widget] element in root (or root itself) that isn't running yet
+     */
+    static autoInit(root = document) {
+        const elements = [];
+        if (root.matches && root.matches('[data-yt-widget]')) {
+            elements.push(root);
+        }
+        if (root.querySelectorAll) {
+            elements.push(...root.querySelectorAll('[data-yt-widget]'));
+        }
+        
+        return elements
+            .filter(element => !youtubeWidgetInstances.has(element))
+            .map(element => {
+                const widget = YouTubeChannelVideos.fromElement(element);
+                widget.init();
+                return widget;
+            });
+    }
+    
+    /**
+     * Start widgets for [data-yt-widget] elements added to the page later, and destroy
+     * the widgets whose containers are removed
+     */
+    static observe(root = document.documentElement) {
+        if (YouTubeChannelVideos.observer || typeof MutationObserver === 'undefined') return;
+        
+        YouTubeChannelVideos.observer = new MutationObserver(mutations => {
+            let removed = false;
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        YouTubeChannelVideos.autoInit(node);
+                    }
+                });
+                removed = removed || mutation.removedNodes.length > 0;
+            });
+            
+            if (removed) {
+                youtubeWidgetInstances.forEach((widget, element) => {
+                    if (!element.isConnected) widget.destroy();
+                });
+            }
+        });
+        YouTubeChannelVideos.observer.observe(root, { childList: true, subtree: true });
+    }
+    
+    /**
+     * Get the widget running in a container element, if any
+     */
+    static getInstance(element) {
+        return youtubeWidgetInstances.get(element) || null;
+    }
+    
+    /**
+     * Add a layout that widgets can use with layout: name (a YouTubeLayoutRenderer subclass)
+     */
+    static registerLayout(name, Renderer) {
+        YouTubeLayoutRenderer.register(name, Renderer);
+    }
+    
+    /**
+     * Add a card template that widgets can use with cardTemplate: name
+     */
+    static registerCardTemplate(name, template) {
+        YouTubeLayoutRenderer.registerCardTemplate(name, template);
+    }
+    
+    /**
+     * Add an analytics sink that widgets can use with analytics: [name] or [{ type: name, ...options }]
+     * createSink(options, widget) returns a function called with (event, widget).
+     */
+    static registerAnalyticsSink(name, createSink) {
+        YouTubeWidgetAnalytics.registerSink(name, createSink);
     }
     
     /**
@@ -42,394 +345,2390 @@ class YouTubeChannelVideos {
             return;
         }
         
-        if (!this.options.apiKey) {
-            console.error('YouTube API key is required');
+        if (!this.options.apiKey && !this.options.endpoint) {
+            console.error('YouTube API key or proxy endpoint is required');
             return;
         }
         
-        if (!this.options.channelId && !this.options.channelUsername) {
-            console.error('Either channelId or channelUsername is required');
+        if (this.sources.length === 0) {
+            console.error('Either channelId, channelUsername or sources is required');
             return;
         }
         
-        // Try to get videos from cache first
-        const cachedVideos = this.getFromCache();
-        if (cachedVideos) {
-            this.renderVideos(cachedVideos);
+        if (youtubeWidgetInstances.has(this.container)) {
+            console.error('A YouTube widget is already running in this container');
             return;
         }
+        youtubeWidgetInstances.set(this.container, this);
         
-        // Show loading state
-        this.showLoading();
+        addYouTubeStyles();
+        this.container.setAttribute('lang', this.messages.locale);
+        this.container.setAttribute('dir', this.messages.dir);
+        this.theme.apply(this.container);
         
-        // Fetch videos from API
-        this.fetchVideos()
-            .then(videos => {
-                if (videos && videos.length > 0) {
-                    this.saveToCache(videos);
-                    this.renderVideos(videos);
-                } else {
-                    // Try to use fallback videos if available
-                    const fallbackVideos = this.createFallbackVideos();
-                    if (fallbackVideos.length > 0) {
-                        console.log('Using fallback videos');
-                        this.renderVideos(fallbackVideos);
-                    } else {
-                        this.showError('No videos found');
-                    }
-                }
-            })
-            .catch(error => {
-                console.error('Error fetching YouTube videos:', error);
-                
-                // Try to use fallback videos if available
-                const fallbackVideos = this.createFallbackVideos();
-                if (fallbackVideos.length > 0) {
-                    console.log('Using fallback videos due to API error');
-                    this.renderVideos(fallbackVideos);
-                } else {
-                    this.showError('Failed to load videos');
-                }
-            });
+        // A landmark of its own, unless the page already wraps the widget in a labelled section
+        if (!this.container.hasAttribute('role')) {
+            this.container.setAttribute('role', 'region');
+        }
+        if (!this.container.hasAttribute('aria-label') && !this.container.hasAttribute('aria-labelledby')) {
+            this.container.setAttribute('aria-label', this.messages.t('heading'));
+        }
+        
+        if (this.options.search) {
+            this.search = new YouTubeVideoSearch(this);
+            this.search.render();
+        }
+        
+        if (this.options.playerModal) {
+            this.setupPlayerModal();
+        }
+        
+        this.analytics.attach();
+        
+        if (this.options.liveDetection && this.getPrimaryChannel()) {
+            this.startLiveDetection();
+        }
+        
+        if (this.tabs.length > 0) {
+            this.activeTab = this.getSavedTabIndex();
+        }
+        
+        window.addEventListener('online', this.handleConnectionChange);
+        window.addEventListener('offline', this.handleConnectionChange);
+        
+        const filesLoaded = Promise.all([
+            this.options.fallbackUrl ? this.loadFallbackFile() : null,
+            this.options.editorialUrl ? this.loadEditorialFile() : null
+        ]);
+        filesLoaded.then(() => {
+            if (!this.destroyed) this.loadVideos();
+        });
     }
     
     /**
-     * Fetch videos from YouTube API
+     * Stop the widget: remove its listeners, timers, observers and player overlay, and empty its container
+     * Requests still in flight are ignored when they finish.
      */
-    async fetchVideos() {
-        try {
-            // Step 1: Get channel ID if only username is provided
-            let channelId = this.options.channelId;
-            if (!channelId && this.options.channelUsername) {
-                channelId = await this.getChannelIdFromUsername();
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        
+        this.stopLiveDetection();
+        this.clearLayout();
+        this.analytics.destroy();
+        
+        if (this.search) {
+            this.search.destroy();
+            this.search = null;
+        }
+        
+        if (this.loadMoreObserver) {
+            this.loadMoreObserver.disconnect();
+            this.loadMoreObserver = null;
+        }
+        
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleContainerClick);
+            this.container.replaceChildren();
+            this.container.removeAttribute('aria-busy');
+            this.theme.remove(this.container);
+            if (youtubeWidgetInstances.get(this.container) === this) {
+                youtubeWidgetInstances.delete(this.container);
             }
+        }
+        
+        window.removeEventListener('hashchange', this.handleHashChange);
+        window.removeEventListener('online', this.handleConnectionChange);
+        window.removeEventListener('offline', this.handleConnectionChange);
+        if (youtubeDeepLinkOwner === this) {
+            youtubeDeepLinkOwner = null;
+        }
+        
+        if (this.player) {
+            this.player.destroy();
+            this.player = null;
+        }
+        
+        this.tablist = null;
+        this.tabPanel = null;
+        this.liveElement = null;
+        this.loadMoreElement = null;
+        this.offlineBanner = null;
+        this.renderedVideos = [];
+    }
+    
+    /**
+     * Read fallbackVideos (and showFeaturedVideo, unless featuredVideo was set) from the fallbackUrl file
+     */
+    async loadFallbackFile() {
+        try {
+            const contents = await this.request(this.options.fallbackUrl, `Failed to fetch ${this.options.fallbackUrl}`);
             
-            if (!channelId) {
-                throw new Error('Could not determine channel ID');
+            // Older files are upgraded in memory; bad entries are logged and skipped
+            const { data, fromVersion } = migrateFallbackVideos(contents);
+            if (fromVersion < FALLBACK_VIDEOS_SCHEMA_VERSION) {
+                console.warn(`${this.options.fallbackUrl} uses version ${fromVersion} of the fallback format; run scripts/validate-fallback-videos.js --migrate`);
             }
-            
-            // Step 2: Get channel uploads playlist ID
-            const channelResponse = await fetch(
-                `https://www.googleapis.com/youtube/v3/channels?part=contentDetails&id=${channelId}&key=${this.options.apiKey}`
-            );
-            
-            if (!channelResponse.ok) {
-                throw new Error('Failed to fetch channel data');
+            this.options.fallbackVideos = this.getValidFallbackEntries(data, this.options.fallbackUrl);
+            if (this.featuredFromFallbackFile && typeof data.showFeaturedVideo === 'boolean') {
+                this.options.featuredVideo = data.showFeaturedVideo;
             }
-            
-            const channelData = await channelResponse.json();
-            if (!channelData.items || channelData.items.length === 0) {
-                throw new Error('Channel not found');
+        } catch (error) {
+            this.recordError(error, 'Error loading fallback videos');
+        }
+    }
+    
+    /**
+     * Add the entries and blocklist of the editorialUrl file to the editorialVideos and blocklist options
+     */
+    async loadEditorialFile() {
+        try {
+            const data = await this.request(this.options.editorialUrl, `Failed to fetch ${this.options.editorialUrl}`);
+            this.options.editorialVideos = [
+                ...this.options.editorialVideos,
+                ...(Array.isArray(data.entries) ? data.entries : [])
+            ];
+            this.options.blocklist = [
+                ...this.options.blocklist,
+                ...(Array.isArray(data.blocklist) ? data.blocklist.filter(id => typeof id === 'string') : [])
+            ];
+        } catch (error) {
+            this.recordError(error, 'Error loading editorial videos');
+        }
+    }
+    
+    /**
+     * What is wrong with an editorial entry, or null if it can be shown
+     */
+    getEditorialEntryError(entry) {
+        if (!entry || typeof entry !== 'object') return 'must be an object';
+        if (typeof entry.title !== 'string' || entry.title.trim() === '') return 'title is required';
+        if (!Number.isInteger(entry.position) || entry.position < 1) return 'position must be a whole number from 1';
+        if (entry.id !== undefined && !/^[\w-]{11}$/.test(entry.id)) return 'id must be an 11-character YouTube video ID';
+        if (entry.id === undefined && entry.url === undefined) return 'needs an id or a url';
+        if (entry.id === undefined && !entry.thumbnail) return 'thumbnail is required for links outside YouTube';
+        
+        // Editorial data is the site's own, so its links may leave YouTube (but only for http(s) URLs)
+        if (entry.url !== undefined && !isHttpYouTubeWidgetUrl(entry.url)) return 'url must be an http(s) URL';
+        if (entry.thumbnail !== undefined && !isHttpYouTubeWidgetUrl(entry.thumbnail)) return 'thumbnail must be an http(s) URL';
+        
+        for (const key of ['startAt', 'endAt']) {
+            if (entry[key] !== undefined && Number.isNaN(Date.parse(entry[key]))) return `${key} must be an ISO-8601 date`;
+        }
+        if (entry.startAt && entry.endAt && Date.parse(entry.endAt) <= Date.parse(entry.startAt)) {
+            return 'endAt must be after startAt';
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Video objects for the valid editorial entries, logging the others
+     * Each carries editorial: { position, startAt, endAt } so it can be placed and scheduled.
+     */
+    getEditorialVideos() {
+        if (this.editorialEntries && this.editorialEntries.source === this.options.editorialVideos) {
+            return this.editorialEntries.videos;
+        }
+        
+        const videos = [];
+        this.editorialOrigins.clear();
+        this.options.editorialVideos.forEach((entry, index) => {
+            const error = this.getEditorialEntryError(entry);
+            if (error) {
+                console.warn(`Skipping editorial entry ${index}: ${error}`);
+                return;
             }
             
-            const uploadsPlaylistId = channelData.items[0].contentDetails.relatedPlaylists.uploads;
+            // Only this widget's cards may use the origins of an entry it shows
+            [entry.url, entry.thumbnail].forEach(url => {
+                if (url !== undefined) this.editorialOrigins.add(parseYouTubeWidgetUrl(url).origin);
+            });
             
-            // Step 3: Get videos from uploads playlist
-            const videosResponse = await fetch(
-                `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet&maxResults=${this.options.maxResults}&playlistId=${uploadsPlaylistId}&key=${this.options.apiKey}`
-            );
+            const videoId = entry.id ? encodeURIComponent(entry.id) : null;
+            videos.push({
+                id: entry.id || `editorial-${index + 1}`,
+                title: entry.title.replace(/\s+/g, ' ').trim(),
+                description: '',
+                thumbnail: {
+                    url: youtubeSafeUrl(entry.thumbnail, '', this.editorialOrigins) || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`
+                },
+                publishedAt: null,
+                duration: null,
+                viewCount: null,
+                aspectRatio: null,
+                isShort: false,
+                channelTitle: '',
+                url: youtubeSafeUrl(entry.url, '', this.editorialOrigins) || `https://www.youtube.com/watch?v=${videoId}`,
+                editorial: {
+                    position: entry.position,
+                    startAt: entry.startAt ? Date.parse(entry.startAt) : null,
+                    endAt: entry.endAt ? Date.parse(entry.endAt) : null
+                }
+            });
+        });
+        
+        this.editorialEntries = { source: this.options.editorialVideos, videos };
+        return videos;
+    }
+    
+    /**
+     * Remove blocklisted videos from a list
+     */
+    removeBlocklisted(videos) {
+        if (this.options.blocklist.length === 0) return videos;
+        
+        const blocked = new Set(this.options.blocklist);
+        return videos.filter(video => !blocked.has(video.id));
+    }
+    
+    /**
+     * Hide blocklisted videos and, with editorial, put the entries whose startAt/endAt window
+     * contains now at their positions (1 = first), in place of any copy of the same video
+     */
+    applyEditorial(videos, editorial = true, now = Date.now()) {
+        const listed = this.removeBlocklisted(videos);
+        if (!editorial) return listed;
+        
+        const entries = this.removeBlocklisted(this.getEditorialVideos())
+            .filter(({ editorial: { startAt, endAt } }) => (startAt === null || startAt <= now) && (endAt === null || now < endAt))
+            .sort((a, b) => a.editorial.position - b.editorial.position);
+        if (entries.length === 0) return listed;
+        
+        const entryIds = new Set(entries.map(video => video.id));
+        const merged = listed.filter(video => !entryIds.has(video.id));
+        entries.forEach(video => {
+            merged.splice(Math.min(video.editorial.position - 1, merged.length), 0, video);
+        });
+        return merged;
+    }
+    
+    /**
+     * Load the videos of the active tab (or of the whole feed without tabs)
+     * Cached videos are shown right away, even when stale; stale ones are then revalidated in the background.
+     */
+    async loadVideos() {
+        const tab = this.tabs[this.activeTab];
+        const { sources, cacheKey } = this.getActiveFeed();
+        // The fallback list belongs to the channel feed, not to individual shows
+        const useFallback = !tab || !tab.ownSources;
+        const requestedTab = this.activeTab;
+        const started = performance.now();
+        
+        // Try to get videos from cache first
+        const cached = await this.getFromCache(cacheKey);
+        
+        // The viewer switched tabs while the cache was being read
+        if (this.activeTab !== requestedTab) return;
+        
+        if (cached) {
+            this.dataUpdatedAt = cached.updatedAt;
+            this.renderVideos(cached.videos);
+            this.trackRender('cache', started, { stale: Boolean(cached.stale) });
             
-            if (!videosResponse.ok) {
-                throw new Error('Failed to fetch videos');
+            // Out of quota: the last good list is the best we can show
+            if (cached.stale && !this.isQuotaBackoffActive()) {
+                this.revalidate(cached, sources, cacheKey);
+            }
+            return;
+        }
+        
+        // Show loading state
+        this.showLoading();
+        
+        try {
+            if (this.isQuotaBackoffActive()) {
+                throw new YouTubeQuotaError('Skipped while the YouTube API quota is exhausted', { reason: 'quotaExceeded' });
             }
             
-            const videosData = await videosResponse.json();
-            if (!videosData.items || videosData.items.length === 0) {
-                return [];
+            // Fetch videos from API
+            const videos = await this.fetchVideos(sources);
+            if (videos && videos.length > 0) {
+                this.saveToCache(videos, cacheKey);
             }
             
-            // Process video data
-            return videosData.items.map(item => {
-                const snippet = item.snippet;
-                return {
-                    id: snippet.resourceId.videoId,
-                    title: snippet.title,
-                    description: snippet.description,
-                    thumbnail: snippet.thumbnails.high || snippet.thumbnails.medium || snippet.thumbnails.default,
-                    publishedAt: new Date(snippet.publishedAt),
-                    channelTitle: snippet.channelTitle
-                };
-            });
+            // The viewer switched tabs while this one was loading
+            if (this.activeTab !== requestedTab) return;
+            
+            if (videos && videos.length > 0) {
+                this.dataUpdatedAt = Date.now();
+                this.renderVideos(videos);
+                this.trackRender('api', started);
+            } else {
+                // Try to use fallback videos if available
+                const fallbackVideos = useFallback ? this.createFallbackVideos() : [];
+                if (fallbackVideos.length > 0) {
+                    console.log('Using fallback videos');
+                    this.dataUpdatedAt = null;
+                    this.renderVideos(fallbackVideos);
+                    this.trackRender('fallback', started, { reason: 'empty' });
+                } else {
+                    this.showError(new YouTubeWidgetError('No videos found', { kind: 'empty' }));
+                }
+            }
         } catch (error) {
-            console.error('Error in fetchVideos:', error);
-            throw error;
+            this.recordError(error, 'Error fetching YouTube videos');
+            
+            if (this.activeTab !== requestedTab) return;
+            
+            // Try to use fallback videos if available
+            const fallbackVideos = useFallback ? this.createFallbackVideos() : [];
+            if (fallbackVideos.length > 0) {
+                console.log(`Using fallback videos due to API error (${error.kind || 'unknown'})`);
+                this.dataUpdatedAt = null;
+                this.renderVideos(fallbackVideos);
+                this.trackRender('fallback', started, { reason: error.kind || 'unknown' });
+            } else {
+                this.showError(error);
+            }
         }
     }
     
     /**
-     * Get channel ID from username
+     * Refresh a stale cache entry in the background
+     * The grid is only re-rendered when the first page actually changed, so viewers don't see it flicker
+     * or lose the pages they loaded. On failure the stale list simply stays on screen.
      */
-    async getChannelIdFromUsername() {
+    async revalidate(cached, sources, cacheKey) {
+        const requestedTab = this.activeTab;
+        const started = performance.now();
+        
+        let videos;
         try {
-            const response = await fetch(
-                `https://www.googleapis.com/youtube/v3/channels?part=id&forUsername=${this.options.channelUsername}&key=${this.options.apiKey}`
-            );
-            
-            if (!response.ok) {
-                throw new Error('Failed to fetch channel ID');
+            videos = await this.fetchVideos(sources);
+        } catch (error) {
+            this.recordError(error, 'Error revalidating YouTube videos');
+            return;
+        }
+        
+        if (!videos || videos.length === 0) return;
+        
+        if (!this.hasVideoListChanged(cached.videos, videos)) {
+            // fetchVideos reset the paging to the first page; keep the pages the cached list already has
+            if (cached.paging) {
+                this.paging.set(cacheKey, cached.paging);
             }
-            
-            const data = await response.json();
-            if (!data.items || data.items.length === 0) {
-                // Try to get channel by handle
-                return this.getChannelIdFromHandle();
+            this.saveToCache(cached.videos, cacheKey);
+            if (this.activeTab === requestedTab) {
+                this.dataUpdatedAt = Date.now();
             }
+            return;
+        }
+        
+        this.saveToCache(videos, cacheKey);
+        if (this.activeTab === requestedTab) {
+            this.dataUpdatedAt = Date.now();
+            this.renderVideos(videos);
+            this.trackRender('api', started, { revalidated: true });
+        }
+    }
+    
+    /**
+     * Send the render analytics event for the videos just shown; started is the load's performance.now()
+     */
+    trackRender(source, started, details = {}) {
+        const tab = this.tabs[this.activeTab];
+        this.analytics.track('render', {
+            source,
+            loadTime: Math.round(performance.now() - started),
+            videos: this.renderedVideos.length,
+            tab: tab ? tab.label : null,
+            ...details
+        });
+    }
+    
+    /**
+     * Whether a freshly fetched first page differs from the start of the cached list
+     */
+    hasVideoListChanged(cachedVideos, videos) {
+        const fingerprint = video => [video.id, video.title, video.thumbnail && video.thumbnail.url].join('|');
+        
+        return videos.length > cachedVideos.length
+            || videos.some((video, index) => fingerprint(video) !== fingerprint(cachedVideos[index]));
+    }
+    
+    /**
+     * Whether API calls are paused after YouTube reported quotaExceeded
+     */
+    isQuotaBackoffActive() {
+        try {
+            const backoff = JSON.parse(localStorage.getItem(YOUTUBE_QUOTA_BACKOFF_KEY));
+            return Boolean(backoff && Date.now() < backoff.until);
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Pause API calls after quotaExceeded; each repeat doubles the pause up to maxQuotaBackoff
+     */
+    startQuotaBackoff() {
+        try {
+            const previous = JSON.parse(localStorage.getItem(YOUTUBE_QUOTA_BACKOFF_KEY)) || { attempts: 0 };
+            const attempts = previous.attempts + 1;
+            const delay = Math.min(this.options.quotaBackoff * 2 ** (attempts - 1), this.options.maxQuotaBackoff);
             
-            return data.items[0].id;
+            localStorage.setItem(YOUTUBE_QUOTA_BACKOFF_KEY, JSON.stringify({ attempts, until: Date.now() + delay * 1000 }));
+            console.warn(`YouTube API quota exceeded; pausing requests for ${Math.round(delay / 60)} minutes`);
         } catch (error) {
-            console.error('Error getting channel ID from username:', error);
-            return null;
+            console.error('Error saving quota backoff:', error);
         }
     }
     
     /**
-     * Get channel ID from handle (@username)
+     * Forget the quota backoff once a request succeeds again
      */
-    async getChannelIdFromHandle() {
+    clearQuotaBackoff() {
         try {
-            // This is a workaround since YouTube API doesn't directly support handles
-            // We use the search endpoint to find the channel
-            const username = this.options.channelUsername.replace('@', '');
-            const response = await fetch(
-                `https://www.googleapis.com/youtube/v3/search?part=snippet&q=${username}&type=channel&maxResults=1&key=${this.options.apiKey}`
-            );
+            localStorage.removeItem(YOUTUBE_QUOTA_BACKOFF_KEY);
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+    
+    /**
+     * Turn a failed response into a typed error (see createYouTubeError) carrying the HTTP status and
+     * the API's error reason. Quota errors start the quota backoff.
+     */
+    async createResponseError(response, message) {
+        let reason = null;
+        try {
+            reason = getYouTubeErrorReason(await response.json());
+        } catch (parseError) {
+            // No JSON body
+        }
+        
+        const error = createYouTubeError(message, { status: response.status, reason });
+        if (error.kind === 'quota') {
+            this.startQuotaBackoff();
+        }
+        
+        return error;
+    }
+    
+    /**
+     * Fetch a URL and parse its JSON, with a timeout and retries
+     * Each attempt is aborted after requestTimeout seconds. Timeouts, network errors and server errors
+     * (5xx, rate limits) are retried up to `retries` times, after retryDelay, 2 × retryDelay, ... seconds;
+     * nothing is retried while the browser is offline. Failures are thrown as YouTubeWidgetErrors.
+     */
+    async request(url, message = `Failed to fetch ${url}`) {
+        const { requestTimeout, retries, retryDelay } = this.options;
+        
+        for (let attempt = 0; ; attempt++) {
+            const started = Date.now();
+            const controller = new AbortController();
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, requestTimeout * 1000);
             
-            if (!response.ok) {
-                throw new Error('Failed to fetch channel by handle');
+            let error;
+            try {
+                const response = await fetch(url, { signal: controller.signal });
+                if (response.ok) {
+                    const data = await response.json();
+                    this.recordRequest(url, { started, attempt, status: response.status });
+                    return data;
+                }
+                error = await this.createResponseError(response, message);
+            } catch (caught) {
+                error = toYouTubeError(caught, { message, timedOut });
+            } finally {
+                clearTimeout(timer);
             }
             
-            const data = await response.json();
-            if (!data.items || data.items.length === 0) {
-                throw new Error('Channel not found by handle');
+            this.recordRequest(url, { started, attempt, status: error.status, error });
+            if (!error.retryable || attempt >= retries || navigator.onLine === false || this.destroyed) {
+                throw error;
             }
             
-            return data.items[0].snippet.channelId;
-        } catch (error) {
-            console.error('Error getting channel ID from handle:', error);
-            return null;
+            await new Promise(resolve => setTimeout(resolve, retryDelay * 1000 * 2 ** attempt));
+        }
+    }
+    
+    /**
+     * With the debug option, log a request and keep its timing (API keys are left out)
+     */
+    recordRequest(url, { started, attempt, status = null, error = null }) {
+        if (!this.options.debug) return;
+        
+        const entry = {
+            url: url.replace(/([?&]key=)[^&]*/, '$1…'),
+            status,
+            attempt: attempt + 1,
+            duration: Date.now() - started,
+            error: error ? `${error.name}: ${error.message}` : null,
+            at: new Date(started).toISOString()
+        };
+        this.diagnostics.requests = [...this.diagnostics.requests, entry].slice(-YOUTUBE_DIAGNOSTICS_LIMIT);
+        console.debug(`[${this.widgetId}] ${entry.status || '—'} ${entry.url} ${entry.duration} ms (attempt ${entry.attempt})`);
+    }
+    
+    /**
+     * Log an error, send it as an analytics event and, with the debug option, keep it for getDiagnostics
+     */
+    recordError(error, context) {
+        console.error(`${context}:`, error);
+        this.analytics.track('error', {
+            context,
+            kind: error && error.kind || 'unknown',
+            reason: error && error.reason || null,
+            status: error && error.status || null
+        });
+        if (!this.options.debug) return;
+        
+        const entry = {
+            context,
+            name: error && error.name,
+            kind: error && error.kind || 'unknown',
+            status: error && error.status || null,
+            reason: error && error.reason || null,
+            message: error && error.message,
+            at: new Date().toISOString()
+        };
+        this.diagnostics.errors = [...this.diagnostics.errors, entry].slice(-YOUTUBE_DIAGNOSTICS_LIMIT);
+    }
+    
+    /**
+     * The last requests (url, status, attempt, duration in ms, error) and errors (context, kind, status,
+     * reason, message) of this widget; empty unless the debug option is on
+     */
+    getDiagnostics() {
+        return {
+            requests: this.diagnostics.requests.slice(),
+            errors: this.diagnostics.errors.slice()
+        };
+    }
+    
+    /**
+     * Get the configured sources as { type: 'channel' | 'playlist', id, label } objects
+     * Without a sources option the widget reads the single channelId/channelUsername
+     */
+    getSources() {
+        const sources = this.options.sources && this.options.sources.length > 0
+            ? this.options.sources
+            : [this.options.channelId || this.options.channelUsername];
+        
+        return sources
+            .map(source => YouTubeChannelVideos.parseSource(source))
+            .filter(source => source.id);
+    }
+    
+    /**
+     * Turn a source string or object into a { type, id, label } object
+     * Strings that look like playlist IDs (PL..., UU..., OL...) are playlists; anything else is a channel.
+     * Pass an object with an explicit type when an old username could be mistaken for a playlist ID.
+     */
+    static parseSource(source) {
+        const { id = '', type, label = '' } = typeof source === 'object' && source !== null ? source : { id: source };
+        const looksLikePlaylist = /^(PL|UU|FL|OL|LL|RD)[\w-]{16,}$/.test(id);
+        
+        return {
+            id: String(id || '').trim(),
+            type: type || (looksLikePlaylist ? 'playlist' : 'channel'),
+            label
+        };
+    }
+    
+    /**
+     * Cache key for a set of sources
+     */
+    getCacheKey(sources) {
+        // Widgets showing the same sources with different page sizes or Shorts handling need their own entries
+        const { maxResults, shortsMode } = this.options;
+        const variant = shortsMode === 'include' ? maxResults : `${maxResults}-${shortsMode}`;
+        return `youtube-videos-${sources.map(source => source.id).join('+')}-${variant}`;
+    }
+    
+    /**
+     * Sources and cache key of what is currently shown: the active tab, or the whole feed
+     */
+    getActiveFeed() {
+        const tab = this.tabs[this.activeTab];
+        return tab
+            ? { sources: tab.sources, cacheKey: tab.cacheKey }
+            : { sources: this.sources, cacheKey: this.cacheKey };
+    }
+    
+    /**
+     * Get the configured tabs with their parsed sources and cache keys
+     */
+    getTabs() {
+        return (this.options.tabs || []).map(tab => {
+            let sources = this.sources;
+            if (tab.sources || tab.playlist) {
+                sources = (tab.sources || [{ type: 'playlist', id: tab.playlist, label: tab.label }])
+                    .map(source => YouTubeChannelVideos.parseSource(source))
+                    .filter(source => source.id);
+            }
+            return {
+                id: tab.id || sources.map(source => source.id).join('+'),
+                label: tab.label,
+                sources,
+                ownSources: sources !== this.sources,
+                // Same scheme as this.cacheKey, so the default tab shares the widget's cache entry
+                cacheKey: this.getCacheKey(sources)
+            };
+        });
+    }
+    
+    /**
+     * Index of the tab selected on the last visit, or the first tab
+     */
+    getSavedTabIndex() {
+        try {
+            const savedId = localStorage.getItem(this.tabStorageKey);
+            const index = this.tabs.findIndex(tab => tab.id === savedId);
+            return index === -1 ? 0 : index;
+        } catch (error) {
+            return 0;
+        }
+    }
+    
+    /**
+     * Switch to a tab, loading its videos the first time it is opened
+     */
+    selectTab(index) {
+        if (index === this.activeTab || !this.tabs[index]) return;
+        
+        this.activeTab = index;
+        try {
+            localStorage.setItem(this.tabStorageKey, this.tabs[index].id);
+        } catch (error) {
+            console.error('Error saving selected tab:', error);
+        }
+        
+        this.loadVideos();
+    }
+    
+    /**
+     * Render the tab buttons
+     */
+    renderTabs() {
+        const idPrefix = this.widgetId;
+        const tablist = document.createElement('div');
+        tablist.className = 'youtube-tabs';
+        tablist.setAttribute('role', 'tablist');
+        tablist.setAttribute('dir', this.messages.dir);
+        
+        this.tabs.forEach((tab, index) => {
+            tablist.appendChild(createYouTubeElement('button', {
+                type: 'button',
+                role: 'tab',
+                className: 'youtube-tab',
+                id: `${idPrefix}-tab-${index}`,
+                'aria-controls': `${idPrefix}-tabpanel`,
+                'aria-selected': String(index === this.activeTab),
+                tabindex: index === this.activeTab ? 0 : -1,
+                'data-tab-index': index,
+                text: tab.label
+            }));
+        });
+        
+        tablist.addEventListener('click', event => {
+            const button = event.target.closest('[role="tab"]');
+            if (button) {
+                this.selectTab(Number(button.dataset.tabIndex));
+            }
+        });
+        
+        // Arrow keys move focus between tabs; Enter/Space activate (tabs load over the network)
+        tablist.addEventListener('keydown', event => {
+            const buttons = Array.from(tablist.querySelectorAll('[role="tab"]'));
+            const current = buttons.indexOf(document.activeElement);
+            if (current === -1) return;
+            
+            const rtl = tablist.dir === 'rtl';
+            let next = null;
+            switch (event.key) {
+                case 'ArrowRight': next = current + (rtl ? -1 : 1); break;
+                case 'ArrowLeft': next = current + (rtl ? 1 : -1); break;
+                case 'Home': next = 0; break;
+                case 'End': next = buttons.length - 1; break;
+                default: return;
+            }
+            
+            event.preventDefault();
+            next = (next + buttons.length) % buttons.length;
+            buttons.forEach((button, index) => button.setAttribute('tabindex', index === next ? '0' : '-1'));
+            buttons[next].focus();
+        });
+        
+        const panel = document.createElement('div');
+        panel.className = 'youtube-tabpanel';
+        panel.id = `${idPrefix}-tabpanel`;
+        panel.setAttribute('role', 'tabpanel');
+        panel.setAttribute('aria-labelledby', `${idPrefix}-tab-${this.activeTab}`);
+        
+        this.tablist = tablist;
+        this.tabPanel = panel;
+    }
+    
+    /**
+     * Mark the active tab as selected on the existing tab buttons
+     */
+    updateTabSelection() {
+        this.tablist.querySelectorAll('[role="tab"]').forEach((button, index) => {
+            button.setAttribute('aria-selected', String(index === this.activeTab));
+            button.setAttribute('tabindex', index === this.activeTab ? '0' : '-1');
+        });
+        this.tabPanel.setAttribute('aria-labelledby', `${this.widgetId}-tab-${this.activeTab}`);
+    }
+    
+    /**
+     * The first channel among the sources; used for live checks and channel links
+     */
+    getPrimaryChannel(sources = this.sources) {
+        const channel = sources.find(source => source.type === 'channel');
+        return channel ? channel.id : null;
+    }
+    
+    /**
+     * Link to the primary channel on YouTube, or to the first playlist if there is no channel
+     */
+    getChannelUrl(sources = this.sources) {
+        const channel = this.getPrimaryChannel(sources);
+        if (!channel) {
+            return `https://www.youtube.com/playlist?list=${encodeURIComponent(sources[0].id)}`;
+        }
+        
+        return /^UC[\w-]{22}$/.test(channel)
+            ? `https://www.youtube.com/channel/${channel}`
+            : `https://www.youtube.com/${encodeURIComponent(channel).replace(/^%40/, '@')}`;
+    }
+    
+    /**
+     * Fetch videos from YouTube API
+     * All sources are fetched in parallel, merged, de-duplicated by video ID and sorted newest first.
+     * Videos beyond maxResults and each source's nextPageToken are kept for "load more".
+     */
+    async fetchVideos(sources = this.sources) {
+        try {
+            const results = await Promise.allSettled(sources.map(source => this.fetchSourceVideos(source)));
+            
+            const failures = results.filter(result => result.status === 'rejected');
+            if (failures.length === results.length) {
+                throw failures[0].reason;
+            }
+            failures.forEach(failure => this.recordError(failure.reason, 'Error fetching YouTube source'));
+            
+            const tokens = {};
+            const pages = [];
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    tokens[sources[index].id] = result.value.nextPageToken;
+                    pages.push(result.value.videos);
+                }
+            });
+            
+            this.clearQuotaBackoff();
+            
+            const [page, pending] = this.takePage(this.mergeVideos([], pages));
+            this.paging.set(this.getCacheKey(sources), { tokens, pending });
+            
+            return page;
+        } catch (error) {
+            console.error('Error in fetchVideos:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Fetch the next page of videos for a set of sources
+     * Buffered videos are used first; sources are only asked for their next page when the buffer runs short.
+     */
+    async fetchMoreVideos(sources = this.sources) {
+        const cacheKey = this.getCacheKey(sources);
+        const paging = this.paging.get(cacheKey) || { tokens: {}, pending: [] };
+        const tokens = { ...paging.tokens };
+        let pending = paging.pending;
+        
+        const sourcesWithPages = sources.filter(source => tokens[source.id]);
+        if (this.countPageVideos(pending) < this.options.maxResults && sourcesWithPages.length > 0) {
+            const results = await Promise.allSettled(
+                sourcesWithPages.map(source => this.fetchSourceVideos(source, tokens[source.id]))
+            );
+            
+            const failures = results.filter(result => result.status === 'rejected');
+            if (failures.length === results.length) {
+                throw failures[0].reason;
+            }
+            
+            const pages = [];
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    tokens[sourcesWithPages[index].id] = result.value.nextPageToken;
+                    pages.push(result.value.videos);
+                }
+            });
+            pending = this.mergeVideos(pending, pages);
+        }
+        
+        // Never repeat a video that is already on screen
+        const shownIds = new Set(this.renderedVideos.map(video => video.id));
+        pending = pending.filter(video => !shownIds.has(video.id));
+        
+        const [page, rest] = this.takePage(pending);
+        this.paging.set(cacheKey, { tokens, pending: rest });
+        return page;
+    }
+    
+    /**
+     * Split a list sorted newest first into the next page and the videos left for later
+     * In 'rail' mode a page holds maxResults long-form videos plus the Shorts published among them,
+     * so the grid stays full; in 'exclude' mode Shorts are dropped.
+     */
+    takePage(videos) {
+        const { maxResults, shortsMode } = this.options;
+        if (shortsMode !== 'rail' && shortsMode !== 'exclude') {
+            return [videos.slice(0, maxResults), videos.slice(maxResults)];
+        }
+        
+        const candidates = shortsMode === 'exclude' ? videos.filter(video => !video.isShort) : videos;
+        let end = candidates.length;
+        let count = 0;
+        for (let i = 0; i < candidates.length; i++) {
+            if (!candidates[i].isShort && ++count === maxResults) {
+                end = i + 1;
+                break;
+            }
+        }
+        
+        return [candidates.slice(0, end), candidates.slice(end)];
+    }
+    
+    /**
+     * Number of videos in a list that count towards a page (Shorts in a rail don't)
+     */
+    countPageVideos(videos) {
+        return this.options.shortsMode === 'include'
+            ? videos.length
+            : videos.filter(video => !video.isShort).length;
+    }
+    
+    /**
+     * Whether more videos can be loaded for a cache key
+     */
+    hasMoreVideos(cacheKey) {
+        const paging = this.paging.get(cacheKey);
+        return Boolean(paging && (paging.pending.length > 0 || Object.values(paging.tokens).some(Boolean)));
+    }
+    
+    /**
+     * Merge pages of videos into a list, de-duplicated by video ID and sorted newest first
+     * The first occurrence of a video wins, so earlier sources keep their tag
+     */
+    mergeVideos(videos, pages) {
+        const videosById = new Map();
+        [videos, ...pages].forEach(page => page.forEach(video => {
+            if (!videosById.has(video.id)) {
+                videosById.set(video.id, video);
+            }
+        }));
+        
+        // publishedAt is a string once videos have been through the cache; videos without one go last
+        return Array.from(videosById.values())
+            .sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0));
+    }
+    
+    /**
+     * Fetch one page of videos of a source and tag them with it
+     */
+    async fetchSourceVideos(source, pageToken = '') {
+        let page;
+        
+        if (this.options.endpoint) {
+            const data = await this.fetchFromEndpoint({
+                [source.type]: source.id,
+                maxResults: this.options.maxResults,
+                ...(pageToken ? { pageToken } : {})
+            });
+            page = {
+                videos: (data.videos || []).map(video => ({
+                    ...video,
+                    publishedAt: YouTubeChannelVideos.parseDate(video.publishedAt)
+                })),
+                nextPageToken: data.nextPageToken || null
+            };
+        } else {
+            // Channels are read through their uploads playlist
+            const playlistId = source.type === 'playlist'
+                ? source.id
+                : await this.getUploadsPlaylistId(source.id);
+            page = await this.fetchPlaylistVideos(playlistId, pageToken);
+        }
+        
+        return {
+            videos: page.videos.map(video => ({
+                ...video,
+                isShort: this.isShort(video),
+                source: {
+                    type: source.type,
+                    id: source.id,
+                    label: source.label || video.channelTitle
+                }
+            })),
+            nextPageToken: page.nextPageToken
+        };
+    }
+    
+    /**
+     * Get one page of videos from a playlist
+     */
+    async fetchPlaylistVideos(playlistId, pageToken = '') {
+        const pageParameter = pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : '';
+        const videosData = await this.request(
+            `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet,contentDetails&maxResults=${this.options.maxResults}&playlistId=${playlistId}${pageParameter}&key=${this.options.apiKey}`,
+            'Failed to fetch videos'
+        );
+        const nextPageToken = videosData.nextPageToken || null;
+        if (!videosData.items || videosData.items.length === 0) {
+            return { videos: [], nextPageToken: null };
+        }
+        
+        // Process video data
+        const videos = videosData.items
+            // Private and deleted videos stay in playlists without thumbnails
+            .filter(item => item.snippet.thumbnails && Object.keys(item.snippet.thumbnails).length > 0)
+            .map(item => {
+                const snippet = item.snippet;
+                return {
+                    id: snippet.resourceId.videoId,
+                    title: snippet.title,
+                    description: snippet.description,
+                    thumbnail: snippet.thumbnails.high || snippet.thumbnails.medium || snippet.thumbnails.default,
+                    // snippet.publishedAt is when the video was added to the playlist
+                    publishedAt: YouTubeChannelVideos.parseDate((item.contentDetails && item.contentDetails.videoPublishedAt) || snippet.publishedAt),
+                    channelTitle: snippet.channelTitle
+                };
+            });
+        
+        return { videos: await this.enrichVideos(videos), nextPageToken };
+    }
+    
+    /**
+     * Add duration (in seconds), view count and aspect ratio to videos with batched videos.list calls
+     * (1 quota unit per 50 videos). Videos are returned unchanged if the lookup fails.
+     */
+    async enrichVideos(videos) {
+        const batches = [];
+        for (let i = 0; i < videos.length; i += 50) {
+            batches.push(videos.slice(i, i + 50).map(video => video.id));
+        }
+        
+        const details = new Map();
+        try {
+            for (const ids of batches) {
+                const data = await this.request(
+                    `https://www.googleapis.com/youtube/v3/videos?part=contentDetails,statistics,player&maxHeight=360&id=${ids.join(',')}&key=${this.options.apiKey}`,
+                    'Failed to fetch video details'
+                );
+                (data.items || []).forEach(item => details.set(item.id, item));
+            }
+        } catch (error) {
+            this.recordError(error, 'Error fetching video details');
+            return videos;
+        }
+        
+        return videos.map(video => {
+            const item = details.get(video.id);
+            if (!item) return video;
+            
+            return {
+                ...video,
+                duration: YouTubeChannelVideos.parseDuration(item.contentDetails && item.contentDetails.duration),
+                viewCount: item.statistics && item.statistics.viewCount !== undefined
+                    ? Number(item.statistics.viewCount)
+                    : null,
+                aspectRatio: YouTubeChannelVideos.getAspectRatio(item.player)
+            };
+        });
+    }
+    
+    /**
+     * Width / height of a video from the embed size videos.list returns for part=player with maxHeight
+     * Thumbnails are always 16:9 or 4:3, so this is the only way to tell vertical videos apart
+     */
+    static getAspectRatio(player) {
+        const width = player && Number(player.embedWidth);
+        const height = player && Number(player.embedHeight);
+        return width > 0 && height > 0 ? Math.round(width / height * 1000) / 1000 : null;
+    }
+    
+    /**
+     * A publish date as a Date, or null when it is missing or invalid (the card then shows no date)
+     */
+    static parseDate(value) {
+        const date = value ? new Date(value) : null;
+        return date && !Number.isNaN(date.getTime()) ? date : null;
+    }
+    
+    /**
+     * Convert an ISO-8601 duration (PT1H2M3S, P1DT2H) to seconds; numbers are passed through
+     * Returns null for missing values and for P0D, which YouTube reports for live and upcoming streams
+     */
+    static parseDuration(duration) {
+        if (typeof duration === 'number') {
+            return duration > 0 ? duration : null;
+        }
+        
+        const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration || '');
+        if (!match) return null;
+        
+        const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part) || 0);
+        const total = ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+        return total > 0 ? total : null;
+    }
+    
+    /**
+     * Whether a video is a Short: vertical and at most 3 minutes long
+     * When the aspect ratio is unknown (older cache entries, fallback videos) only videos
+     * up to a minute count, so short long-form clips aren't mistaken for Shorts
+     */
+    isShort(video) {
+        if (!video.duration) return false;
+        
+        if (video.aspectRatio) {
+            return video.aspectRatio < 1 && video.duration <= YOUTUBE_SHORTS_MAX_DURATION;
+        }
+        
+        return video.duration <= YOUTUBE_SHORTS_MAX_DURATION_UNKNOWN_RATIO;
+    }
+    
+    /**
+     * Format a plain number for the widget's locale, e.g. ١٢
+     */
+    formatNumber(number) {
+        return this.messages.formatNumber(number);
+    }
+    
+    /**
+     * Format a duration in seconds as a badge text, e.g. ٢٤:١٣ or ١:٠٢:٠٣
+     */
+    formatDuration(seconds) {
+        const pad = new Intl.NumberFormat(this.messages.formatLocale, { minimumIntegerDigits: 2, useGrouping: false });
+        const plain = new Intl.NumberFormat(this.messages.formatLocale, { useGrouping: false });
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds % 3600 / 60);
+        const rest = seconds % 60;
+        
+        return hours > 0
+            ? `${plain.format(hours)}:${pad.format(minutes)}:${pad.format(rest)}`
+            : `${plain.format(minutes)}:${pad.format(rest)}`;
+    }
+    
+    /**
+     * Format a view count in compact form, e.g. ١٫٢ مليون مشاهدة
+     */
+    formatViewCount(count) {
+        const views = this.messages.formatNumber(count, {
+            notation: 'compact',
+            compactDisplay: 'long',
+            maximumFractionDigits: 1
+        });
+        
+        return this.messages.t('views', { views, count });
+    }
+    
+    /**
+     * Format a date relative to now, e.g. قبل ٣ أيام
+     */
+    formatRelativeDate(date) {
+        const seconds = (new Date(date).getTime() - Date.now()) / 1000;
+        if (!Number.isFinite(seconds)) return '';
+        
+        const units = [
+            ['year', 365 * 24 * 3600],
+            ['month', 30 * 24 * 3600],
+            ['week', 7 * 24 * 3600],
+            ['day', 24 * 3600],
+            ['hour', 3600],
+            ['minute', 60]
+        ];
+        const [unit, size] = units.find(([, unitSeconds]) => Math.abs(seconds) >= unitSeconds) || ['second', 1];
+        
+        return new Intl.RelativeTimeFormat(this.messages.formatLocale, { numeric: 'auto' })
+            .format(Math.trunc(seconds / size), unit);
+    }
+    
+    /**
+     * Badges over a thumbnail: the duration, and a Shorts flag
+     */
+    renderThumbnailBadges(video) {
+        const badges = [];
+        if (video.duration) {
+            badges.push(createYouTubeElement('span', { className: 'youtube-duration-badge', text: this.formatDuration(video.duration) }));
+        }
+        if (video.isShort) {
+            badges.push(createYouTubeElement('span', { className: 'youtube-shorts-badge', text: this.messages.t('shorts') }));
+        }
+        return badges;
+    }
+    
+    /**
+     * View count and relative publish date under a title, for the metadata that is known, or null
+     * (compact cards have no thumbnail, so they list the duration here too)
+     */
+    renderVideoMeta(video, withDuration = false) {
+        const parts = [];
+        if (withDuration && video.duration) {
+            parts.push(this.formatDuration(video.duration));
+        }
+        if (typeof video.viewCount === 'number') {
+            parts.push(this.formatViewCount(video.viewCount));
+        }
+        const publishedAt = YouTubeChannelVideos.parseDate(video.publishedAt);
+        if (publishedAt) {
+            parts.push(createYouTubeElement('time', {
+                datetime: publishedAt.toISOString(),
+                text: this.formatRelativeDate(publishedAt)
+            }));
+        }
+        
+        if (parts.length === 0) return null;
+        
+        const meta = createYouTubeElement('div', { className: 'youtube-video-meta' });
+        parts.forEach((part, index) => {
+            if (index > 0) {
+                meta.appendChild(createYouTubeElement('span', { 'aria-hidden': 'true', text: ' • ' }));
+            }
+            meta.append(part);
+        });
+        return meta;
+    }
+    
+    /**
+     * Call the videos proxy
+     */
+    async fetchFromEndpoint(params) {
+        const query = new URLSearchParams(params);
+        const separator = this.options.endpoint.includes('?') ? '&' : '?';
+        try {
+            return await this.request(`${this.options.endpoint}${separator}${query}`, `Failed to fetch from ${this.options.endpoint}`);
+        } catch (error) {
+            // The proxy resolves channels itself; its lookup failures are reported like the widget's own
+            if (params.channel && (error.reason === 'channelNotFound' || error.reason === 'handleMismatch')) {
+                throw new YouTubeChannelError(error.reason === 'handleMismatch'
+                    ? `YouTube answered ${params.channel} with another channel`
+                    : `YouTube channel ${params.channel} not found`, params.channel, error.reason, { status: error.status });
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Get a channel's { channelId, uploadsPlaylistId }
+     * Concurrent callers (the video list, the live check and searches) share one lookup
+     */
+    getChannel(channel) {
+        if (!this.channelPromises.has(channel)) {
+            this.channelPromises.set(channel, this.resolveChannel(channel).catch(error => {
+                this.channelPromises.delete(channel);
+                throw error;
+            }));
+        }
+        
+        return this.channelPromises.get(channel);
+    }
+    
+    /**
+     * Get the ID (UC...) of a channel given by ID, @handle or legacy username
+     */
+    async getChannelId(channel) {
+        const { channelId } = await this.getChannel(channel);
+        return channelId;
+    }
+    
+    /**
+     * Get a channel's uploads playlist ID
+     */
+    async getUploadsPlaylistId(channel) {
+        const { uploadsPlaylistId } = await this.getChannel(channel);
+        return uploadsPlaylistId;
+    }
+    
+    /**
+     * Resolve a channel from storage or with one channels.list call (1 quota unit)
+     * @handles are looked up with forHandle, and the handle YouTube answers with must be the one asked for.
+     * Names without @ are tried as a handle first, then as a legacy username. Throws YouTubeChannelError
+     * when there is no such channel, and the API's error (with status and reason) when the lookup fails.
+     */
+    async resolveChannel(channel) {
+        const stored = this.getStoredChannel(channel);
+        if (stored) {
+            return stored;
+        }
+        
+        let item = null;
+        if (/^UC[\w-]{22}$/.test(channel)) {
+            item = await this.fetchChannel({ id: channel });
+        } else {
+            const handle = `@${channel.replace(/^@/, '')}`;
+            item = await this.fetchChannel({ forHandle: handle });
+            
+            const answeredHandle = item && item.snippet && item.snippet.customUrl;
+            const mismatch = item && (!answeredHandle || answeredHandle.toLowerCase() !== handle.toLowerCase())
+                ? `YouTube answered ${handle} with ${answeredHandle || item.id}`
+                : null;
+            if (mismatch) {
+                item = null;
+            }
+            
+            // A bare name that isn't a handle may still be a legacy username
+            if (!item && !channel.startsWith('@')) {
+                item = await this.fetchChannel({ forUsername: channel });
+            }
+            if (!item && mismatch) {
+                throw new YouTubeChannelError(mismatch, channel, 'handleMismatch');
+            }
+        }
+        
+        if (!item) {
+            throw new YouTubeChannelError(`YouTube channel ${channel} not found`, channel, 'channelNotFound');
+        }
+        
+        const resolved = {
+            channelId: item.id,
+            uploadsPlaylistId: item.contentDetails.relatedPlaylists.uploads
+        };
+        this.storeChannel(channel, resolved);
+        return resolved;
+    }
+    
+    /**
+     * Get the first channels.list item for a lookup ({ id }, { forHandle } or { forUsername }), or null
+     */
+    async fetchChannel(lookup) {
+        const params = new URLSearchParams({ part: 'snippet,contentDetails', ...lookup, key: this.options.apiKey });
+        const data = await this.request(`https://www.googleapis.com/youtube/v3/channels?${params}`, 'Failed to fetch channel data');
+        return data.items && data.items.length > 0 ? data.items[0] : null;
+    }
+    
+    /**
+     * A channel resolved on an earlier visit, unless it is older than channelCacheExpiration
+     * Handles and usernames are case-insensitive, so they are stored in lower case.
+     */
+    getStoredChannel(channel) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(YOUTUBE_CHANNELS_KEY)) || {};
+            const entry = stored[channel.toLowerCase()];
+            if (entry && Date.now() < entry.resolvedAt + this.options.channelCacheExpiration * 1000) {
+                return { channelId: entry.channelId, uploadsPlaylistId: entry.uploadsPlaylistId };
+            }
+        } catch (error) {
+            // Unreadable storage: look the channel up again
+        }
+        return null;
+    }
+    
+    /**
+     * Remember a resolved channel for later visits and other widgets
+     */
+    storeChannel(channel, { channelId, uploadsPlaylistId }) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(YOUTUBE_CHANNELS_KEY)) || {};
+            stored[channel.toLowerCase()] = { channelId, uploadsPlaylistId, resolvedAt: Date.now() };
+            localStorage.setItem(YOUTUBE_CHANNELS_KEY, JSON.stringify(stored));
+        } catch (error) {
+            console.error('Error saving resolved channel:', error);
+        }
+    }
+    
+    /**
+     * Find a live or upcoming broadcast among the channel's latest uploads
+     * Live and scheduled streams show up in the uploads playlist, so checking the newest
+     * entries with videos.list costs 2 quota units instead of 100 for search.list?eventType=live
+     */
+    async fetchLiveBroadcast() {
+        if (this.options.endpoint) {
+            const { broadcast } = await this.fetchFromEndpoint({ channel: this.getPrimaryChannel(), live: 1 });
+            return broadcast
+                ? { ...broadcast, scheduledStartTime: broadcast.scheduledStartTime ? new Date(broadcast.scheduledStartTime) : null }
+                : null;
+        }
+        
+        const uploadsPlaylistId = await this.getUploadsPlaylistId(this.getPrimaryChannel());
+        
+        const playlistData = await this.request(
+            `https://www.googleapis.com/youtube/v3/playlistItems?part=contentDetails&maxResults=10&playlistId=${uploadsPlaylistId}&key=${this.options.apiKey}`,
+            'Failed to fetch latest uploads'
+        );
+        const videoIds = (playlistData.items || []).map(item => item.contentDetails.videoId);
+        if (videoIds.length === 0) {
+            return null;
+        }
+        
+        const videosData = await this.request(
+            `https://www.googleapis.com/youtube/v3/videos?part=snippet,liveStreamingDetails&id=${videoIds.join(',')}&key=${this.options.apiKey}`,
+            'Failed to fetch broadcast details'
+        );
+        const toBroadcast = (item, status) => ({
+            id: item.id,
+            status,
+            title: item.snippet.title,
+            thumbnail: item.snippet.thumbnails.high || item.snippet.thumbnails.medium || item.snippet.thumbnails.default,
+            channelTitle: item.snippet.channelTitle,
+            scheduledStartTime: item.liveStreamingDetails && item.liveStreamingDetails.scheduledStartTime
+                ? new Date(item.liveStreamingDetails.scheduledStartTime)
+                : null
+        });
+        
+        const items = videosData.items || [];
+        const live = items.find(item => item.snippet.liveBroadcastContent === 'live');
+        if (live) {
+            return toBroadcast(live, 'live');
+        }
+        
+        // Show the soonest scheduled stream; ignore ones whose start time is long gone
+        // (YouTube keeps abandoned schedules as "upcoming" indefinitely)
+        const staleBefore = Date.now() - 60 * 60 * 1000;
+        const upcoming = items
+            .filter(item => item.snippet.liveBroadcastContent === 'upcoming')
+            .map(item => toBroadcast(item, 'upcoming'))
+            .filter(broadcast => broadcast.scheduledStartTime && broadcast.scheduledStartTime.getTime() > staleBefore)
+            .sort((a, b) => a.scheduledStartTime - b.scheduledStartTime);
+        
+        return upcoming[0] || null;
+    }
+    
+    /**
+     * Check for a live broadcast now and then on an interval, so the page switches on its own
+     * when a stream starts or ends
+     */
+    startLiveDetection() {
+        this.stopLiveDetection();
+        
+        const check = () => {
+            if (this.isQuotaBackoffActive()) return;
+            
+            this.fetchLiveBroadcast()
+                .then(broadcast => this.updateLiveBroadcast(broadcast))
+                .catch(error => this.recordError(error, 'Error checking for live broadcast'));
+        };
+        
+        check();
+        this.liveTimer = setInterval(() => {
+            // Don't spend quota while the tab is in the background
+            if (!document.hidden) check();
+        }, this.options.liveCheckInterval * 1000);
+    }
+    
+    /**
+     * Stop checking for live broadcasts and clear any countdown
+     */
+    stopLiveDetection() {
+        clearInterval(this.liveTimer);
+        clearInterval(this.countdownTimer);
+        this.liveTimer = null;
+        this.countdownTimer = null;
+    }
+    
+    /**
+     * Re-render the live block only when the broadcast or its status changed
+     */
+    updateLiveBroadcast(broadcast) {
+        const previous = this.liveBroadcast;
+        const unchanged = previous && broadcast
+            ? previous.id === broadcast.id && previous.status === broadcast.status
+            : previous === broadcast;
+        
+        this.liveBroadcast = broadcast;
+        if (!unchanged) {
+            this.renderLiveBroadcast();
+        }
+    }
+    
+    /**
+     * Render the LIVE hero or the countdown card at the top of the container
+     */
+    renderLiveBroadcast() {
+        if (this.destroyed) return;
+        
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+        
+        if (this.liveElement) {
+            this.liveElement.remove();
+            this.liveElement = null;
+        }
+        
+        const broadcast = this.liveBroadcast;
+        if (!broadcast) return;
+        
+        const element = document.createElement('div');
+        element.className = `youtube-live-block youtube-live-${broadcast.status}`;
+        
+        const broadcastId = encodeURIComponent(broadcast.id);
+        
+        if (broadcast.status === 'live') {
+            element.append(
+                createYouTubeElement('div', { className: 'youtube-live-header' }, [
+                    createYouTubeElement('span', { className: 'youtube-live-badge' }, [
+                        createYouTubeElement('span', { className: 'youtube-live-dot' }),
+                        this.messages.t('live.now')
+                    ]),
+                    createYouTubeElement('h4', { className: 'youtube-live-title', text: broadcast.title })
+                ]),
+                createYouTubeElement('div', { className: 'youtube-live-player' }, [
+                    createYouTubeElement('iframe', {
+                        src: `https://www.youtube.com/embed/${broadcastId}?autoplay=1&mute=1&playsinline=1`,
+                        title: broadcast.title,
+                        allow: 'autoplay; encrypted-media; picture-in-picture; fullscreen',
+                        allowfullscreen: true
+                    })
+                ])
+            );
+        } else {
+            element.appendChild(createYouTubeElement('a', {
+                href: `https://www.youtube.com/watch?v=${broadcastId}`,
+                target: '_blank',
+                className: 'youtube-live-upcoming-link'
+            }, [
+                createYouTubeElement('div', { className: 'youtube-thumbnail-container' }, [
+                    createYouTubeElement('img', {
+                        src: broadcast.thumbnail && broadcast.thumbnail.url,
+                        alt: '', // The title below names the link
+                        className: 'youtube-thumbnail'
+                    })
+                ]),
+                createYouTubeElement('div', { className: 'youtube-live-upcoming-info' }, [
+                    createYouTubeElement('span', { className: 'youtube-live-badge youtube-live-badge-upcoming', text: this.messages.t('live.upcoming') }),
+                    createYouTubeElement('h4', { className: 'youtube-live-title', text: broadcast.title }),
+                    createYouTubeElement('p', {
+                        className: 'youtube-live-schedule',
+                        text: broadcast.scheduledStartTime.toLocaleString(this.messages.formatLocale, { dateStyle: 'full', timeStyle: 'short' })
+                    }),
+                    createYouTubeElement('p', { className: 'youtube-live-countdown', 'aria-live': 'off' })
+                ]),
+                this.renderNewWindowHint()
+            ]));
+            
+            const countdown = element.querySelector('.youtube-live-countdown');
+            const tick = () => {
+                const remaining = broadcast.scheduledStartTime.getTime() - Date.now();
+                if (remaining <= 0) {
+                    countdown.textContent = this.messages.t('live.startingSoon');
+                    clearInterval(this.countdownTimer);
+                    this.countdownTimer = null;
+                    return;
+                }
+                countdown.textContent = this.messages.t('live.startsIn', { time: this.formatCountdown(remaining) });
+            };
+            tick();
+            this.countdownTimer = setInterval(tick, 1000);
+        }
+        
+        this.liveElement = element;
+        this.container.prepend(element);
+    }
+    
+    /**
+     * Format a duration in milliseconds as "D days HH:MM:SS" (the live.days message)
+     */
+    formatCountdown(milliseconds) {
+        const totalSeconds = Math.floor(milliseconds / 1000);
+        const days = Math.floor(totalSeconds / 86400);
+        const pad = value => this.messages.formatNumber(value, { minimumIntegerDigits: 2, useGrouping: false });
+        const time = `${pad(Math.floor(totalSeconds % 86400 / 3600))}:${pad(Math.floor(totalSeconds % 3600 / 60))}:${pad(totalSeconds % 60)}`;
+        
+        return days > 0 ? this.messages.t('live.days', { count: days, time }) : time;
+    }
+    
+    /**
+     * Render videos in the container
+     */
+    renderVideos(videos) {
+        if (this.destroyed) return;
+        
+        // Editorial entries belong to the channel feed, like the fallback list, not to individual shows
+        const tab = this.tabs[this.activeTab];
+        videos = this.applyEditorial(videos, !tab || !tab.ownSources);
+        
+        // Lists from the cache or the fallback file may still contain Shorts
+        if (this.options.shortsMode === 'exclude') {
+            videos = videos.filter(video => !video.isShort);
+        }
+        
+        // Re-rendering replaces the tab buttons, so remember whether one had focus
+        const tabHadFocus = Boolean(this.tablist && this.tablist.contains(document.activeElement));
+        
+        // Clear container
+        this.clearLayout();
+        this.container.replaceChildren();
+        this.container.removeAttribute('aria-busy');
+        
+        // Keep the live block above everything else
+        if (this.liveElement) {
+            this.container.appendChild(this.liveElement);
+        }
+        
+        // Create channel info header
+        const channelInfo = createYouTubeElement('div', { className: 'youtube-channel-info' }, [
+            createYouTubeElement('h3', {}, [
+                createYouTubeIcon('youtube', 20, { style: 'vertical-align: middle; margin-inline-end: 8px;' }),
+                ' ',
+                videos.find(video => !video.editorial)?.channelTitle || this.messages.t('heading')
+            ])
+        ]);
+        this.container.appendChild(channelInfo);
+        
+        // With tabs, the videos go into the tab panel below the tab buttons
+        let target = this.container;
+        if (this.tabs.length > 0) {
+            this.renderTabs();
+            this.container.appendChild(this.tablist);
+            this.container.appendChild(this.tabPanel);
+            target = this.tabPanel;
+        }
+        
+        // Lay out the videos with the chosen renderer; Shorts go to the rail in 'rail' mode
+        const items = [];
+        const shorts = [];
+        videos.forEach((video, index) => {
+            (this.isInShortsRail(video) ? shorts : items).push({ video, index });
+        });
+        
+        const Renderer = this.getLayoutRenderer();
+        YouTubeLayoutRenderer.addStyles(Renderer);
+        
+        this.layoutElement = document.createElement('div');
+        this.layoutElement.className = `youtube-layout youtube-layout-${typeof this.options.layout === 'string' ? this.options.layout : 'custom'}`;
+        target.appendChild(this.layoutElement);
+        
+        this.layout = new Renderer(this, this.layoutElement);
+        this.layout.render(items);
+        this.appendShorts(shorts);
+        
+        // Add "View More" button
+        target.appendChild(this.renderViewMore());
+        
+        if (tabHadFocus) {
+            this.tablist.querySelector('[aria-selected="true"]').focus();
+        }
+        
+        // Remember what is on screen so the player can navigate through it (and "load more" can append)
+        this.renderedVideos = videos.slice();
+        this.updateOfflineBanner();
+        this.analytics.observeCards(this.container);
+        this.openDeepLinkedVideo();
+    }
+    
+    /**
+     * Show the offline banner above the videos while the browser is offline, or remove it
+     * The banner says when the videos on screen were fetched, if known (not for the fallback list).
+     */
+    updateOfflineBanner() {
+        if (this.offlineBanner) {
+            this.offlineBanner.remove();
+            this.offlineBanner = null;
+        }
+        if (this.destroyed || navigator.onLine !== false || this.renderedVideos.length === 0) return;
+        
+        this.offlineBanner = createYouTubeElement('div', { className: 'youtube-offline-banner', role: 'status' }, [
+            createYouTubeElement('strong', { text: this.messages.t('offline.title') }),
+            ` ${this.messages.t('offline.text')}`,
+            this.dataUpdatedAt
+                ? createYouTubeElement('span', {
+                    className: 'youtube-offline-updated',
+                    text: ` ${this.messages.t('offline.updated', { time: this.formatRelativeDate(this.dataUpdatedAt) })}`
+                })
+                : null
+        ]);
+        
+        // Below the live block, above everything else
+        if (this.liveElement && this.liveElement.parentNode === this.container) {
+            this.liveElement.after(this.offlineBanner);
+        } else {
+            this.container.prepend(this.offlineBanner);
+        }
+    }
+    
+    /**
+     * Update the offline banner when the connection drops or returns; once back online, reload the
+     * feed if it shows the fallback list, an error or videos older than cacheExpiration
+     */
+    handleConnectionChange() {
+        this.updateOfflineBanner();
+        if (this.destroyed || navigator.onLine === false) return;
+        
+        if (this.dataUpdatedAt === null || Date.now() > this.dataUpdatedAt + this.options.cacheExpiration * 1000) {
+            this.loadVideos();
+        }
+    }
+    
+    /**
+     * The renderer class for the layout option, falling back to the grid for unknown names
+     * The option may also be a renderer class itself.
+     */
+    getLayoutRenderer() {
+        const { layout } = this.options;
+        if (typeof layout === 'function') return layout;
+        
+        const Renderer = YouTubeLayoutRenderer.get(layout);
+        if (!Renderer) {
+            console.error(`Unknown YouTube widget layout "${layout}"; using the grid`);
+            return YouTubeLayoutRenderer.get('grid');
+        }
+        return Renderer;
+    }
+    
+    /**
+     * Stop the current layout renderer before its elements are replaced
+     */
+    clearLayout() {
+        if (this.layout) {
+            this.layout.destroy();
+            this.layout = null;
+        }
+        this.layoutElement = null;
+        this.shortsRail = null;
+    }
+    
+    /**
+     * The card template from the cardTemplate option, or null for the built-in cards
+     */
+    getCardTemplate() {
+        const { cardTemplate } = this.options;
+        if (!cardTemplate) return null;
+        if (typeof cardTemplate === 'function') return cardTemplate;
+        
+        const template = YouTubeLayoutRenderer.getCardTemplate(cardTemplate);
+        if (!template) {
+            console.error(`Unknown YouTube card template "${cardTemplate}"; using the default cards`);
+        }
+        return template;
+    }
+    
+    /**
+     * Create the link for a video card; index is its position in this.renderedVideos
+     * Variants: 'card' (grid, carousel), 'featured', 'compact' (list), 'hero' and 'short' (Shorts rail).
+     * A card template replaces what goes inside the link, so every card still opens in the player.
+     */
+    createCard(video, index, variant = 'card') {
+        // Use the URL property if it points to YouTube, otherwise construct it from the ID
+        const videoId = encodeURIComponent(video.id);
+        const link = createYouTubeElement('a', {
+            href: youtubeSafeUrl(video.url, variant === 'short'
+                ? `https://www.youtube.com/shorts/${videoId}`
+                : `https://www.youtube.com/watch?v=${videoId}`, this.editorialOrigins),
+            origins: this.editorialOrigins,
+            target: '_blank',
+            className: 'youtube-video-link',
+            'data-video-index': index
+        });
+        
+        const template = this.getCardTemplate();
+        if (!template) {
+            link.append(...this.renderCardContent(video, variant));
+        } else {
+            // Strings from templates are site code, not data, and are parsed as HTML
+            const content = template(video, { index, variant, widget: this });
+            if (typeof content === 'string' || (window.TrustedHTML && content instanceof window.TrustedHTML)) {
+                link.innerHTML = typeof content === 'string' ? youtubeTemplateHTML(content) : content;
+            } else if (content) {
+                link.appendChild(content);
+            }
+        }
+        
+        // Cards the player doesn't open leave the page
+        if (!this.player || !this.isPlayableInModal(video)) {
+            link.appendChild(this.renderNewWindowHint());
+        }
+        
+        return link;
+    }
+    
+    /**
+     * Screen reader text for links that open in a new window (target="_blank")
+     */
+    renderNewWindowHint() {
+        return createYouTubeElement('span', { className: 'youtube-visually-hidden', text: ` ${this.messages.t('newWindow')}` });
+    }
+    
+    /**
+     * Built-in card content for each variant, as a list of nodes
+     */
+    renderCardContent(video, variant) {
+        const title = createYouTubeElement('h4', { className: 'youtube-video-title', text: video.title });
+        
+        if (variant === 'compact') {
+            return [title, this.renderSourceLabel(video), this.renderVideoMeta(video, true)].filter(Boolean);
+        }
+        
+        const thumbnailUrl = video.thumbnail && video.thumbnail.url;
+        
+        if (variant === 'short') {
+            return [
+                createYouTubeElement('div', { className: 'youtube-short-thumbnail-container' }, [
+                    createYouTubeElement('img', {
+                        src: thumbnailUrl,
+                        origins: this.editorialOrigins,
+                        alt: '',
+                        className: 'youtube-thumbnail',
+                        loading: 'lazy'
+                    })
+                ]),
+                createYouTubeElement('div', { className: 'youtube-video-info' }, [
+                    title,
+                    typeof video.viewCount === 'number'
+                        ? createYouTubeElement('div', { className: 'youtube-video-meta', text: this.formatViewCount(video.viewCount) })
+                        : null
+                ])
+            ];
+        }
+        
+        // The thumbnail is decoration: the title inside the same link already names it
+        const thumbnail = createYouTubeElement('div', { className: 'youtube-thumbnail-container' }, [
+            createYouTubeElement('img', { src: thumbnailUrl, origins: this.editorialOrigins, alt: '', className: 'youtube-thumbnail' }),
+            ...this.renderThumbnailBadges(video),
+            createYouTubeElement('div', { className: 'youtube-play-button', 'aria-hidden': 'true' }, [
+                createYouTubeIcon('play', variant === 'card' ? 48 : 64)
+            ])
+        ]);
+        
+        return [
+            thumbnail,
+            createYouTubeElement('div', { className: variant === 'hero' ? 'youtube-hero-caption' : 'youtube-video-info' }, [
+                title,
+                this.renderSourceLabel(video),
+                this.renderVideoMeta(video)
+            ])
+        ];
+    }
+    
+    /**
+     * Whether a video is shown in the Shorts rail instead of the grid
+     */
+    isInShortsRail(video) {
+        return this.options.shortsMode === 'rail' && Boolean(video.isShort);
+    }
+    
+    /**
+     * Add Shorts ({ video, index } pairs) to the rail, creating the rail above the layout the first time
+     */
+    appendShorts(shorts) {
+        if (shorts.length === 0) return;
+        
+        if (!this.shortsRail) {
+            this.shortsRail = this.renderShortsRail();
+            this.layoutElement.before(this.shortsRail);
+        }
+        
+        const track = this.shortsRail.querySelector('.youtube-scroller-track');
+        shorts.forEach(({ video, index }) => track.appendChild(this.createShortItem(video, index)));
+        YouTubeLayoutRenderer.updateTabStops(track);
+    }
+    
+    /**
+     * Create the horizontally scrolling Shorts rail
+     */
+    renderShortsRail() {
+        return YouTubeLayoutRenderer.createScroller({
+            className: 'youtube-shorts-rail',
+            label: this.messages.t('shorts'),
+            title: this.messages.t('shorts'),
+            messages: this.messages
+        }).element;
+    }
+    
+    /**
+     * Create a 9:16 card for the Shorts rail; index is its position in this.renderedVideos
+     */
+    createShortItem(video, index) {
+        const item = document.createElement('div');
+        item.className = 'youtube-short-item';
+        item.setAttribute('role', 'listitem');
+        item.appendChild(this.createCard(video, index, 'short'));
+        return item;
+    }
+    
+    /**
+     * Create the "view more" area: an in-page "load more" button while more pages exist,
+     * otherwise a link to the channel on YouTube
+     */
+    renderViewMore() {
+        const { sources, cacheKey } = this.getActiveFeed();
+        
+        if (this.loadMoreObserver) {
+            this.loadMoreObserver.disconnect();
+            this.loadMoreObserver = null;
+        }
+        
+        const viewMoreBtn = document.createElement('div');
+        viewMoreBtn.className = 'youtube-view-more';
+        this.loadMoreElement = viewMoreBtn;
+        
+        if (!this.options.loadMore || !this.hasMoreVideos(cacheKey)) {
+            viewMoreBtn.appendChild(createYouTubeElement('a', {
+                href: this.getChannelUrl(sources),
+                target: '_blank',
+                className: 'youtube-view-more-btn'
+            }, [
+                `${this.messages.t('viewMore')} `,
+                createYouTubeIcon('arrow', 16, { style: 'vertical-align: middle; margin-inline-start: 5px;' }),
+                this.renderNewWindowHint()
+            ]));
+            return viewMoreBtn;
+        }
+        
+        viewMoreBtn.appendChild(createYouTubeElement('button', {
+            type: 'button',
+            className: 'youtube-view-more-btn youtube-load-more-btn',
+            text: this.messages.t('viewMore')
+        }));
+        const button = viewMoreBtn.querySelector('button');
+        button.addEventListener('click', () => this.loadMoreVideos());
+        
+        if (this.options.infiniteScroll && 'IntersectionObserver' in window) {
+            this.loadMoreObserver = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreVideos();
+                }
+            }, { rootMargin: '200px' });
+            this.loadMoreObserver.observe(button);
+        }
+        
+        return viewMoreBtn;
+    }
+    
+    /**
+     * Append the next page of videos to the layout without touching what is already shown
+     */
+    loadMoreVideos() {
+        if (this.loadingMore || !this.layout) return;
+        
+        const { sources, cacheKey } = this.getActiveFeed();
+        const requestedTab = this.activeTab;
+        const button = this.loadMoreElement.querySelector('button');
+        
+        this.loadingMore = true;
+        if (button) {
+            button.disabled = true;
+            button.setAttribute('aria-busy', 'true');
+            button.textContent = this.messages.t('loadingMore');
+        }
+        
+        this.fetchMoreVideos(sources)
+            .then(videos => {
+                // The viewer switched tabs while the page was loading
+                if (this.activeTab !== requestedTab) return;
+                
+                // Skip blocklisted videos and ones already shown as editorial entries
+                const shownIds = new Set(this.renderedVideos.map(video => video.id));
+                const items = [];
+                const shorts = [];
+                this.removeBlocklisted(videos).filter(video => !shownIds.has(video.id)).forEach(video => {
+                    const index = this.renderedVideos.length;
+                    (this.isInShortsRail(video) ? shorts : items).push({ video, index });
+                    this.renderedVideos.push(video);
+                });
+                this.layout.append(items);
+                this.appendShorts(shorts);
+                this.analytics.observeCards(this.container);
+                
+                // Editorial entries are placed again on every render, so they stay out of the cache
+                this.saveToCache(this.renderedVideos.filter(video => !video.editorial), cacheKey);
+                this.loadMoreElement.replaceWith(this.renderViewMore());
+            })
+            .catch(error => {
+                this.recordError(error, 'Error loading more YouTube videos');
+                
+                // Stop infinite scroll from retrying in a loop; the button still works
+                if (this.loadMoreObserver) {
+                    this.loadMoreObserver.disconnect();
+                    this.loadMoreObserver = null;
+                }
+                if (button) {
+                    button.disabled = false;
+                    button.removeAttribute('aria-busy');
+                    button.textContent = this.messages.t('loadMoreFailed');
+                }
+            })
+            .finally(() => {
+                this.loadingMore = false;
+            });
+    }
+    
+    /**
+     * Shows the search can be narrowed to: tabs with their own playlist or sources, and the labelled
+     * sources of a widget that merges several, as { label, sources, sourceIds, cacheKey }
+     */
+    getSearchShows() {
+        const shows = this.tabs
+            .filter(tab => tab.ownSources && tab.label)
+            .map(tab => ({ label: tab.label, sources: tab.sources, cacheKey: tab.cacheKey }));
+        
+        if (this.sources.length > 1) {
+            this.sources
+                .filter(source => source.label)
+                .forEach(source => shows.push({ label: source.label, sources: [source], cacheKey: this.getCacheKey([source]) }));
+        }
+        
+        return shows.map(show => ({ ...show, sourceIds: show.sources.map(source => source.id) }));
+    }
+    
+    /**
+     * Every video the widget has at hand, as { video, sourceIds } entries for filterYouTubeVideos:
+     * what is on screen, pages held back for "load more" and the cached lists of the feed and its tabs.
+     * A show that was never opened is loaded (and cached) like its tab would be; without any of these,
+     * the fallback videos are searched.
+     */
+    async getSearchCatalogue(show = null) {
+        const entries = new Map();
+        const add = videos => this.removeBlocklisted(videos).forEach(video => {
+            const entry = entries.get(video.id) || { video, sourceIds: [] };
+            if (video.source && !entry.sourceIds.includes(video.source.id)) {
+                entry.sourceIds.push(video.source.id);
+            }
+            entries.set(video.id, entry);
+        });
+        
+        add(this.renderedVideos);
+        this.paging.forEach(paging => add(paging.pending));
+        
+        const cacheKeys = new Set([this.cacheKey, ...this.tabs.map(tab => tab.cacheKey)]);
+        if (show) {
+            cacheKeys.add(show.cacheKey);
+        }
+        
+        const lists = await Promise.all(Array.from(cacheKeys, async cacheKey => {
+            // Read the cache directly: getFromCache would replace the paging of the list on screen
+            const entry = await this.cache.get(cacheKey);
+            if (entry && entry.data && Array.isArray(entry.data.videos) && entry.data.videos.length > 0) {
+                return entry.data.videos;
+            }
+            
+            if (!show || cacheKey !== show.cacheKey || this.isQuotaBackoffActive()) {
+                return [];
+            }
+            
+            try {
+                const videos = await this.fetchVideos(show.sources);
+                if (videos.length > 0) {
+                    this.saveToCache(videos, cacheKey);
+                }
+                return videos;
+            } catch (error) {
+                this.recordError(error, 'Error loading videos to search');
+                return [];
+            }
+        }));
+        lists.forEach(add);
+        
+        if (entries.size === 0) {
+            add(this.createFallbackVideos());
+        }
+        
+        return Array.from(entries.values());
+    }
+    
+    /**
+     * Whether YouTube's search may be asked: it is on, there is a channel to scope it to and quota left
+     */
+    canSearchChannel() {
+        return Boolean(this.options.remoteSearch && this.getPrimaryChannel() && !this.isQuotaBackoffActive());
+    }
+    
+    /**
+     * Search the primary channel on YouTube; from and to are timestamps or null
+     * Each query is only sent once per page view (search.list costs 100 quota units).
+     */
+    searchChannelVideos(query, { from = null, to = null } = {}) {
+        const key = JSON.stringify([normalizeYouTubeSearchText(query), from, to]);
+        if (!this.remoteSearches.has(key)) {
+            this.remoteSearches.set(key, this.fetchSearchResults(query.trim(), from, to).catch(error => {
+                this.remoteSearches.delete(key);
+                throw error;
+            }));
+        }
+        
+        return this.remoteSearches.get(key).then(videos => this.removeBlocklisted(videos));
+    }
+    
+    /**
+     * Run a search.list query for videos of the primary channel, through the proxy if there is one
+     */
+    async fetchSearchResults(query, from, to) {
+        const channel = this.getPrimaryChannel();
+        const dates = {
+            ...(from !== null ? { publishedAfter: new Date(from).toISOString() } : {}),
+            ...(to !== null ? { publishedBefore: new Date(to).toISOString() } : {})
+        };
+        
+        let videos;
+        if (this.options.endpoint) {
+            const data = await this.fetchFromEndpoint({ channel, q: query, maxResults: this.options.maxResults, ...dates });
+            videos = (data.videos || []).map(video => ({
+                ...video,
+                publishedAt: YouTubeChannelVideos.parseDate(video.publishedAt)
+            }));
+        } else {
+            const channelId = await this.getChannelId(channel);
+            const params = new URLSearchParams({
+                part: 'snippet',
+                type: 'video',
+                channelId,
+                q: query,
+                maxResults: this.options.maxResults,
+                ...dates,
+                key: this.options.apiKey
+            });
+            const data = await this.request(`https://www.googleapis.com/youtube/v3/search?${params}`, 'Failed to search videos');
+            videos = await this.enrichVideos((data.items || [])
+                .filter(item => item.id && item.id.videoId)
+                .map(item => ({
+                    id: item.id.videoId,
+                    // search.list returns titles and descriptions HTML-escaped, unlike playlistItems.list
+                    title: YouTubeChannelVideos.decodeHtmlEntities(item.snippet.title),
+                    description: YouTubeChannelVideos.decodeHtmlEntities(item.snippet.description),
+                    thumbnail: item.snippet.thumbnails.high || item.snippet.thumbnails.medium || item.snippet.thumbnails.default,
+                    publishedAt: YouTubeChannelVideos.parseDate(item.snippet.publishedAt),
+                    channelTitle: YouTubeChannelVideos.decodeHtmlEntities(item.snippet.channelTitle)
+                })));
+        }
+        
+        return videos.map(video => ({ ...video, isShort: this.isShort(video) }));
+    }
+    
+    /**
+     * Undo the HTML escaping of search.list snippets (&amp; &quot; &#39; &lt; &gt;)
+     */
+    static decodeHtmlEntities(text) {
+        const entities = { amp: '&', quot: '"', '#39': "'", lt: '<', gt: '>' };
+        return String(text || '').replace(/&(amp|quot|#39|lt|gt);/g, (match, name) => entities[name]);
+    }
+    
+    /**
+     * Label naming the channel or playlist a video came from, shown when several sources are merged
+     */
+    renderSourceLabel(video) {
+        if (this.sources.length < 2 || !video.source || !video.source.label) {
+            return null;
+        }
+        
+        return createYouTubeElement('span', { className: 'youtube-video-source', text: video.source.label });
+    }
+    
+    /**
+     * Intercept plain clicks on video cards and open them in the on-page player
+     */
+    setupPlayerModal() {
+        if (typeof YouTubePlayerModal === 'undefined') {
+            console.error('YouTubePlayerModal is not loaded; videos will open on youtube.com');
+            return;
+        }
+        
+        // Only one widget reads and writes the URL hash, so a deep link doesn't open several players
+        const ownsDeepLinks = this.options.deepLink && (!youtubeDeepLinkOwner || youtubeDeepLinkOwner.destroyed);
+        this.player = new YouTubePlayerModal({
+            deepLink: ownsDeepLinks,
+            messages: this.messages,
+            theme: this.theme,
+            id: `${this.widgetId}-player`
+        });
+        
+        this.container.addEventListener('click', this.handleContainerClick);
+        if (this.search) {
+            this.search.element.addEventListener('click', this.handleContainerClick);
+        }
+        
+        if (ownsDeepLinks) {
+            youtubeDeepLinkOwner = this;
+            window.addEventListener('hashchange', this.handleHashChange);
+        }
+    }
+    
+    /**
+     * Open clicked videos (in the container or among the search results) in the player overlay
+     */
+    handleContainerClick(event) {
+        const link = event.target.closest('.youtube-video-link[data-video-index]');
+        if (!link) return;
+        
+        let videos = null;
+        if (this.container.contains(link)) {
+            videos = this.renderedVideos;
+        } else if (this.search && this.search.element.contains(link)) {
+            videos = this.search.results;
+        }
+        if (!videos) return;
+        
+        // Middle-click and modifier-click keep the browser's "open in new tab" behaviour
+        if (event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) return;
+        
+        const video = videos[Number(link.dataset.videoIndex)];
+        if (!this.isPlayableInModal(video)) return;
+        
+        event.preventDefault();
+        this.openPlayer(video, videos);
+    }
+    
+    /**
+     * Follow #video=<id> changes made by the viewer (back/forward, edited URL)
+     */
+    handleHashChange() {
+        const videoId = YouTubePlayerModal.getDeepLinkedVideoId();
+        if (videoId) {
+            this.openPlayerById(videoId);
+        } else {
+            this.player.close();
+        }
+    }
+    
+    /**
+     * Whether a video can be played in the overlay (it has an ID and no custom non-YouTube URL)
+     */
+    isPlayableInModal(video) {
+        if (!video || !/^[\w-]{11}$/.test(video.id)) return false;
+        return !video.url || /^https:\/\/(www\.|m\.)?(youtube\.com|youtu\.be)\//.test(video.url);
+    }
+    
+    /**
+     * Open the player on a video, navigating through the playable videos of a list (the ones currently rendered)
+     */
+    openPlayer(video, videos = this.renderedVideos) {
+        const playlist = videos.filter(item => this.isPlayableInModal(item));
+        this.player.open(playlist, playlist.indexOf(video));
+    }
+    
+    /**
+     * Open the player by video ID, even if the video is not part of the rendered list
+     */
+    openPlayerById(videoId) {
+        if (!this.player) return;
+        
+        const video = this.renderedVideos.find(item => item.id === videoId);
+        if (video && this.isPlayableInModal(video)) {
+            this.openPlayer(video);
+        } else {
+            this.player.open([{ id: videoId, title: '' }], 0);
+        }
+    }
+    
+    /**
+     * Open the video named in a #video=<id> deep link, once, after the first render
+     */
+    openDeepLinkedVideo() {
+        if (this.deepLinkHandled || !this.player || youtubeDeepLinkOwner !== this) return;
+        this.deepLinkHandled = true;
+        
+        const videoId = YouTubePlayerModal.getDeepLinkedVideoId();
+        if (videoId) {
+            this.openPlayerById(videoId);
+        }
+    }
+    
+    /**
+     * Show loading state
+     */
+    showLoading() {
+        if (this.destroyed) return;
+        this.clearLayout();
+        this.container.setAttribute('aria-busy', 'true');
+        
+        // Switching tabs keeps the tab buttons and shows the spinner inside the panel
+        if (this.tabPanel && this.container.contains(this.tabPanel)) {
+            this.updateTabSelection();
+            this.tabPanel.setAttribute('aria-busy', 'true');
+            this.tabPanel.innerHTML = youtubeStaticHTML(`
+                <div class="youtube-loading">
+                    <div class="youtube-loading-spinner"></div>
+                </div>
+            `);
+            this.tabPanel.querySelector('.youtube-loading').appendChild(createYouTubeElement('p', {
+                className: 'youtube-visually-hidden',
+                role: 'status',
+                text: this.messages.t('loading')
+            }));
+            return;
+        }
+        
+        this.container.innerHTML = youtubeStaticHTML(`
+            <div class="youtube-loading">
+                <div class="youtube-loading-spinner"></div>
+            </div>
+        `);
+        this.container.querySelector('.youtube-loading').appendChild(createYouTubeElement('p', { role: 'status', text: this.messages.t('loading') }));
+        
+        if (this.liveElement) {
+            this.container.prepend(this.liveElement);
         }
     }
     
     /**
-     * Render videos in the container
+     * Show an error's message in the widget's locale (see youtube-errors.js), with a retry button where trying again
+     * may help, and with the debug option the error's details
      */
-    renderVideos(videos) {
-        // Hide loading indicator
-        document.getElementById('youtube-loading').style.display = 'none';
+    showError(error) {
+        if (this.destroyed) return;
+        this.clearLayout();
         
-        // Clear container
-        this.container.innerHTML = '';
+        const typedError = typeof error === 'string' ? new YouTubeWidgetError(error) : toYouTubeError(error);
+        // A missing channel or a rejected key won't fix itself, and a quota pause would just fail again
+        const canRetry = !['auth', 'notFound', 'quota'].includes(typedError.kind);
         
-        // Create channel info header
-        const channelInfo = document.createElement('div');
-        channelInfo.className = 'youtube-channel-info';
-        channelInfo.innerHTML = `
-            <h3>
-                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="vertical-align: middle; margin-left: 8px;">
-                    <path d="M22.54 6.42a2.78 2.78 0 0 0-1.94-2C18.88 4 12 4 12 4s-6.88 0-8.6.46a2.78 2.78 0 0 0-1.94 2A29 29 0 0 0 1 11.75a29 29 0 0 0 .46 5.33A2.78 2.78 0 0 0 3.4 19c1.72.46 8.6.46 8.6.46s6.88 0 8.6-.46a2.78 2.78 0 0 0 1.94-2 29 29 0 0 0 .46-5.25 29 29 0 0 0-.46-5.33z"></path>
-                    <polygon points="9.75 15.02 15.5 11.75 9.75 8.48 9.75 15.02"></polygon>
-                </svg>
-                ${videos[0]?.channelTitle || 'آخر الفيديوهات من يوتيوب'}
-            </h3>
-        `;
-        this.container.appendChild(channelInfo);
+        // Keep (or add) the tab buttons so the viewer can still switch to another tab
+        const inTabPanel = this.tabs.length > 0;
+        if (inTabPanel && !(this.tabPanel && this.container.contains(this.tabPanel))) {
+            this.container.replaceChildren();
+            this.renderTabs();
+            this.container.appendChild(this.tablist);
+            this.container.appendChild(this.tabPanel);
+        }
+        const target = inTabPanel ? this.tabPanel : this.container;
+        this.container.removeAttribute('aria-busy');
+        if (inTabPanel) {
+            this.tabPanel.removeAttribute('aria-busy');
+        }
         
-        // Create featured video (first video) if option is enabled
-        let startIndex = 0;
-        if (this.options.featuredVideo && videos.length > 0) {
-            const featuredVideo = videos[0];
-            const featuredElement = document.createElement('div');
-            featuredElement.className = 'youtube-featured-video';
-            
-            // Use the URL property if available, otherwise construct it from the ID
-            const featuredVideoUrl = featuredVideo.url || `https://www.youtube.com/watch?v=${featuredVideo.id}`;
-            
-            featuredElement.innerHTML = `
-                <a href="${featuredVideoUrl}" target="_blank" class="youtube-video-link">
-                    <div class="youtube-thumbnail-container">
-                        <img src="${featuredVideo.thumbnail.url}" alt="${featuredVideo.title}" class="youtube-thumbnail">
-                        <div class="youtube-play-button">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="64" height="64" viewBox="0 0 24 24" fill="#ffffff" stroke="#ffffff" stroke-width="1" stroke-linecap="round" stroke-linejoin="round">
-                                <circle cx="12" cy="12" r="10" fill="rgba(0,0,0,0.5)"></circle>
-                                <polygon points="10 8 16 12 10 16 10 8" fill="#ffffff"></polygon>
-                            </svg>
-                        </div>
-                    </div>
-                    <div class="youtube-video-info">
-                        <h4 class="youtube-video-title">${featuredVideo.title}</h4>
-                    </div>
-                </a>
-            `;
-            
-            this.container.appendChild(featuredElement);
-            startIndex = 1; // Skip the first video in the grid if it's featured
-        }
-        
-        // Create videos grid for all or remaining videos
-        const grid = document.createElement('div');
-        grid.className = 'youtube-videos-grid';
-        
-        // Display all videos or skip the first one if it's featured
-        videos.slice(startIndex).forEach(video => {
-            const videoElement = document.createElement('div');
-            videoElement.className = 'youtube-video-item';
-            
-            // Use the URL property if available, otherwise construct it from the ID
-            const videoUrl = video.url || `https://www.youtube.com/watch?v=${video.id}`;
-            
-            videoElement.innerHTML = `
-                <a href="${videoUrl}" target="_blank" class="youtube-video-link">
-                    <div class="youtube-thumbnail-container">
-                        <img src="${video.thumbnail.url}" alt="${video.title}" class="youtube-thumbnail">
-                        <div class="youtube-play-button">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="#ffffff" stroke="#ffffff" stroke-width="1" stroke-linecap="round" stroke-linejoin="round">
-                                <circle cx="12" cy="12" r="10" fill="rgba(0,0,0,0.5)"></circle>
-                                <polygon points="10 8 16 12 10 16 10 8" fill="#ffffff"></polygon>
-                            </svg>
-                        </div>
-                    </div>
-                    <div class="youtube-video-info">
-                        <h4 class="youtube-video-title">${video.title}</h4>
-                    </div>
-                </a>
-            `;
-            
-            grid.appendChild(videoElement);
-        });
+        const retryButton = canRetry
+            ? createYouTubeElement('button', { type: 'button', className: 'youtube-error-retry', text: this.messages.t('retry') })
+            : null;
+        if (retryButton) {
+            retryButton.addEventListener('click', () => this.loadVideos());
+        }
         
-        this.container.appendChild(grid);
+        target.replaceChildren(createYouTubeElement('div', {
+            className: 'youtube-error',
+            role: 'alert',
+            'data-error-kind': typedError.kind
+        }, [
+            createYouTubeIcon('error', 24),
+            createYouTubeElement('p', { className: 'youtube-error-message', text: typedError.getUserMessage(this.messages) }),
+            createYouTubeElement('div', { className: 'youtube-error-actions' }, [
+                retryButton,
+                createYouTubeElement('a', {
+                    href: this.getChannelUrl(inTabPanel ? this.tabs[this.activeTab].sources : this.sources),
+                    target: '_blank',
+                    className: 'youtube-error-link'
+                }, [this.messages.t('visitChannel'), this.renderNewWindowHint()])
+            ]),
+            this.options.debug
+                ? createYouTubeElement('details', { className: 'youtube-error-details', dir: 'ltr' }, [
+                    createYouTubeElement('summary', { text: 'Details' }),
+                    createYouTubeElement('code', {
+                        text: `${typedError.name} (${typedError.kind}${typedError.status ? `, HTTP ${typedError.status}` : ''}${typedError.reason ? `, ${typedError.reason}` : ''}): ${typedError.message}`
+                    })
+                ])
+                : null
+        ]));
         
-        // Add "View More" button
-        const viewMoreBtn = document.createElement('div');
-        viewMoreBtn.className = 'youtube-view-more';
-        viewMoreBtn.innerHTML = `
-            <a href="https://www.youtube.com/${this.options.channelUsername || 'channel/' + this.options.channelId}" target="_blank" class="youtube-view-more-btn">
-                عرض المزيد من الفيديوهات
-                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="vertical-align: middle; margin-right: 5px;">
-                    <path d="M5 12h14"></path>
-                    <path d="M12 5l7 7-7 7"></path>
-                </svg>
-            </a>
-        `;
-        this.container.appendChild(viewMoreBtn);
+        // A live broadcast is still worth showing when the list failed to load
+        if (this.liveElement && !this.container.contains(this.liveElement)) {
+            this.container.prepend(this.liveElement);
+        }
     }
     
     /**
-     * Show loading state
+     * Save videos to the cache
      */
-    showLoading() {
-        // We'll use the external loading indicator instead of creating one in the container
-        document.getElementById('youtube-loading').style.display = 'flex';
-        this.container.innerHTML = ''; // Clear the container for videos
+    saveToCache(videos, cacheKey = this.cacheKey) {
+        return this.cache.set(cacheKey, {
+            videos,
+            paging: this.paging.get(cacheKey) || null // Lets "load more" continue where it left off
+        });
     }
     
     /**
-     * Show error message
+     * Get cached videos as { videos, paging, stale, updatedAt }, restoring the "load more" state saved with them
+     * Entries are kept past cacheExpiration; stale ones are shown while they are revalidated.
      */
-    showError(message) {
-        // Hide loading indicator
-        document.getElementById('youtube-loading').style.display = 'none';
+    async getFromCache(cacheKey = this.cacheKey) {
+        const entry = await this.cache.get(cacheKey);
+        if (!entry || !entry.data || !Array.isArray(entry.data.videos) || entry.data.videos.length === 0) {
+            return null;
+        }
         
-        this.container.innerHTML = `
-            <div class="youtube-error">
-                <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                    <circle cx="12" cy="12" r="10"></circle>
-                    <line x1="12" y1="8" x2="12" y2="12"></line>
-                    <line x1="12" y1="16" x2="12.01" y2="16"></line>
-                </svg>
-                <p>${message}</p>
-                <a href="https://www.youtube.com/${this.options.channelUsername || 'channel/' + this.options.channelId}" target="_blank" class="youtube-error-link">
-                    زيارة القناة على يوتيوب
-                </a>
-            </div>
-        `;
-    }
-    
-    /**
-     * Save videos to localStorage cache
-     */
-    saveToCache(videos) {
-        try {
-            const cacheData = {
-                videos,
-                timestamp: Date.now()
-            };
-            localStorage.setItem(this.cacheKey, JSON.stringify(cacheData));
-        } catch (error) {
-            console.error('Error saving to cache:', error);
+        const { videos, paging } = entry.data;
+        if (paging) {
+            this.paging.set(cacheKey, paging);
         }
+        
+        return {
+            videos,
+            paging,
+            stale: Date.now() > entry.timestamp + (this.options.cacheExpiration * 1000),
+            updatedAt: entry.timestamp
+        };
     }
     
     /**
-     * Get videos from localStorage cache
+     * The valid entries of fallback file contents, logging the problems with the others
      */
-    getFromCache() {
-        try {
-            const cacheData = localStorage.getItem(this.cacheKey);
-            if (!cacheData) return null;
-            
-            const { videos, timestamp } = JSON.parse(cacheData);
-            const expirationTime = timestamp + (this.options.cacheExpiration * 1000);
-            
-            // Check if cache is expired
-            if (Date.now() > expirationTime) {
-                localStorage.removeItem(this.cacheKey);
-                return null;
-            }
-            
-            return videos;
-        } catch (error) {
-            console.error('Error getting from cache:', error);
-            return null;
-        }
+    getValidFallbackEntries(data, label) {
+        const { data: valid, errors, warnings } = validateFallbackVideos(data);
+        errors
+            .filter(({ path }) => path !== 'version')
+            .forEach(({ path, message }) => console.warn(`Skipping fallback video ${label} ${path}: ${message}`));
+        warnings.forEach(({ path, message }) => console.warn(`Fallback video ${label} ${path} ${message}`));
+        return valid.videos;
     }
     
     /**
      * Create video objects from fallback videos
-     * Accepts either an array of video IDs (strings) or an array of objects with id, title, and url properties
-     * The fallback videos are typically loaded from a JSON file via the script.js file
-     * The JSON file also controls the featured video display setting
+     * The entries follow fallback-videos.schema.json. Entries from the fallbackVideos option are checked
+     * here (fallbackUrl files already were); entries outside their publishedAt/expiresAt window are left
+     * out and pinned entries come first. publishedAt, duration, viewCount and aspectRatio are used like
+     * API metadata, and thumbnail replaces the i.ytimg.com image.
      */
     createFallbackVideos() {
         if (!this.options.fallbackVideos || this.options.fallbackVideos.length === 0) {
             return [];
         }
         
-        return this.options.fallbackVideos.map((video, index) => {
-            // Check if the video is an object with id, title, and url or just a string ID
-            const videoId = typeof video === 'object' ? video.id : video;
-            const videoTitle = typeof video === 'object' && video.title ? video.title : `Video ${index + 1}`;
-            const videoUrl = typeof video === 'object' && video.url ? video.url : `https://www.youtube.com/watch?v=${videoId}`;
+        if (!this.fallbackEntries || this.fallbackEntries.source !== this.options.fallbackVideos) {
+            const { data } = migrateFallbackVideos({ videos: this.options.fallbackVideos });
+            this.fallbackEntries = {
+                source: this.options.fallbackVideos,
+                videos: this.getValidFallbackEntries(data, 'option')
+            };
+        }
+        
+        return selectFallbackVideos(this.fallbackEntries.videos).map(video => {
+            const videoId = encodeURIComponent(video.id);
+            // Links and thumbnails outside YouTube and this site are replaced with YouTube's
+            const videoUrl = youtubeSafeUrl(video.url, `https://www.youtube.com/watch?v=${videoId}`);
+            const thumbnailUrl = youtubeSafeUrl(video.thumbnail);
             
-            return {
-                id: videoId,
-                title: videoTitle,
+            const fallbackVideo = {
+                id: video.id,
+                title: video.title,
                 description: '',
-                thumbnail: {
-                    url: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
-                    width: 480,
-                    height: 360
-                },
-                publishedAt: new Date(),
-                channelTitle: 'Alaan TV Channel',
-                url: videoUrl // Add the URL property
+                thumbnail: thumbnailUrl
+                    ? { url: thumbnailUrl }
+                    : { url: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`, width: 480, height: 360 },
+                // No date is better than showing every fallback video as published just now
+                publishedAt: YouTubeChannelVideos.parseDate(video.publishedAt),
+                duration: YouTubeChannelVideos.parseDuration(video.duration),
+                viewCount: typeof video.viewCount === 'number' ? video.viewCount : null,
+                aspectRatio: typeof video.aspectRatio === 'number' ? video.aspectRatio : null,
+                channelTitle: '', // The header shows the heading message instead of a made-up channel name
+                url: videoUrl
             };
+            
+            return { ...fallbackVideo, isShort: this.isShort(fallbackVideo) };
         });
     }
 }
 
-// Add CSS styles
+// Add CSS styles, once; colours, radius and grid come from the theme's custom properties (see youtube-theme.js)
 const addYouTubeStyles = () => {
-    const styleElement = document.createElement('style');
-    styleElement.textContent = `
+    YouTubeTheme.addStyles(YOUTUBE_DEFAULT_THEME);
+    addYouTubeStyleSheet('youtube-widget-styles', `
+        :where([data-youtube-theme]) {
+            color: var(--youtube-text);
+        }
+        
         /* Featured video styles */
         .youtube-featured-video {
-            border-radius: 8px;
+            border-radius: var(--youtube-radius);
             overflow: hidden;
             box-shadow: 0 3px 10px rgba(0, 0, 0, 0.2);
             transition: transform 0.2s ease, box-shadow 0.2s ease;
             margin-bottom: 25px;
-            background-color: #111;
+            background-color: var(--youtube-surface);
         }
         
         .youtube-featured-video:hover {
@@ -452,8 +2751,8 @@ const addYouTubeStyles = () => {
         /* Regular videos grid */
         .youtube-videos-grid {
             display: grid;
-            grid-template-columns: repeat(3, 1fr);
-            gap: 15px;
+            grid-template-columns: repeat(var(--youtube-columns), 1fr);
+            gap: var(--youtube-gap);
             margin-top: 15px;
         }
         
@@ -478,7 +2777,7 @@ const addYouTubeStyles = () => {
         }
         
         .youtube-video-item {
-            border-radius: 8px;
+            border-radius: var(--youtube-radius);
             overflow: hidden;
             box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
             transition: transform 0.2s ease, box-shadow 0.2s ease;
@@ -495,10 +2794,29 @@ const addYouTubeStyles = () => {
             display: block;
         }
         
+        .youtube-video-link:focus-visible {
+            outline: 2px solid var(--youtube-focus);
+            outline-offset: 2px;
+            border-radius: var(--youtube-radius);
+        }
+        
+        /* Text for screen readers only */
+        .youtube-visually-hidden {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            margin: -1px;
+            padding: 0;
+            overflow: hidden;
+            clip: rect(0, 0, 0, 0);
+            white-space: nowrap;
+            border: 0;
+        }
+        
         .youtube-thumbnail-container {
             position: relative;
             padding-top: 56.25%; /* 16:9 aspect ratio */
-            background-color: #f0f0f0;
+            background-color: var(--youtube-surface-muted);
         }
         
         .youtube-thumbnail {
@@ -510,6 +2828,36 @@ const addYouTubeStyles = () => {
             object-fit: cover;
         }
         
+        .youtube-duration-badge,
+        .youtube-shorts-badge {
+            position: absolute;
+            bottom: 8px;
+            padding: 2px 6px;
+            border-radius: 4px;
+            background-color: rgba(0, 0, 0, 0.8);
+            color: #fff;
+            font-size: 12px;
+            font-weight: bold;
+            line-height: 1.4;
+            direction: ltr;
+        }
+        
+        .youtube-duration-badge {
+            inset-inline-end: 8px;
+        }
+        
+        .youtube-shorts-badge {
+            inset-inline-start: 8px;
+            background-color: var(--youtube-brand);
+            color: var(--youtube-on-brand);
+        }
+        
+        .youtube-video-meta {
+            margin-top: 4px;
+            color: var(--youtube-text-muted);
+            font-size: 13px;
+        }
+        
         .youtube-play-button {
             position: absolute;
             top: 50%;
@@ -527,7 +2875,7 @@ const addYouTubeStyles = () => {
         
         .youtube-video-info {
             padding: 12px;
-            background-color: #111;
+            background-color: var(--youtube-surface);
         }
         
         .youtube-video-title {
@@ -540,21 +2888,144 @@ const addYouTubeStyles = () => {
             -webkit-box-orient: vertical;
             overflow: hidden;
             text-overflow: ellipsis;
-            direction: rtl;
-            text-align: right;
+            text-align: start;
         }
         
         
+        .youtube-video-source {
+            display: inline-block;
+            padding: 2px 8px;
+            border-radius: 4px;
+            background-color: var(--youtube-surface-muted);
+            font-size: 12px;
+        }
+        
         .youtube-channel-info {
             margin-bottom: 15px;
         }
         
+        /* Show/playlist tabs */
+        .youtube-tabs {
+            display: flex;
+            gap: 8px;
+            overflow-x: auto;
+            margin-bottom: 15px;
+            padding-bottom: 4px;
+            scrollbar-width: thin;
+        }
+        
+        .youtube-tab {
+            flex-shrink: 0;
+            padding: 6px 14px;
+            border: 1px solid var(--youtube-border);
+            border-radius: 20px;
+            background: none;
+            color: inherit;
+            font: inherit;
+            font-size: 14px;
+            cursor: pointer;
+        }
+        
+        .youtube-tab[aria-selected="true"] {
+            background-color: var(--youtube-brand);
+            border-color: var(--youtube-brand);
+            color: var(--youtube-on-brand);
+        }
+        
+        .youtube-tab:focus-visible {
+            outline: 2px solid var(--youtube-focus);
+            outline-offset: 2px;
+        }
+        
+        .youtube-search {
+            margin-bottom: 20px;
+        }
+        
+        .youtube-search-form {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: flex-end;
+            gap: 10px;
+        }
+        
+        .youtube-search-input {
+            flex: 1 1 240px;
+        }
+        
+        .youtube-search-input,
+        .youtube-search-show,
+        .youtube-search-date,
+        .youtube-search-reset,
+        .youtube-search-remote {
+            padding: 8px 12px;
+            border: 1px solid var(--youtube-border);
+            border-radius: 6px;
+            background-color: transparent;
+            color: inherit;
+            font: inherit;
+            font-size: 14px;
+        }
+        
+        .youtube-search-show option {
+            background-color: var(--youtube-surface);
+            color: var(--youtube-text);
+        }
+        
+        .youtube-search-field {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            font-size: 12px;
+            opacity: 0.8;
+        }
+        
+        .youtube-search-reset,
+        .youtube-search-remote {
+            cursor: pointer;
+        }
+        
+        .youtube-search-remote {
+            margin-top: 10px;
+        }
+        
+        .youtube-search-input:focus-visible,
+        .youtube-search-show:focus-visible,
+        .youtube-search-date:focus-visible,
+        .youtube-search-reset:focus-visible,
+        .youtube-search-remote:focus-visible {
+            outline: 2px solid var(--youtube-focus);
+            outline-offset: 2px;
+        }
+        
+        .youtube-search-status {
+            margin: 10px 0 0;
+            font-size: 14px;
+        }
+        
+        .youtube-search-status:empty {
+            display: none;
+        }
+        
+        .youtube-search-results[aria-busy="true"] {
+            opacity: 0.5;
+        }
+        
         .youtube-channel-info h3 {
             margin: 0;
             font-size: 18px;
             display: flex;
             align-items: center;
-            direction: rtl;
+        }
+        
+        .youtube-offline-banner {
+            margin-bottom: 15px;
+            padding: 10px 14px;
+            border-inline-start: 4px solid #f5a623;
+            border-radius: 4px;
+            background-color: rgba(245, 166, 35, 0.12);
+            font-size: 14px;
+            line-height: 1.5;
+            text-align: start;
         }
         
         .youtube-loading {
@@ -568,9 +3039,9 @@ const addYouTubeStyles = () => {
         .youtube-loading-spinner {
             width: 40px;
             height: 40px;
-            border: 4px solid rgba(0, 0, 0, 0.1);
+            border: 4px solid var(--youtube-surface-muted);
             border-radius: 50%;
-            border-top-color: #ff0000;
+            border-top-color: var(--youtube-brand);
             animation: youtube-spin 1s linear infinite;
             margin-bottom: 15px;
         }
@@ -582,20 +3053,50 @@ const addYouTubeStyles = () => {
         .youtube-error {
             text-align: center;
             padding: 40px 0;
-            color: #666;
+            color: var(--youtube-text-muted);
         }
         
         .youtube-error svg {
             margin-bottom: 15px;
-            color: #ff0000;
+            color: var(--youtube-brand);
+        }
+        
+        .youtube-error-actions {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: center;
+            gap: 10px;
+            margin-top: 15px;
+        }
+        
+        .youtube-error-retry {
+            padding: 8px 16px;
+            border: 1px solid var(--youtube-brand);
+            border-radius: 4px;
+            background: none;
+            color: inherit;
+            font: inherit;
+            font-weight: 500;
+            cursor: pointer;
+        }
+        
+        .youtube-error-retry:focus-visible,
+        .youtube-error-link:focus-visible {
+            outline: 2px solid var(--youtube-focus);
+            outline-offset: 2px;
+        }
+        
+        .youtube-error-details {
+            margin-top: 15px;
+            font-size: 12px;
+            text-align: left;
         }
         
         .youtube-error-link {
             display: inline-block;
-            margin-top: 15px;
             padding: 8px 16px;
-            background-color: #ff0000;
-            color: white;
+            background-color: var(--youtube-brand);
+            color: var(--youtube-on-brand);
             text-decoration: none;
             border-radius: 4px;
             font-weight: 500;
@@ -609,23 +3110,272 @@ const addYouTubeStyles = () => {
         .youtube-view-more-btn {
             display: inline-block;
             padding: 8px 16px;
-            background-color: #ff0000;
-            color: #606060;
+            background-color: var(--youtube-brand);
+            color: var(--youtube-on-brand);
             text-decoration: none;
             border-radius: 4px;
             font-weight: 500;
-            transition: background-color 0.2s ease;
+            transition: filter 0.2s ease;
         }
         
         .youtube-view-more-btn:hover {
-            background-color: #e8e8e8;
+            filter: brightness(0.85);
+        }
+        
+        .youtube-view-more-btn:focus-visible {
+            outline: 2px solid var(--youtube-focus);
+            outline-offset: 2px;
+        }
+        
+        .youtube-load-more-btn {
+            border: none;
+            font: inherit;
+            cursor: pointer;
+        }
+        
+        .youtube-load-more-btn:disabled {
+            opacity: 0.7;
+            cursor: progress;
+        }
+        
+        /* Live broadcast block */
+        .youtube-live-block {
+            border-radius: var(--youtube-radius);
+            overflow: hidden;
+            margin-bottom: 25px;
+            background-color: var(--youtube-surface);
+            box-shadow: 0 3px 10px rgba(0, 0, 0, 0.2);
+            text-align: start;
+        }
+        
+        .youtube-live-live {
+            border: 2px solid var(--youtube-brand);
+        }
+        
+        .youtube-live-header {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            padding: 12px 16px;
+        }
+        
+        .youtube-live-badge {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            flex-shrink: 0;
+            padding: 4px 10px;
+            border-radius: 4px;
+            background-color: var(--youtube-brand);
+            color: var(--youtube-on-brand);
+            font-size: 13px;
+            font-weight: bold;
+        }
+        
+        .youtube-live-badge-upcoming {
+            background-color: var(--youtube-text-muted);
+            color: var(--youtube-surface);
+        }
+        
+        .youtube-live-dot {
+            width: 8px;
+            height: 8px;
+            border-radius: 50%;
+            background-color: currentColor;
+            animation: youtube-live-pulse 1.2s ease-in-out infinite;
+        }
+        
+        @keyframes youtube-live-pulse {
+            50% { opacity: 0.3; }
+        }
+        
+        .youtube-live-title {
+            margin: 0;
+            font-size: 16px;
+            line-height: 1.4;
+        }
+        
+        .youtube-live-player {
+            position: relative;
+            padding-top: 56.25%; /* 16:9 aspect ratio */
+            background-color: #000;
+        }
+        
+        .youtube-live-player iframe {
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            margin: 0;
+            border: none;
+            border-radius: 0;
+        }
+        
+        .youtube-live-upcoming-link {
+            display: grid;
+            grid-template-columns: 2fr 3fr;
+            color: inherit;
+            text-decoration: none;
+            text-align: start;
+            margin: 0;
+        }
+        
+        .youtube-live-upcoming-info {
+            padding: 16px;
+            display: flex;
+            flex-direction: column;
+            align-items: flex-start;
+            gap: 8px;
+        }
+        
+        .youtube-live-schedule {
+            margin: 0;
+            font-size: 14px;
+            opacity: 0.8;
+        }
+        
+        .youtube-live-countdown {
+            margin: 0;
+            font-size: 20px;
+            font-weight: bold;
+            font-variant-numeric: tabular-nums;
+        }
+        
+        @media (max-width: 480px) {
+            .youtube-live-upcoming-link {
+                grid-template-columns: 1fr;
+            }
+        }
+        
+        /* Horizontal scrollers (carousel layout, Shorts rail) */
+        .youtube-scroller {
+            margin-bottom: 25px;
+            text-align: start;
+        }
+        
+        .youtube-scroller-header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            margin-bottom: 10px;
+        }
+        
+        .youtube-scroller-title {
+            margin: 0;
+            font-size: 16px;
+        }
+        
+        .youtube-scroller-controls {
+            display: flex;
+            gap: 6px;
+            margin-inline-start: auto;
+        }
+        
+        .youtube-scroller-button {
+            display: inline-flex;
+            align-items: center;
+            justify-content: center;
+            width: 32px;
+            height: 32px;
+            padding: 0;
+            border: none;
+            border-radius: 50%;
+            background-color: var(--youtube-surface-muted);
+            color: inherit;
+            cursor: pointer;
+        }
+        
+        .youtube-scroller-button:hover {
+            background-color: var(--youtube-border);
+        }
+        
+        .youtube-scroller-button:focus-visible {
+            outline: 2px solid var(--youtube-focus);
+            outline-offset: 2px;
+        }
+        
+        .youtube-scroller-track {
+            display: flex;
+            gap: var(--youtube-gap);
+            overflow-x: auto;
+            overscroll-behavior-x: contain;
+            scroll-snap-type: x mandatory;
+            scrollbar-width: none;
+            -webkit-overflow-scrolling: touch;
+            padding-bottom: 4px;
+        }
+        
+        .youtube-scroller-track::-webkit-scrollbar {
+            display: none;
+        }
+        
+        /* Shorts rail */
+        .youtube-short-item {
+            flex: 0 0 160px;
+            scroll-snap-align: start;
+        }
+        
+        .youtube-short-thumbnail-container {
+            position: relative;
+            padding-top: 177.78%; /* 9:16 aspect ratio */
+            border-radius: var(--youtube-radius);
+            overflow: hidden;
+            background-color: var(--youtube-surface-muted);
+        }
+        
+        .youtube-short-item .youtube-video-info {
+            padding: 8px 0 0;
+        }
+        
+        @media (max-width: 480px) {
+            .youtube-short-item {
+                flex-basis: 40%;
+            }
+        }
+        
+        /* No lifting cards, growing play buttons, spinning or pulsing for viewers who ask for less motion */
+        @media (prefers-reduced-motion: reduce) {
+            .youtube-featured-video,
+            .youtube-video-item,
+            .youtube-play-button {
+                transition: none;
+            }
+            
+            .youtube-featured-video:hover,
+            .youtube-video-item:hover {
+                transform: none;
+            }
+            
+            .youtube-video-item:hover .youtube-play-button,
+            .youtube-featured-video:hover .youtube-play-button {
+                transform: translate(-50%, -50%);
+            }
+            
+            .youtube-loading-spinner,
+            .youtube-live-dot {
+                animation: none;
+            }
         }
-    `;
-    document.head.appendChild(styleElement);
+    `);
+};
+
+// Options for widgets started from data-yt-widget markup; data attributes override them
+YouTubeChannelVideos.widgetDefaults = {
+    endpoint: '/api/videos' // The site's proxy (netlify/functions/videos.js)
 };
+YouTubeChannelVideos.observer = null;
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     // Add styles
     addYouTubeStyles();
-});
\ No newline at end of file
+    
+    // Start widgets declared in the markup, including ones added later
+    YouTubeChannelVideos.autoInit();
+    YouTubeChannelVideos.observe();
+});
+
+export {
+    YouTubeChannelVideos
+};
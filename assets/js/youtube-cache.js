@@ -0,0 +1,231 @@
+/**
+ * YouTube Video Cache
+ *
+ * Persistent storage for the video widget's cache entries (also used by instagram-feed.js for posts).
+ *
+ * Features:
+ * - Stores entries in IndexedDB, falling back to localStorage where IndexedDB is unavailable
+ *   (older browsers, some private browsing modes)
+ * - Versions the entry format; entries written with another schema version are dropped on read
+ * - Never expires entries by itself, so stale data can be shown while it is revalidated;
+ *   entries not written for maxAge are pruned when the cache opens
+ * - Frees space from old widget entries when localStorage runs out of room
+ */
+
+// Bump when the shape of cached data changes; older entries are then ignored and deleted
+const YOUTUBE_CACHE_SCHEMA_VERSION = 4;
+
+class YouTubeVideoCache {
+    constructor(options) {
+        this.options = {
+            dbName: 'youtube-videos', // IndexedDB database name
+            storeName: 'entries', // IndexedDB object store name
+            keyPrefix: 'youtube-videos-', // Prefix of localStorage keys (the widget's cache keys)
+            maxAge: 30 * 24 * 3600, // Seconds after which unused entries are pruned (30 days)
+            schemaVersion: YOUTUBE_CACHE_SCHEMA_VERSION, // Version of the cached data's shape; other caches keep their own
+            ...options
+        };
+
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the IndexedDB database, resolving with null when IndexedDB can't be used
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise(resolve => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            let request;
+            try {
+                request = window.indexedDB.open(this.options.dbName, 1);
+            } catch (error) {
+                resolve(null);
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.options.storeName);
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                this.removeLegacyEntries();
+                this.prune(db);
+                resolve(db);
+            };
+            request.onerror = () => {
+                console.error('Error opening video cache database:', request.error);
+                resolve(null);
+            };
+            request.onblocked = () => resolve(null);
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store and resolve with its result
+     */
+    runTransaction(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.options.storeName, mode);
+            const request = operation(transaction.objectStore(this.options.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get an entry as { data, timestamp }, or null if missing or written with another schema version
+     */
+    async get(key) {
+        let entry = null;
+
+        try {
+            const db = await this.openDatabase();
+            if (db) {
+                entry = await this.runTransaction(db, 'readonly', store => store.get(key));
+            } else {
+                const raw = localStorage.getItem(key);
+                entry = raw ? JSON.parse(raw) : null;
+            }
+        } catch (error) {
+            console.error('Error reading from video cache:', error);
+            return null;
+        }
+
+        if (!entry) return null;
+
+        if (entry.version !== this.options.schemaVersion) {
+            this.delete(key);
+            return null;
+        }
+
+        return { data: entry.data, timestamp: entry.timestamp };
+    }
+
+    /**
+     * Store data under a key with the current time
+     */
+    async set(key, data) {
+        const entry = {
+            version: this.options.schemaVersion,
+            timestamp: Date.now(),
+            data
+        };
+
+        try {
+            const db = await this.openDatabase();
+            if (db) {
+                // Structured clone keeps Date objects, but the localStorage path can't,
+                // so store the same JSON-safe shape in both
+                await this.runTransaction(db, 'readwrite', store => store.put(JSON.parse(JSON.stringify(entry)), key));
+                return;
+            }
+
+            this.setLocalStorage(key, JSON.stringify(entry));
+        } catch (error) {
+            console.error('Error saving to video cache:', error);
+        }
+    }
+
+    /**
+     * Remove an entry
+     */
+    async delete(key) {
+        try {
+            const db = await this.openDatabase();
+            if (db) {
+                await this.runTransaction(db, 'readwrite', store => store.delete(key));
+            } else {
+                localStorage.removeItem(key);
+            }
+        } catch (error) {
+            console.error('Error deleting from video cache:', error);
+        }
+    }
+
+    /**
+     * Write to localStorage, evicting the oldest widget entries when the storage is full
+     */
+    setLocalStorage(key, value) {
+        try {
+            localStorage.setItem(key, value);
+        } catch (error) {
+            if (error.name !== 'QuotaExceededError') throw error;
+
+            const oldestFirst = this.getLegacyKeys()
+                .filter(otherKey => otherKey !== key)
+                .map(otherKey => {
+                    try {
+                        return { key: otherKey, timestamp: JSON.parse(localStorage.getItem(otherKey)).timestamp || 0 };
+                    } catch (parseError) {
+                        return { key: otherKey, timestamp: 0 };
+                    }
+                })
+                .sort((a, b) => a.timestamp - b.timestamp);
+
+            for (const entry of oldestFirst) {
+                localStorage.removeItem(entry.key);
+                try {
+                    localStorage.setItem(key, value);
+                    return;
+                } catch (retryError) {
+                    // Still full; evict the next one
+                }
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * localStorage keys that belong to the widget cache
+     */
+    getLegacyKeys() {
+        try {
+            return Object.keys(localStorage).filter(key => key.startsWith(this.options.keyPrefix));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Entries from before IndexedDB was used are never read again, so free their space
+     */
+    removeLegacyEntries() {
+        this.getLegacyKeys().forEach(key => localStorage.removeItem(key));
+    }
+
+    /**
+     * Delete entries that haven't been written for maxAge
+     */
+    prune(db) {
+        const cutoff = Date.now() - this.options.maxAge * 1000;
+
+        try {
+            const transaction = db.transaction(this.options.storeName, 'readwrite');
+            const request = transaction.objectStore(this.options.storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (!cursor.value || cursor.value.timestamp < cutoff) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+        } catch (error) {
+            console.error('Error pruning video cache:', error);
+        }
+    }
+}
+
+export {
+    YouTubeVideoCache
+};
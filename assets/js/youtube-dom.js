@@ -0,0 +1,267 @@
+/**
+ * YouTube Widget DOM Helpers
+ *
+ * Safe element building for the widget modules (youtube-player.js, youtube-layouts.js, youtube-api.js,
+ * instagram-feed.js).
+ *
+ * Features:
+ * - Text from the API, the proxy or fallback-videos.json is only ever set as text or as an
+ *   attribute value, never parsed as HTML
+ * - Links, images and frames may only point to YouTube (youtube.com, youtu.be, i.ytimg.com), this site
+ *   or origins one element is allowed by its caller (the origins argument below), such as a widget's
+ *   accepted editorial entries or the Instagram feed's posts
+ * - Fixed markup (icons, empty skeletons) and the site's card templates go through the "youtube-widget"
+ *   Trusted Types policy where the browser supports Trusted Types, so a page can enforce them with:
+ *   Content-Security-Policy: require-trusted-types-for 'script'; trusted-types youtube-widget
+ */
+
+// Hosts that href and src attributes may point to; subdomains of youtube.com (www., m.) included
+const YOUTUBE_ALLOWED_HOSTS = ['youtube.com', 'youtu.be', 'i.ytimg.com'];
+
+// The only script the widget loads
+const YOUTUBE_IFRAME_API_URL = 'https://www.youtube.com/iframe_api';
+
+// Icons used by the widget; width and height are set per use
+const YOUTUBE_ICONS = {
+    youtube: `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">
+            <path d="M22.54 6.42a2.78 2.78 0 0 0-1.94-2C18.88 4 12 4 12 4s-6.88 0-8.6.46a2.78 2.78 0 0 0-1.94 2A29 29 0 0 0 1 11.75a29 29 0 0 0 .46 5.33A2.78 2.78 0 0 0 3.4 19c1.72.46 8.6.46 8.6.46s6.88 0 8.6-.46a2.78 2.78 0 0 0 1.94-2 29 29 0 0 0 .46-5.25 29 29 0 0 0-.46-5.33z"></path>
+            <polygon points="9.75 15.02 15.5 11.75 9.75 8.48 9.75 15.02"></polygon>
+        </svg>
+    `,
+    play: `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="#ffffff" stroke="#ffffff" stroke-width="1" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">
+            <circle cx="12" cy="12" r="10" fill="rgba(0,0,0,0.5)"></circle>
+            <polygon points="10 8 16 12 10 16 10 8" fill="#ffffff"></polygon>
+        </svg>
+    `,
+    // Points right: "previous" in RTL, "next" in LTR (see getYouTubeChevron)
+    chevronRight: `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">
+            <path d="M9 18l6-6-6-6"></path>
+        </svg>
+    `,
+    // Points left: "next" in RTL, "previous" in LTR
+    chevronLeft: `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">
+            <path d="M15 18l-6-6 6-6"></path>
+        </svg>
+    `,
+    arrow: `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">
+            <path d="M5 12h14"></path>
+            <path d="M12 5l7 7-7 7"></path>
+        </svg>
+    `,
+    instagram: `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">
+            <rect x="2" y="2" width="20" height="20" rx="5" ry="5"></rect>
+            <circle cx="12" cy="12" r="3"></circle>
+            <circle cx="17.5" cy="6.5" r="1.5"></circle>
+        </svg>
+    `,
+    // Stacked squares: an album of several images
+    album: `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">
+            <rect x="8" y="8" width="13" height="13" rx="2" ry="2"></rect>
+            <path d="M4 16V5a1 1 0 0 1 1-1h11"></path>
+        </svg>
+    `,
+    error: `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">
+            <circle cx="12" cy="12" r="10"></circle>
+            <line x1="12" y1="8" x2="12" y2="12"></line>
+            <line x1="12" y1="16" x2="12.01" y2="16"></line>
+        </svg>
+    `
+};
+
+/**
+ * The "youtube-widget" Trusted Types policy, or null where Trusted Types are unsupported or the
+ * page's CSP doesn't list the policy name
+ */
+const getYouTubeTrustedTypesPolicy = (() => {
+    let policy;
+
+    return () => {
+        if (policy !== undefined) return policy;
+
+        policy = null;
+        if (window.trustedTypes && window.trustedTypes.createPolicy) {
+            try {
+                policy = window.trustedTypes.createPolicy('youtube-widget', {
+                    // Only ever called with the widget's own fixed markup and the site's card templates
+                    // (see youtubeStaticHTML and youtubeTemplateHTML)
+                    createHTML: html => html,
+                    createScriptURL: url => {
+                        if (url !== YOUTUBE_IFRAME_API_URL) {
+                            throw new TypeError(`Refusing to load script ${url}`);
+                        }
+                        return url;
+                    }
+                });
+            } catch (error) {
+                console.warn('Could not create the youtube-widget Trusted Types policy:', error);
+            }
+        }
+
+        return policy;
+    };
+})();
+
+/**
+ * Markup for innerHTML that is fixed in the source code
+ * Never pass anything built from data; use createYouTubeElement for that.
+ */
+const youtubeStaticHTML = html => {
+    const policy = getYouTubeTrustedTypesPolicy();
+    return policy ? policy.createHTML(html) : html;
+};
+
+/**
+ * Markup a card template returned as a string, for innerHTML
+ * Templates are site code like the widget's own; the site escapes any video data it puts in them.
+ */
+const youtubeTemplateHTML = html => {
+    const policy = getYouTubeTrustedTypesPolicy();
+    return policy ? policy.createHTML(html) : html;
+};
+
+/**
+ * The IFrame Player API URL as a script src
+ */
+const youtubeScriptURL = url => {
+    const policy = getYouTubeTrustedTypesPolicy();
+    return policy ? policy.createScriptURL(url) : url;
+};
+
+/**
+ * Parse a URL, relative ones against the page; null if it can't be parsed
+ */
+const parseYouTubeWidgetUrl = url => {
+    try {
+        return new URL(String(url), document.baseURI);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Whether a URL is an http(s) URL, relative ones included; allows nothing
+ */
+const isHttpYouTubeWidgetUrl = url => {
+    const parsed = parseYouTubeWidgetUrl(url);
+    return Boolean(parsed) && (parsed.protocol === 'https:' || parsed.protocol === 'http:');
+};
+
+/**
+ * Whether a URL is an http(s) URL on one of the allowed YouTube hosts or on this site
+ * (relative URLs such as custom thumbnails in fallback-videos.json resolve to this site)
+ * origins is an optional Set of further origins, e.g. a widget's editorial origins.
+ */
+const isAllowedYouTubeUrl = (url, origins = null) => {
+    if (!isHttpYouTubeWidgetUrl(url)) return false;
+
+    const parsed = parseYouTubeWidgetUrl(url);
+    if (parsed.origin === window.location.origin || (origins && origins.has(parsed.origin))) return true;
+
+    const host = parsed.hostname.toLowerCase();
+    return YOUTUBE_ALLOWED_HOSTS.some(allowed => host === allowed || (allowed === 'youtube.com' && host.endsWith('.youtube.com')));
+};
+
+/**
+ * A URL (made absolute) if it is allowed, otherwise the fallback
+ */
+const youtubeSafeUrl = (url, fallback = '', origins = null) => (url && isAllowedYouTubeUrl(url, origins)
+    ? parseYouTubeWidgetUrl(url).href
+    : fallback);
+
+/**
+ * Create an element with attributes and children
+ * - className and text are set as properties; every other attribute with setAttribute
+ *   (null, undefined and false are skipped, true sets an empty attribute)
+ * - href and src must be allowed URLs (they are made absolute); other values are dropped with a warning
+ * - origins (a Set, not an attribute) allows further origins for href and src, see isAllowedYouTubeUrl
+ * - children are nodes or strings (added as text); null entries are skipped
+ */
+const createYouTubeElement = (tag, attributes = {}, children = []) => {
+    const element = document.createElement(tag);
+    const { origins = null, ...elementAttributes } = attributes;
+
+    Object.entries(elementAttributes).forEach(([name, value]) => {
+        if (value === null || value === undefined || value === false) return;
+
+        if (name === 'className') {
+            element.className = value;
+        } else if (name === 'text') {
+            element.textContent = value;
+        } else if (name === 'href' || name === 'src') {
+            const url = youtubeSafeUrl(value, '', origins);
+            if (url) {
+                element.setAttribute(name, url);
+            } else {
+                console.warn(`Dropped a ${name} outside YouTube:`, value);
+            }
+        } else {
+            element.setAttribute(name, value === true ? '' : String(value));
+        }
+    });
+
+    children.forEach(child => {
+        if (child !== null && child !== undefined) element.append(child);
+    });
+
+    return element;
+};
+
+/**
+ * Create one of the widget's icons at a size, with extra attributes (e.g. class)
+ */
+const createYouTubeIcon = (name, size, attributes = {}) => {
+    const template = document.createElement('template');
+    template.innerHTML = youtubeStaticHTML(YOUTUBE_ICONS[name].trim());
+
+    const icon = template.content.firstElementChild;
+    icon.setAttribute('width', size);
+    icon.setAttribute('height', size);
+    Object.entries(attributes).forEach(([attribute, value]) => icon.setAttribute(attribute, value));
+
+    return icon;
+};
+
+/**
+ * Name of the chevron icon pointing back (step -1) or forward (step 1) in a text direction
+ */
+const getYouTubeChevron = (dir, step) => ((dir === 'rtl') === (step < 0) ? 'chevronRight' : 'chevronLeft');
+
+/**
+ * Whether the viewer asked for less motion (prefers-reduced-motion), for smooth scrolling and auto-advance
+ */
+const youtubePrefersReducedMotion = () => Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+
+/**
+ * Add a widget script's stylesheet to the page once, however many widgets use it
+ */
+const addYouTubeStyleSheet = (id, css) => {
+    if (document.getElementById(id)) return;
+
+    const styleElement = document.createElement('style');
+    styleElement.id = id;
+    styleElement.textContent = css;
+    document.head.appendChild(styleElement);
+};
+
+export {
+    YOUTUBE_IFRAME_API_URL,
+    parseYouTubeWidgetUrl,
+    isHttpYouTubeWidgetUrl,
+    youtubeSafeUrl,
+    youtubeStaticHTML,
+    youtubeTemplateHTML,
+    youtubeScriptURL,
+    createYouTubeElement,
+    createYouTubeIcon,
+    getYouTubeChevron,
+    youtubePrefersReducedMotion,
+    addYouTubeStyleSheet
+};
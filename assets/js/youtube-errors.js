@@ -0,0 +1,175 @@
+/**
+ * YouTube Widget Errors
+ *
+ * Typed errors for YouTubeChannelVideos (see youtube-api.js), built from the HTTP status and the
+ * error reason YouTube (or the /api/videos proxy) answers with.
+ *
+ * Every error the widget throws or shows is a YouTubeWidgetError with:
+ * - kind: 'quota', 'auth', 'notFound', 'offline', 'timeout', 'server', 'empty' or 'unknown'
+ * - status: the HTTP status, or null when no response arrived
+ * - reason: the API's error reason (e.g. 'quotaExceeded', 'keyInvalid'), or null
+ * - retryable: whether the same request may succeed if it is sent again
+ * - userMessage: what to tell viewers, in the default locale; getUserMessage(messages) for a widget's
+ *   locale (the "error.<kind>" messages of youtube-i18n.js)
+ */
+
+import { YouTubeMessages } from './youtube-i18n.js';
+
+// API error reasons by kind; googleapis.com sends them as error.errors[0].reason, the proxy as reason
+const YOUTUBE_ERROR_REASONS = {
+    quota: ['quotaExceeded', 'dailyLimitExceeded'],
+    auth: ['keyInvalid', 'keyExpired', 'accessNotConfigured', 'ipRefererBlocked', 'forbidden'],
+    notFound: ['channelNotFound', 'handleMismatch', 'playlistNotFound', 'videoNotFound'],
+    server: ['rateLimitExceeded', 'userRateLimitExceeded', 'backendError', 'internalError']
+};
+
+/**
+ * Base class of the widget's errors; unrecognised failures are plain YouTubeWidgetErrors ('unknown')
+ */
+class YouTubeWidgetError extends Error {
+    constructor(message, { kind = 'unknown', status = null, reason = null, retryable = false, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = new.target.name;
+        this.kind = kind;
+        this.status = status;
+        this.reason = reason;
+        this.retryable = retryable;
+    }
+
+    get userMessage() {
+        return this.getUserMessage();
+    }
+
+    /**
+     * What to tell viewers, from a YouTubeMessages catalogue
+     */
+    getUserMessage(messages = new YouTubeMessages()) {
+        const key = `error.${this.kind}`;
+        return messages.t(messages.has(key) ? key : 'error.unknown');
+    }
+}
+
+/**
+ * The API key's daily quota is used up; the widget backs off instead of retrying
+ */
+class YouTubeQuotaError extends YouTubeWidgetError {
+    constructor(message, options = {}) {
+        super(message, { ...options, kind: 'quota' });
+    }
+}
+
+/**
+ * The API key is invalid or not allowed to make the request, or the proxy doesn't serve the channel
+ */
+class YouTubeAuthError extends YouTubeWidgetError {
+    constructor(message, options = {}) {
+        super(message, { ...options, kind: 'auth' });
+    }
+}
+
+/**
+ * The channel, playlist or video doesn't exist
+ */
+class YouTubeNotFoundError extends YouTubeWidgetError {
+    constructor(message, options = {}) {
+        super(message, { ...options, kind: 'notFound' });
+    }
+}
+
+/**
+ * A channel that could not be resolved to a channel ID
+ * reason is 'channelNotFound' (no channel with that ID, handle or username) or 'handleMismatch'
+ * (YouTube answered a handle lookup with a channel that has another handle).
+ */
+class YouTubeChannelError extends YouTubeNotFoundError {
+    constructor(message, channel, reason, options = {}) {
+        super(message, { status: 404, ...options, reason });
+        this.channel = channel; // The channel ID, @handle or username that was looked up
+    }
+}
+
+/**
+ * No response arrived: the viewer is offline or the network failed
+ */
+class YouTubeNetworkError extends YouTubeWidgetError {
+    constructor(message, options = {}) {
+        super(message, { ...options, kind: 'offline', retryable: true });
+    }
+}
+
+/**
+ * The request was aborted after the widget's requestTimeout
+ */
+class YouTubeTimeoutError extends YouTubeWidgetError {
+    constructor(message, options = {}) {
+        super(message, { ...options, kind: 'timeout', retryable: true });
+    }
+}
+
+/**
+ * YouTube or the proxy failed or is rate limiting; usually gone on a later attempt
+ * The proxy's limit on searches per client is the exception: it lasts up to a minute, and every
+ * retry would count against it again.
+ */
+class YouTubeServerError extends YouTubeWidgetError {
+    constructor(message, options = {}) {
+        super(message, { retryable: true, ...options, kind: 'server' });
+    }
+}
+
+/**
+ * The typed error for a failed response, from its HTTP status and the API's error reason
+ */
+const createYouTubeError = (message, { status = null, reason = null } = {}) => {
+    const options = { status, reason };
+    const hasReason = kind => YOUTUBE_ERROR_REASONS[kind].includes(reason);
+
+    if (hasReason('quota')) return new YouTubeQuotaError(message, options);
+    if (hasReason('auth')) return new YouTubeAuthError(message, options);
+    if (hasReason('notFound') || status === 404) return new YouTubeNotFoundError(message, options);
+    if (reason === 'searchRateLimited') return new YouTubeServerError(message, { ...options, retryable: false });
+    if (hasReason('server') || status === 429 || status >= 500) return new YouTubeServerError(message, options);
+    // Without a known reason, 401/403 mean a blocked key or a channel the proxy doesn't serve
+    if (status === 401 || status === 403) return new YouTubeAuthError(message, options);
+    return new YouTubeWidgetError(message, options);
+};
+
+/**
+ * The error reason of a googleapis.com or proxy error body, or null
+ * An invalid key comes as a generic 'badRequest'; its details name it API_KEY_INVALID.
+ */
+const getYouTubeErrorReason = data => {
+    if (!data) return null;
+    if (data.reason) return data.reason;
+
+    const apiError = data.error;
+    if (!apiError || typeof apiError !== 'object') return null;
+
+    const details = Array.isArray(apiError.details) ? apiError.details : [];
+    if (details.some(detail => detail && detail.reason === 'API_KEY_INVALID')) return 'keyInvalid';
+
+    return (apiError.errors && apiError.errors[0] && apiError.errors[0].reason) || null;
+};
+
+/**
+ * Turn anything caught around a request into a YouTubeWidgetError
+ * fetch rejects with a TypeError when no response arrives; an abort after the timeout is a timeout.
+ */
+const toYouTubeError = (error, { message = 'Request failed', timedOut = false } = {}) => {
+    if (error instanceof YouTubeWidgetError) return error;
+    if (timedOut) return new YouTubeTimeoutError(`${message}: timed out`, { cause: error });
+    if (error instanceof TypeError) {
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        return new YouTubeNetworkError(`${message}: ${offline ? 'offline' : 'network error'}`, { cause: error });
+    }
+    return new YouTubeWidgetError(`${message}: ${error && error.message ? error.message : error}`, { cause: error });
+};
+
+export {
+    YouTubeWidgetError,
+    YouTubeQuotaError,
+    YouTubeChannelError,
+    createYouTubeError,
+    getYouTubeErrorReason,
+    toYouTubeError
+};
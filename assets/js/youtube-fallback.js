@@ -0,0 +1,216 @@
+/**
+ * Fallback Videos File
+ *
+ * Migration and validation for assets/data/fallback-videos.json, shared by the widget
+ * (youtube-api.js) and the CLI scripts (scripts/validate-fallback-videos.js and
+ * scripts/update-fallback-videos.js, which load it with require()).
+ *
+ * The format is described by assets/data/fallback-videos.schema.json. Keep the two in step;
+ * for an incompatible change, bump FALLBACK_VIDEOS_SCHEMA_VERSION and add a migration step.
+ */
+
+// Version written to the file's "version" key; files without one are the original format (version 0)
+const FALLBACK_VIDEOS_SCHEMA_VERSION = 1;
+
+// Entry keys in the order they are written (see scripts/update-fallback-videos.js)
+const FALLBACK_VIDEO_KEYS = [
+    'id', 'title', 'titleOverride', 'url', 'thumbnail', 'publishedAt', 'expiresAt',
+    'duration', 'viewCount', 'aspectRatio', 'pin', 'manual'
+];
+
+const FALLBACK_VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const FALLBACK_ISO_DURATION_PATTERN = /^P(?:\d+D)?(?:T(?:\d+H)?(?:\d+M)?(?:\d+S)?)?$/;
+// A URL scheme such as "https:" or "javascript:"
+const FALLBACK_URL_SCHEME_PATTERN = /^[a-z][a-z\d+.-]*:/i;
+
+/**
+ * Collapse whitespace, including the trailing newlines YouTube titles often end with
+ */
+const cleanFallbackTitle = title => String(title).replace(/\s+/g, ' ').trim();
+
+/**
+ * Whether a url or thumbnail is an http(s) URL or a path on this site (the schema's uri-reference)
+ * Whitespace is refused because browsers strip it from schemes ("java\tscript:"), and "//host"
+ * (or "/\\host") because it leaves the site.
+ */
+const isFallbackVideoUrl = value => {
+    if (typeof value !== 'string' || value === '' || /[\s\u0000-\u001f\u007f]/.test(value) || /^[/\\]{2}/.test(value)) {
+        return false;
+    }
+    if (!FALLBACK_URL_SCHEME_PATTERN.test(value)) return true;
+
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'https:' || protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Upgrade file contents to the current version
+ * Returns { data, fromVersion }; data is a new object, the input is left untouched.
+ * Throws for files written by a newer version of the schema.
+ */
+const migrateFallbackVideos = input => {
+    const data = input && typeof input === 'object' && !Array.isArray(input) ? { ...input } : {};
+    const fromVersion = Number.isInteger(data.version) ? data.version : 0;
+
+    if (fromVersion > FALLBACK_VIDEOS_SCHEMA_VERSION) {
+        throw new Error(`fallback-videos.json has version ${fromVersion}; this code only understands up to ${FALLBACK_VIDEOS_SCHEMA_VERSION}`);
+    }
+
+    if (fromVersion < 1) {
+        // Version 0 allowed bare ID strings and kept YouTube's untrimmed titles
+        data.videos = (Array.isArray(data.videos) ? data.videos : []).map(video => {
+            if (typeof video === 'string') return { id: video };
+            if (!video || typeof video !== 'object') return video;
+            return typeof video.title === 'string' ? { ...video, title: cleanFallbackTitle(video.title) } : { ...video };
+        });
+    }
+
+    const { $schema, version, showFeaturedVideo, videos, ...rest } = data;
+    return {
+        data: {
+            $schema: $schema || './fallback-videos.schema.json',
+            version: FALLBACK_VIDEOS_SCHEMA_VERSION,
+            ...(showFeaturedVideo !== undefined ? { showFeaturedVideo } : {}),
+            ...rest,
+            videos
+        },
+        fromVersion
+    };
+};
+
+/**
+ * Check one entry; returns its problems as messages
+ */
+const getFallbackVideoErrors = video => {
+    if (!video || typeof video !== 'object' || Array.isArray(video)) {
+        return ['must be an object'];
+    }
+
+    const errors = [];
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+    if (typeof video.id !== 'string' || !FALLBACK_VIDEO_ID_PATTERN.test(video.id)) {
+        errors.push('id must be an 11-character YouTube video ID');
+    }
+    if (!isText(video.title)) {
+        errors.push('title is required');
+    }
+    if (video.titleOverride !== undefined && !isText(video.titleOverride)) {
+        errors.push('titleOverride must be a non-empty string');
+    }
+    ['url', 'thumbnail'].forEach(key => {
+        if (video[key] !== undefined && !isFallbackVideoUrl(video[key])) {
+            errors.push(`${key} must be an http(s) URL or a path on this site`);
+        }
+    });
+    ['publishedAt', 'expiresAt'].forEach(key => {
+        if (video[key] !== undefined && !isDate(video[key])) {
+            errors.push(`${key} must be an ISO-8601 date`);
+        }
+    });
+    if (isDate(video.publishedAt) && isDate(video.expiresAt) && Date.parse(video.expiresAt) <= Date.parse(video.publishedAt)) {
+        errors.push('expiresAt must be after publishedAt');
+    }
+    if (video.duration !== undefined
+        && !(Number.isInteger(video.duration) && video.duration >= 0)
+        && !(typeof video.duration === 'string' && FALLBACK_ISO_DURATION_PATTERN.test(video.duration))) {
+        errors.push('duration must be seconds or an ISO-8601 duration');
+    }
+    if (video.viewCount !== undefined && !(Number.isInteger(video.viewCount) && video.viewCount >= 0)) {
+        errors.push('viewCount must be a whole number');
+    }
+    if (video.aspectRatio !== undefined && !(typeof video.aspectRatio === 'number' && video.aspectRatio > 0)) {
+        errors.push('aspectRatio must be a positive number');
+    }
+    if (video.pin !== undefined && !(Number.isInteger(video.pin) && video.pin >= 1)) {
+        errors.push('pin must be a whole number from 1');
+    }
+    if (video.manual !== undefined && typeof video.manual !== 'boolean') {
+        errors.push('manual must be true or false');
+    }
+
+    return errors;
+};
+
+/**
+ * Validate current-version file contents
+ * Returns { data, errors, warnings }: data keeps only the valid entries, with titles cleaned;
+ * errors and warnings are { path, message } objects (path like "videos[3].title").
+ */
+const validateFallbackVideos = input => {
+    const errors = [];
+    const warnings = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { data: { videos: [] }, errors: [{ path: '', message: 'must be a JSON object' }], warnings };
+    }
+
+    if (input.version !== FALLBACK_VIDEOS_SCHEMA_VERSION) {
+        errors.push({ path: 'version', message: `must be ${FALLBACK_VIDEOS_SCHEMA_VERSION} (run scripts/validate-fallback-videos.js --migrate)` });
+    }
+    if (input.showFeaturedVideo !== undefined && typeof input.showFeaturedVideo !== 'boolean') {
+        errors.push({ path: 'showFeaturedVideo', message: 'must be true or false' });
+    }
+    if (!Array.isArray(input.videos)) {
+        errors.push({ path: 'videos', message: 'must be an array' });
+    }
+
+    const seen = new Set();
+    const videos = [];
+    (Array.isArray(input.videos) ? input.videos : []).forEach((video, index) => {
+        const path = `videos[${index}]`;
+        const entryErrors = getFallbackVideoErrors(video);
+
+        if (entryErrors.length === 0 && seen.has(video.id)) {
+            entryErrors.push(`duplicates the entry for ${video.id}`);
+        }
+        if (entryErrors.length > 0) {
+            entryErrors.forEach(message => errors.push({ path, message }));
+            return;
+        }
+        seen.add(video.id);
+
+        Object.keys(video)
+            .filter(key => !FALLBACK_VIDEO_KEYS.includes(key))
+            .forEach(key => warnings.push({ path: `${path}.${key}`, message: 'is not part of the schema and is ignored' }));
+
+        const cleaned = {};
+        FALLBACK_VIDEO_KEYS.forEach(key => {
+            if (video[key] !== undefined) cleaned[key] = video[key];
+        });
+        cleaned.title = cleanFallbackTitle(video.title);
+        if (cleaned.titleOverride) cleaned.titleOverride = cleanFallbackTitle(cleaned.titleOverride);
+        videos.push(cleaned);
+    });
+
+    return {
+        data: { ...input, videos },
+        errors,
+        warnings
+    };
+};
+
+/**
+ * Entries to show at a given time, pinned ones first
+ * Entries are hidden before publishedAt and from expiresAt on; pins sort ascending, the rest keep file order.
+ */
+const selectFallbackVideos = (videos, now = Date.now()) => videos
+    .filter(video => !(video.publishedAt && Date.parse(video.publishedAt) > now))
+    .filter(video => !(video.expiresAt && Date.parse(video.expiresAt) <= now))
+    .map((video, order) => ({ video, order }))
+    .sort((a, b) => (a.video.pin || Infinity) - (b.video.pin || Infinity) || a.order - b.order)
+    .map(({ video }) => video);
+
+export {
+    FALLBACK_VIDEOS_SCHEMA_VERSION,
+    FALLBACK_VIDEO_KEYS,
+    cleanFallbackTitle,
+    migrateFallbackVideos,
+    validateFallbackVideos,
+    selectFallbackVideos
+};
@@ -0,0 +1,240 @@
+/**
+ * YouTube Widget Messages
+ *
+ * The text the widget modules show (youtube-api.js, youtube-layouts.js, youtube-player.js,
+ * youtube-search.js, youtube-errors.js, and the instagram.* keys for instagram-feed.js), in Arabic
+ * and English.
+ *
+ * A widget picks its language with the `locale` option (data-locale), which also sets its text
+ * direction and how numbers and dates are written. Single strings can be replaced with the
+ * `messages` option (data-messages):
+ *   new YouTubeChannelVideos({ locale: 'en', messages: { viewMore: 'More episodes' } });
+ *
+ * Messages are looked up by key with {name} placeholders; numbers passed as placeholders are
+ * formatted for the locale. A message can be an object of plural forms ({ one, two, few, many, other }),
+ * chosen by the count placeholder with Intl.PluralRules.
+ *
+ * More languages can be added with YouTubeMessages.register('fr', { dir: 'ltr', messages: { ... } });
+ * keys they leave out are taken from the default locale.
+ */
+
+// The widget's language when no locale is given or the given one isn't known
+const YOUTUBE_DEFAULT_LOCALE = 'ar';
+
+// Languages by locale: text direction, locale for Intl number and date formatting, and messages
+const YOUTUBE_LOCALES = {
+    ar: {
+        dir: 'rtl',
+        formatLocale: 'ar-u-nu-arab', // Arabic-Indic digits as on the rest of the site
+        messages: {
+            loading: 'جاري تحميل فيديوهات يوتيوب...',
+            heading: 'آخر الفيديوهات من يوتيوب',
+            videos: 'الفيديوهات',
+            shorts: 'Shorts',
+            views: '{views} مشاهدة',
+            previous: 'السابق',
+            next: 'التالي',
+            viewMore: 'عرض المزيد من الفيديوهات',
+            loadingMore: 'جاري التحميل...',
+            loadMoreFailed: 'تعذر التحميل، حاول مجدداً',
+            visitChannel: 'زيارة القناة على يوتيوب',
+            retry: 'إعادة المحاولة',
+            newWindow: '(يفتح في نافذة جديدة)',
+            'live.now': 'مباشر الآن',
+            'live.upcoming': 'بث مباشر قادم',
+            'live.startingSoon': 'يبدأ البث بعد قليل',
+            'live.startsIn': 'يبدأ البث خلال {time}',
+            'live.days': {
+                one: 'يوم {time}',
+                two: 'يومان {time}',
+                few: '{count} أيام {time}',
+                other: '{count} يوم {time}'
+            },
+            'offline.title': 'أنت غير متصل بالإنترنت.',
+            'offline.text': 'تعرض الصفحة الفيديوهات المحفوظة على جهازك.',
+            'offline.updated': 'آخر تحديث: {time}.',
+            'hero.label': 'أبرز الفيديوهات',
+            'hero.slide': '{number} من {total}',
+            'hero.dot': 'الفيديو {number}',
+            'player.close': 'إغلاق',
+            'player.previous': 'الفيديو السابق',
+            'player.next': 'الفيديو التالي',
+            'player.position': '{number} / {total}',
+            'player.unavailable': 'تعذر تشغيل الفيديو هنا.',
+            'player.watchOnYouTube': 'شاهد الفيديو على يوتيوب',
+            'search.label': 'البحث في الفيديوهات',
+            'search.input': 'ابحث في الفيديوهات',
+            'search.placeholder': 'ابحث عن حلقة، ضيف أو برنامج',
+            'search.show': 'البرنامج',
+            'search.allShows': 'كل البرامج',
+            'search.from': 'من',
+            'search.to': 'إلى',
+            'search.reset': 'مسح',
+            'search.noLocalResults': 'لا توجد نتائج بين الفيديوهات المحمّلة.',
+            'search.searchYouTube': 'البحث في يوتيوب',
+            'search.searchingYouTube': 'لا توجد نتائج بين الفيديوهات المحمّلة، جاري البحث في يوتيوب...',
+            'search.noResults': 'لا توجد فيديوهات تطابق البحث',
+            'search.results': {
+                one: 'نتيجة واحدة',
+                two: 'نتيجتان',
+                few: '{count} نتائج',
+                other: '{count} نتيجة'
+            },
+            'error.quota': 'تم بلوغ الحد اليومي لطلبات يوتيوب. حاول مرة أخرى لاحقاً.',
+            'error.auth': 'تعذر الاتصال بيوتيوب بسبب خطأ في إعدادات الموقع.',
+            'error.notFound': 'لم نعثر على القناة أو قائمة التشغيل المطلوبة على يوتيوب.',
+            'error.offline': 'لا يوجد اتصال بالإنترنت. تحقق من اتصالك وحاول مرة أخرى.',
+            'error.timeout': 'استغرق يوتيوب وقتاً طويلاً في الرد. حاول مرة أخرى.',
+            'error.server': 'خدمة يوتيوب غير متاحة حالياً. حاول مرة أخرى بعد قليل.',
+            'error.empty': 'لا توجد فيديوهات لعرضها حالياً.',
+            'error.unknown': 'تعذر تحميل الفيديوهات.',
+            'instagram.loading': 'جاري تحميل منشورات انستغرام...',
+            'instagram.error': 'تعذر تحميل منشورات انستغرام.',
+            'instagram.viewMore': 'شاهد المزيد على انستغرام',
+            'instagram.post': 'منشور من انستغرام'
+        }
+    },
+    en: {
+        dir: 'ltr',
+        formatLocale: 'en',
+        messages: {
+            loading: 'Loading YouTube videos...',
+            heading: 'Latest videos from YouTube',
+            videos: 'Videos',
+            shorts: 'Shorts',
+            views: { one: '{views} view', other: '{views} views' },
+            previous: 'Previous',
+            next: 'Next',
+            viewMore: 'View more videos',
+            loadingMore: 'Loading...',
+            loadMoreFailed: 'Could not load more videos, try again',
+            visitChannel: 'Visit the channel on YouTube',
+            retry: 'Try again',
+            newWindow: '(opens in a new window)',
+            'live.now': 'Live now',
+            'live.upcoming': 'Upcoming live stream',
+            'live.startingSoon': 'Starting soon',
+            'live.startsIn': 'Starts in {time}',
+            'live.days': { one: '{count} day {time}', other: '{count} days {time}' },
+            'offline.title': 'You are offline.',
+            'offline.text': 'The page is showing the videos saved on your device.',
+            'offline.updated': 'Last updated {time}.',
+            'hero.label': 'Featured videos',
+            'hero.slide': '{number} of {total}',
+            'hero.dot': 'Video {number}',
+            'player.close': 'Close',
+            'player.previous': 'Previous video',
+            'player.next': 'Next video',
+            'player.position': '{number} / {total}',
+            'player.unavailable': 'This video cannot be played here.',
+            'player.watchOnYouTube': 'Watch it on YouTube',
+            'search.label': 'Search the videos',
+            'search.input': 'Search the videos',
+            'search.placeholder': 'Search for an episode, guest or show',
+            'search.show': 'Show',
+            'search.allShows': 'All shows',
+            'search.from': 'From',
+            'search.to': 'To',
+            'search.reset': 'Clear',
+            'search.noLocalResults': 'No results among the loaded videos.',
+            'search.searchYouTube': 'Search YouTube',
+            'search.searchingYouTube': 'No results among the loaded videos, searching YouTube...',
+            'search.noResults': 'No videos match your search',
+            'search.results': { one: '{count} result', other: '{count} results' },
+            'error.quota': 'The daily limit of YouTube requests has been reached. Please try again later.',
+            'error.auth': 'Could not connect to YouTube because of a problem with the site settings.',
+            'error.notFound': 'The channel or playlist could not be found on YouTube.',
+            'error.offline': 'No internet connection. Check your connection and try again.',
+            'error.timeout': 'YouTube took too long to answer. Please try again.',
+            'error.server': 'YouTube is not available right now. Please try again shortly.',
+            'error.empty': 'There are no videos to show right now.',
+            'error.unknown': 'Could not load the videos.',
+            'instagram.loading': 'Loading Instagram posts...',
+            'instagram.error': 'Could not load the Instagram posts.',
+            'instagram.viewMore': 'See more on Instagram',
+            'instagram.post': 'Instagram post'
+        }
+    }
+};
+
+/**
+ * The messages of one locale, with the widget's overrides on top
+ */
+class YouTubeMessages {
+    constructor(locale = YOUTUBE_DEFAULT_LOCALE, overrides = {}) {
+        this.locale = YouTubeMessages.resolve(locale);
+
+        const definition = YOUTUBE_LOCALES[this.locale];
+        this.dir = definition.dir;
+        this.formatLocale = definition.formatLocale;
+        this.messages = {
+            ...YOUTUBE_LOCALES[YOUTUBE_DEFAULT_LOCALE].messages,
+            ...definition.messages,
+            ...overrides
+        };
+        this.pluralRules = new Intl.PluralRules(this.formatLocale);
+    }
+
+    /**
+     * Add a language, or replace a built-in one
+     * dir defaults to 'ltr' and formatLocale to the locale itself.
+     */
+    static register(locale, { dir = 'ltr', formatLocale = locale, messages = {} } = {}) {
+        YOUTUBE_LOCALES[locale.toLowerCase()] = { dir, formatLocale, messages };
+    }
+
+    /**
+     * The registered locale for a locale tag: the tag itself, else its language ('en-GB' → 'en'),
+     * else the default locale
+     */
+    static resolve(locale) {
+        const tag = String(locale || '').toLowerCase();
+        if (YOUTUBE_LOCALES[tag]) return tag;
+
+        const language = tag.split(/[-_]/)[0];
+        if (YOUTUBE_LOCALES[language]) return language;
+
+        if (tag) console.warn(`Unknown locale "${locale}"; using "${YOUTUBE_DEFAULT_LOCALE}"`);
+        return YOUTUBE_DEFAULT_LOCALE;
+    }
+
+    /**
+     * Whether there is a message for a key
+     */
+    has(key) {
+        return this.messages[key] !== undefined;
+    }
+
+    /**
+     * The message for a key with its {placeholders} filled in, or the key itself when there is none
+     */
+    t(key, params = {}) {
+        let message = this.messages[key];
+        if (message === undefined) {
+            console.warn(`No "${this.locale}" message for "${key}"`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count)] || message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) return placeholder;
+            return typeof value === 'number' ? this.formatNumber(value) : value;
+        });
+    }
+
+    /**
+     * Format a number for the locale, e.g. ١٢ in Arabic
+     */
+    formatNumber(number, options) {
+        return new Intl.NumberFormat(this.formatLocale, options).format(number);
+    }
+}
+
+export {
+    YOUTUBE_DEFAULT_LOCALE,
+    YouTubeMessages
+};
@@ -0,0 +1,625 @@
+/**
+ * YouTube Widget Layouts
+ *
+ * Layout renderers for YouTubeChannelVideos (see youtube-api.js), chosen with its `layout` option
+ * or the data-layout attribute.
+ *
+ * Built-in layouts:
+ * - grid: optional featured video above a responsive grid (default)
+ * - carousel: a single horizontally scrolling row of cards
+ * - list: compact text list (title, duration, date) for sidebars
+ * - hero: full-width slider showing one video at a time
+ *
+ * A renderer is a class constructed with (widget, element) that implements:
+ * - render(items): lay out the first page of videos inside element, as a list (role="list" and
+ *   "listitem", or ol/li) with keyboard navigation (see addKeyboardNavigation)
+ * - append(items): add the videos of a further page ("load more")
+ * - destroy(): stop timers and anything else that outlives element
+ * Items are { video, index } pairs, where index is the video's position in widget.renderedVideos.
+ * Build cards with widget.createCard(video, index, variant) so they open in the player and pick up
+ * the widget's card template, and take labels from widget.messages (see youtube-i18n.js). An optional
+ * static `styles` getter returns CSS that is added to the page once, the first time the layout is used.
+ * Style with logical properties (text-align: start, inset-inline-start) so the layout works in both
+ * text directions. Build elements with createYouTubeElement
+ * (youtube-dom.js) so titles and URLs from the API are never parsed as HTML.
+ *
+ * Register custom layouts and card templates without touching the widget:
+ *   YouTubeChannelVideos.registerLayout('mosaic', class extends YouTubeLayoutRenderer { ... });
+ *   YouTubeChannelVideos.registerCardTemplate('minimal', video => createYouTubeElement('h4', { text: video.title }));
+ */
+
+import {
+    createYouTubeElement,
+    createYouTubeIcon,
+    getYouTubeChevron,
+    youtubePrefersReducedMotion
+} from './youtube-dom.js';
+import { YouTubeMessages } from './youtube-i18n.js';
+
+const youtubeLayoutRenderers = new Map();
+const youtubeCardTemplates = new Map();
+const youtubeLayoutStylesAdded = new Set();
+
+class YouTubeLayoutRenderer {
+    constructor(widget, element) {
+        this.widget = widget;
+        this.element = element;
+        this.itemsElement = element; // Where createItem's elements are appended
+    }
+
+    /**
+     * Make a renderer class available under a layout name
+     */
+    static register(name, Renderer) {
+        youtubeLayoutRenderers.set(name, Renderer);
+    }
+
+    /**
+     * Get the renderer class registered under a layout name
+     */
+    static get(name) {
+        return youtubeLayoutRenderers.get(name) || null;
+    }
+
+    /**
+     * Make a card template available under a name
+     * A template is called as template(video, { index, variant, widget }) and returns an element, which
+     * becomes the content of the card's link. HTML strings are accepted too, but are parsed as they are,
+     * so they must not contain unescaped video data (and must be TrustedHTML where Trusted Types are enforced).
+     */
+    static registerCardTemplate(name, template) {
+        youtubeCardTemplates.set(name, template);
+    }
+
+    /**
+     * Get the card template registered under a name
+     */
+    static getCardTemplate(name) {
+        return youtubeCardTemplates.get(name) || null;
+    }
+
+    /**
+     * Add a renderer's CSS to the page the first time the layout is used
+     */
+    static addStyles(Renderer) {
+        if (!Renderer.styles || youtubeLayoutStylesAdded.has(Renderer)) return;
+        youtubeLayoutStylesAdded.add(Renderer);
+
+        const styleElement = document.createElement('style');
+        styleElement.textContent = Renderer.styles;
+        document.head.appendChild(styleElement);
+    }
+
+    /**
+     * Create a horizontally scrolling row with previous/next buttons and arrow-key navigation
+     * Used by the carousel layout and the Shorts rail. Touch swipe is the track's native overflow
+     * scrolling; the buttons and the arrow keys follow the reading order, so "next" goes left in RTL.
+     * The button labels and the direction come from messages, the widget's YouTubeMessages.
+     * Returns { element, track }; add items to track.
+     */
+    static createScroller({ className, label, title = '', messages = new YouTubeMessages() }) {
+        const createButton = (direction, label, icon) => createYouTubeElement('button', {
+            type: 'button',
+            className: 'youtube-scroller-button',
+            'data-direction': direction,
+            'aria-label': label
+        }, [createYouTubeIcon(icon, 20)]);
+
+        const track = createYouTubeElement('div', { className: 'youtube-scroller-track', role: 'list' });
+        const element = createYouTubeElement('section', {
+            className: `youtube-scroller ${className}`,
+            dir: messages.dir,
+            'aria-label': label
+        }, [
+            createYouTubeElement('div', { className: 'youtube-scroller-header' }, [
+                title ? createYouTubeElement('h4', { className: 'youtube-scroller-title', text: title }) : null,
+                createYouTubeElement('div', { className: 'youtube-scroller-controls' }, [
+                    createButton(-1, messages.t('previous'), getYouTubeChevron(messages.dir, -1)),
+                    createButton(1, messages.t('next'), getYouTubeChevron(messages.dir, 1))
+                ])
+            ]),
+            track
+        ]);
+
+        // In RTL, scrollLeft runs from 0 towards negative values, so moving forward means scrolling left
+        const scrollSign = () => (element.dir === 'rtl' ? -1 : 1);
+
+        element.querySelectorAll('.youtube-scroller-button').forEach(button => {
+            button.addEventListener('click', () => {
+                const distance = track.clientWidth * 0.8 * Number(button.dataset.direction) * scrollSign();
+                track.scrollBy({ left: distance, behavior: youtubePrefersReducedMotion() ? 'auto' : 'smooth' });
+            });
+        });
+
+        // Arrow keys move focus between cards; the browser scrolls the focused card into view
+        YouTubeLayoutRenderer.addKeyboardNavigation(track, 'horizontal');
+
+        return { element, track };
+    }
+
+    /**
+     * Move between the cards of a list with the keyboard, with a roving tabindex: only one card
+     * is in the tab order, so Tab jumps past the list, and the arrow keys, Home and End move inside it.
+     * Orientation: 'horizontal' (left/right in reading order), 'vertical' (up/down) or 'grid' (both;
+     * up/down move by a row). Call updateTabStops(list) after adding cards.
+     */
+    static addKeyboardNavigation(list, orientation = 'grid') {
+        list.dataset.rovingFocus = orientation;
+
+        list.addEventListener('keydown', event => {
+            const links = YouTubeLayoutRenderer.getCardLinks(list);
+            const current = links.indexOf(document.activeElement);
+            if (current === -1) return;
+
+            const rtl = (list.closest('[dir]') || document.documentElement).dir === 'rtl';
+            const horizontal = orientation !== 'vertical';
+            const vertical = orientation !== 'horizontal';
+            const row = orientation === 'grid' ? YouTubeLayoutRenderer.countColumns(links) : 1;
+            let next = null;
+            switch (event.key) {
+                case 'ArrowRight': if (horizontal) next = current + (rtl ? -1 : 1); break;
+                case 'ArrowLeft': if (horizontal) next = current + (rtl ? 1 : -1); break;
+                case 'ArrowDown': if (vertical) next = current + row; break;
+                case 'ArrowUp': if (vertical) next = current - row; break;
+                case 'Home': next = 0; break;
+                case 'End': next = links.length - 1; break;
+            }
+            if (next === null) return;
+
+            event.preventDefault();
+            next = Math.max(0, Math.min(links.length - 1, next));
+            links[next].focus();
+            links[next].scrollIntoView({
+                block: 'nearest',
+                inline: 'nearest',
+                behavior: youtubePrefersReducedMotion() ? 'auto' : 'smooth'
+            });
+        });
+
+        // Tab comes back to the card that had focus last
+        list.addEventListener('focusin', event => {
+            const links = YouTubeLayoutRenderer.getCardLinks(list);
+            const index = links.indexOf(event.target);
+            if (index !== -1) YouTubeLayoutRenderer.setTabStop(links, index);
+        });
+
+        YouTubeLayoutRenderer.updateTabStops(list);
+    }
+
+    /**
+     * Keep exactly one card of a list with keyboard navigation in the tab order
+     */
+    static updateTabStops(list) {
+        if (!list || !list.dataset.rovingFocus) return;
+
+        const links = YouTubeLayoutRenderer.getCardLinks(list);
+        const index = links.findIndex(link => link.getAttribute('tabindex') === '0');
+        YouTubeLayoutRenderer.setTabStop(links, Math.max(index, 0));
+    }
+
+    static setTabStop(links, index) {
+        links.forEach((link, linkIndex) => link.setAttribute('tabindex', linkIndex === index ? '0' : '-1'));
+    }
+
+    static getCardLinks(list) {
+        return Array.from(list.querySelectorAll('.youtube-video-link'));
+    }
+
+    /**
+     * Cards per row: the cards level with the first one (1 where the page has no layout)
+     */
+    static countColumns(links) {
+        const top = links[0].offsetTop;
+        const columns = links.filter(link => link.offsetTop === top).length;
+        return columns < links.length || top !== 0 ? columns : 1;
+    }
+
+    /**
+     * Lay out the first page of videos
+     */
+    render(items) {
+        this.itemsElement.setAttribute('role', 'list');
+        YouTubeLayoutRenderer.addKeyboardNavigation(this.itemsElement, 'grid');
+        this.append(items);
+    }
+
+    /**
+     * Add further videos after the ones already laid out
+     */
+    append(items) {
+        items.forEach(({ video, index }) => this.itemsElement.appendChild(this.createItem(video, index)));
+        YouTubeLayoutRenderer.updateTabStops(this.itemsElement);
+    }
+
+    /**
+     * Create the element for one video
+     */
+    createItem(video, index) {
+        const item = document.createElement('div');
+        item.className = 'youtube-video-item';
+        item.setAttribute('role', 'listitem');
+        item.appendChild(this.widget.createCard(video, index, 'card'));
+        return item;
+    }
+
+    /**
+     * Stop timers and remove listeners outside the layout's element
+     */
+    destroy() {}
+}
+
+/**
+ * Optional featured video above a responsive grid (styles are part of addYouTubeStyles)
+ */
+class YouTubeGridLayout extends YouTubeLayoutRenderer {
+    render(items) {
+        let gridItems = items;
+        if (this.widget.options.featuredVideo && items.length > 0) {
+            const [{ video, index }] = items;
+            const featuredElement = document.createElement('div');
+            featuredElement.className = 'youtube-featured-video';
+            featuredElement.appendChild(this.widget.createCard(video, index, 'featured'));
+            this.element.appendChild(featuredElement);
+            gridItems = items.slice(1);
+        }
+
+        this.itemsElement = document.createElement('div');
+        this.itemsElement.className = 'youtube-videos-grid';
+        this.itemsElement.setAttribute('role', 'list');
+        this.element.appendChild(this.itemsElement);
+        YouTubeLayoutRenderer.addKeyboardNavigation(this.itemsElement, 'grid');
+
+        this.append(gridItems);
+    }
+}
+
+/**
+ * A single row of cards that scrolls sideways
+ */
+class YouTubeCarouselLayout extends YouTubeLayoutRenderer {
+    render(items) {
+        const { element, track } = YouTubeLayoutRenderer.createScroller({
+            className: 'youtube-carousel',
+            label: this.widget.messages.t('videos'),
+            messages: this.widget.messages
+        });
+        this.element.appendChild(element);
+        this.itemsElement = track;
+
+        this.append(items);
+    }
+
+    createItem(video, index) {
+        const item = super.createItem(video, index);
+        item.classList.add('youtube-carousel-item');
+        return item;
+    }
+
+    static get styles() {
+        return `
+            .youtube-carousel .youtube-scroller-track {
+                padding-top: 6px; /* Room for the cards' hover lift */
+            }
+
+            .youtube-carousel-item {
+                flex: 0 0 280px;
+                scroll-snap-align: start;
+            }
+
+            @media (max-width: 480px) {
+                .youtube-carousel-item {
+                    flex-basis: 80%;
+                }
+            }
+        `;
+    }
+}
+
+/**
+ * Compact text list without thumbnails, for sidebars
+ */
+class YouTubeListLayout extends YouTubeLayoutRenderer {
+    render(items) {
+        this.itemsElement = document.createElement('ol');
+        this.itemsElement.className = 'youtube-list';
+        this.element.appendChild(this.itemsElement);
+        YouTubeLayoutRenderer.addKeyboardNavigation(this.itemsElement, 'vertical');
+
+        this.append(items);
+    }
+
+    createItem(video, index) {
+        const item = document.createElement('li');
+        item.className = 'youtube-list-item';
+        item.appendChild(this.widget.createCard(video, index, 'compact'));
+        return item;
+    }
+
+    static get styles() {
+        return `
+            .youtube-list {
+                list-style: none;
+                margin: 0 0 20px;
+                padding: 0;
+                text-align: start;
+            }
+
+            .youtube-list-item + .youtube-list-item {
+                border-top: 1px solid var(--youtube-border);
+            }
+
+            .youtube-list-item .youtube-video-link {
+                padding: 10px 4px;
+            }
+
+            .youtube-list-item .youtube-video-link:hover .youtube-video-title,
+            .youtube-list-item .youtube-video-link:focus-visible .youtube-video-title {
+                text-decoration: underline;
+            }
+
+            .youtube-list-item .youtube-video-title {
+                margin-bottom: 4px;
+            }
+
+            .youtube-list-item .youtube-video-meta {
+                margin-top: 0;
+            }
+        `;
+    }
+}
+
+/**
+ * Full-width slider showing one video at a time, advancing every heroInterval seconds
+ * Auto-advance pauses while the pointer or focus is on the slider and is off for reduced motion.
+ */
+class YouTubeHeroLayout extends YouTubeLayoutRenderer {
+    constructor(widget, element) {
+        super(widget, element);
+        this.slides = [];
+        this.current = 0;
+        this.paused = false;
+        this.timer = null;
+    }
+
+    render(items) {
+        const hero = document.createElement('section');
+        hero.className = 'youtube-hero';
+        const { messages } = this.widget;
+        hero.setAttribute('dir', messages.dir);
+        hero.setAttribute('aria-roledescription', 'carousel');
+        hero.setAttribute('aria-label', messages.t('hero.label'));
+        hero.append(
+            createYouTubeElement('div', { className: 'youtube-hero-slides' }),
+            createYouTubeElement('button', {
+                type: 'button',
+                className: 'youtube-hero-nav youtube-hero-prev',
+                'aria-label': messages.t('previous')
+            }, [createYouTubeIcon(getYouTubeChevron(messages.dir, -1), 24)]),
+            createYouTubeElement('button', {
+                type: 'button',
+                className: 'youtube-hero-nav youtube-hero-next',
+                'aria-label': messages.t('next')
+            }, [createYouTubeIcon(getYouTubeChevron(messages.dir, 1), 24)]),
+            createYouTubeElement('div', { className: 'youtube-hero-dots' })
+        );
+
+        this.hero = hero;
+        this.itemsElement = hero.querySelector('.youtube-hero-slides');
+        this.dots = hero.querySelector('.youtube-hero-dots');
+
+        hero.querySelector('.youtube-hero-prev').addEventListener('click', () => this.show(this.current - 1));
+        hero.querySelector('.youtube-hero-next').addEventListener('click', () => this.show(this.current + 1));
+        this.dots.addEventListener('click', event => {
+            const dot = event.target.closest('[data-slide]');
+            if (dot) this.show(Number(dot.dataset.slide));
+        });
+
+        hero.addEventListener('keydown', event => {
+            const rtl = hero.dir === 'rtl';
+            if (event.key === 'ArrowLeft') {
+                this.show(this.current + (rtl ? 1 : -1));
+            } else if (event.key === 'ArrowRight') {
+                this.show(this.current + (rtl ? -1 : 1));
+            } else {
+                return;
+            }
+            event.preventDefault();
+        });
+
+        hero.addEventListener('mouseenter', () => { this.paused = true; });
+        hero.addEventListener('mouseleave', () => { this.paused = false; });
+        hero.addEventListener('focusin', () => { this.paused = true; });
+        hero.addEventListener('focusout', event => {
+            if (!hero.contains(event.relatedTarget)) this.paused = false;
+        });
+
+        this.element.appendChild(hero);
+        this.append(items);
+        this.show(0);
+        this.start();
+    }
+
+    append(items) {
+        super.append(items);
+        this.renderDots();
+        this.show(this.current);
+
+        if (!this.timer) this.start();
+    }
+
+    createItem(video, index) {
+        const slide = document.createElement('div');
+        slide.className = 'youtube-hero-slide';
+        slide.setAttribute('role', 'group');
+        slide.setAttribute('aria-roledescription', 'slide');
+        slide.appendChild(this.widget.createCard(video, index, 'hero'));
+        this.slides.push(slide);
+        return slide;
+    }
+
+    /**
+     * One dot per slide; also labels the slides "n of total"
+     */
+    renderDots() {
+        const { messages } = this.widget;
+        const total = this.slides.length;
+        this.dots.replaceChildren();
+        this.slides.forEach((slide, index) => {
+            const number = index + 1;
+            slide.setAttribute('aria-label', messages.t('hero.slide', { number, total }));
+
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'youtube-hero-dot';
+            dot.dataset.slide = index;
+            dot.setAttribute('aria-label', messages.t('hero.dot', { number }));
+            this.dots.appendChild(dot);
+        });
+        this.dots.hidden = this.slides.length < 2;
+    }
+
+    /**
+     * Show a slide, wrapping around at both ends
+     */
+    show(index) {
+        const count = this.slides.length;
+        if (count === 0) return;
+
+        this.current = (index + count) % count;
+        this.slides.forEach((slide, slideIndex) => {
+            slide.hidden = slideIndex !== this.current;
+        });
+        this.dots.querySelectorAll('.youtube-hero-dot').forEach((dot, dotIndex) => {
+            if (dotIndex === this.current) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Advance automatically unless disabled, pointless or unwanted
+     */
+    start() {
+        const interval = this.widget.options.heroInterval;
+        if (!interval || this.slides.length < 2 || youtubePrefersReducedMotion()) return;
+
+        this.timer = setInterval(() => {
+            if (!this.paused && !document.hidden) this.show(this.current + 1);
+        }, interval * 1000);
+    }
+
+    destroy() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    static get styles() {
+        return `
+            .youtube-hero {
+                position: relative;
+                margin-bottom: 25px;
+                border-radius: var(--youtube-radius);
+                overflow: hidden;
+                background-color: #000;
+            }
+
+            .youtube-hero-slide .youtube-thumbnail-container {
+                padding-top: 42.86%; /* 21:9 */
+            }
+
+            .youtube-hero-caption {
+                position: absolute;
+                right: 0;
+                bottom: 0;
+                left: 0;
+                padding: 60px 24px 40px;
+                background: linear-gradient(transparent, rgba(0, 0, 0, 0.85));
+                color: #fff;
+                text-align: start;
+            }
+
+            .youtube-hero-caption .youtube-video-title {
+                font-size: 24px;
+                -webkit-line-clamp: 2;
+            }
+
+            .youtube-hero-nav {
+                position: absolute;
+                top: 50%;
+                transform: translateY(-50%);
+                display: inline-flex;
+                align-items: center;
+                justify-content: center;
+                width: 44px;
+                height: 44px;
+                padding: 0;
+                border: none;
+                border-radius: 50%;
+                background-color: rgba(0, 0, 0, 0.5);
+                color: #fff;
+                cursor: pointer;
+            }
+
+            .youtube-hero-prev {
+                inset-inline-start: 12px;
+            }
+
+            .youtube-hero-next {
+                inset-inline-end: 12px;
+            }
+
+            .youtube-hero-dots {
+                position: absolute;
+                bottom: 12px;
+                left: 0;
+                right: 0;
+                display: flex;
+                justify-content: center;
+                gap: 8px;
+            }
+
+            .youtube-hero-dots[hidden] {
+                display: none;
+            }
+
+            .youtube-hero-dot {
+                width: 10px;
+                height: 10px;
+                padding: 0;
+                border: none;
+                border-radius: 50%;
+                background-color: rgba(255, 255, 255, 0.5);
+                cursor: pointer;
+            }
+
+            .youtube-hero-dot[aria-current="true"] {
+                background-color: #fff;
+            }
+
+            @media (max-width: 768px) {
+                .youtube-hero-slide .youtube-thumbnail-container {
+                    padding-top: 56.25%; /* 16:9 */
+                }
+
+                .youtube-hero-caption {
+                    padding: 40px 16px 32px;
+                }
+
+                .youtube-hero-caption .youtube-video-title {
+                    font-size: 18px;
+                }
+            }
+        `;
+    }
+}
+
+YouTubeLayoutRenderer.register('grid', YouTubeGridLayout);
+YouTubeLayoutRenderer.register('carousel', YouTubeCarouselLayout);
+YouTubeLayoutRenderer.register('list', YouTubeListLayout);
+YouTubeLayoutRenderer.register('hero', YouTubeHeroLayout);
+
+export {
+    YouTubeLayoutRenderer
+};
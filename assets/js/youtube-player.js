@@ -0,0 +1,544 @@
+/**
+ * YouTube In-Page Player
+ *
+ * Plays videos in an on-page overlay using the YouTube IFrame Player API instead of
+ * sending viewers off to youtube.com.
+ *
+ * Features:
+ * - Loads the IFrame Player API once, on first use
+ * - Accessible modal dialog with focus trapping and Escape to close
+ * - Previous/next navigation through the list it was opened with (buttons and arrow keys)
+ * - Deep links of the form #video=<id> that open the same video on page load
+ * - A link to the video on YouTube, inside the dialog, when the Player API can't be loaded
+ * - Builds its markup without HTML from data (see youtube-dom.js)
+ * - Labels and text direction in the opening widget's locale (see youtube-i18n.js)
+ * - Colours from the opening widget's theme (see youtube-theme.js)
+ */
+
+import {
+    YOUTUBE_IFRAME_API_URL,
+    youtubeStaticHTML,
+    youtubeScriptURL,
+    createYouTubeElement,
+    createYouTubeIcon,
+    getYouTubeChevron,
+    addYouTubeStyleSheet
+} from './youtube-dom.js';
+import { YouTubeMessages } from './youtube-i18n.js';
+import { YouTubeTheme } from './youtube-theme.js';
+
+/**
+ * Load the YouTube IFrame Player API and resolve with the global YT object
+ */
+const loadYouTubeIframeApi = (() => {
+    let apiPromise = null;
+
+    return () => {
+        if (apiPromise) return apiPromise;
+
+        apiPromise = new Promise((resolve, reject) => {
+            if (window.YT && window.YT.Player) {
+                resolve(window.YT);
+                return;
+            }
+
+            // Keep any callback another script already registered
+            const previousCallback = window.onYouTubeIframeAPIReady;
+            window.onYouTubeIframeAPIReady = () => {
+                if (typeof previousCallback === 'function') previousCallback();
+                resolve(window.YT);
+            };
+
+            const script = document.createElement('script');
+            script.src = youtubeScriptURL(YOUTUBE_IFRAME_API_URL);
+            script.async = true;
+            script.onerror = () => {
+                apiPromise = null;
+                reject(new Error('Failed to load the YouTube IFrame Player API'));
+            };
+            document.head.appendChild(script);
+        });
+
+        return apiPromise;
+    };
+})();
+
+// Numbers the players of a page that are not given an id
+let youtubePlayerCount = 0;
+
+class YouTubePlayerModal {
+    constructor(options) {
+        this.options = {
+            deepLink: true, // Whether to reflect the open video in location.hash (#video=<id>)
+            autoplay: true, // Start playback as soon as the player is ready
+            messages: null, // YouTubeMessages for the labels; the default locale's when not set
+            theme: null, // YouTubeTheme for the colours; the default preset's when not set
+            id: null, // Prefix of the ids in the overlay, unique on the page; numbered when not set
+            ...options
+        };
+
+        this.id = this.options.id || `youtube-player-${++youtubePlayerCount}`;
+
+        this.messages = this.options.messages || new YouTubeMessages();
+        this.theme = this.options.theme || new YouTubeTheme();
+
+        this.videos = [];
+        this.index = 0;
+        this.player = null;
+        this.overlay = null;
+        this.previousFocus = null;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * Read the video ID from a #video=<id> deep link, if present
+     */
+    static getDeepLinkedVideoId() {
+        const match = window.location.hash.match(/(?:^#|&)video=([\w-]{11})(?:&|$)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Whether the overlay is currently shown
+     */
+    isOpen() {
+        return Boolean(this.overlay && !this.overlay.hidden);
+    }
+
+    /**
+     * Open the player with a list of videos, starting at the given index
+     */
+    open(videos, index = 0) {
+        this.videos = videos.filter(video => video && video.id);
+        if (this.videos.length === 0) return;
+
+        this.index = Math.min(Math.max(index, 0), this.videos.length - 1);
+
+        if (!this.overlay) {
+            this.createOverlay();
+        }
+
+        if (!this.isOpen()) {
+            this.previousFocus = document.activeElement;
+            this.overlay.hidden = false;
+            document.body.classList.add('youtube-modal-open');
+            document.addEventListener('keydown', this.handleKeydown);
+        }
+
+        this.showCurrentVideo();
+        this.closeButton.focus();
+    }
+
+    /**
+     * Close the player and return focus to where it was before opening
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        if (this.player && typeof this.player.stopVideo === 'function') {
+            this.player.stopVideo();
+        }
+
+        this.overlay.hidden = true;
+        document.body.classList.remove('youtube-modal-open');
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.updateHash(null);
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    /**
+     * Close the player and remove the overlay from the page
+     */
+    destroy() {
+        this.close();
+
+        if (this.player && typeof this.player.destroy === 'function') {
+            this.player.destroy();
+        }
+        this.player = null;
+
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    /**
+     * Show the next video in the list
+     */
+    next() {
+        if (this.index < this.videos.length - 1) {
+            this.index++;
+            this.showCurrentVideo();
+        }
+    }
+
+    /**
+     * Show the previous video in the list
+     */
+    previous() {
+        if (this.index > 0) {
+            this.index--;
+            this.showCurrentVideo();
+        }
+    }
+
+    /**
+     * Build the overlay markup once and keep it in the document
+     */
+    createOverlay() {
+        addYouTubePlayerStyles();
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'youtube-modal';
+        this.overlay.hidden = true;
+        this.theme.apply(this.overlay);
+        this.overlay.innerHTML = youtubeStaticHTML(`
+            <div class="youtube-modal-backdrop" data-modal-close></div>
+            <div class="youtube-modal-dialog" role="dialog" aria-modal="true">
+                <div class="youtube-modal-header">
+                    <h4 class="youtube-modal-title"></h4>
+                    <button type="button" class="youtube-modal-close" data-modal-close>
+                        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <div class="youtube-modal-player">
+                    <div class="youtube-modal-player-target"></div>
+                </div>
+                <div class="youtube-modal-nav">
+                    <button type="button" class="youtube-modal-prev"></button>
+                    <span class="youtube-modal-position" aria-live="polite"></span>
+                    <button type="button" class="youtube-modal-next"></button>
+                </div>
+            </div>
+        `);
+
+        this.dialog = this.overlay.querySelector('.youtube-modal-dialog');
+        this.titleElement = this.overlay.querySelector('.youtube-modal-title');
+        this.titleElement.id = `${this.id}-title`;
+        this.dialog.setAttribute('aria-labelledby', this.titleElement.id);
+        this.closeButton = this.overlay.querySelector('.youtube-modal-close');
+        this.prevButton = this.overlay.querySelector('.youtube-modal-prev');
+        this.nextButton = this.overlay.querySelector('.youtube-modal-next');
+        this.positionElement = this.overlay.querySelector('.youtube-modal-position');
+        this.playerTarget = this.overlay.querySelector('.youtube-modal-player-target');
+
+        // Labels and arrows for the locale's reading order
+        const { messages } = this;
+        this.dialog.setAttribute('dir', messages.dir);
+        this.dialog.setAttribute('lang', messages.locale);
+        this.closeButton.setAttribute('aria-label', messages.t('player.close'));
+        this.prevButton.setAttribute('aria-label', messages.t('player.previous'));
+        this.prevButton.append(createYouTubeIcon(getYouTubeChevron(messages.dir, -1), 20), ` ${messages.t('previous')}`);
+        this.nextButton.setAttribute('aria-label', messages.t('player.next'));
+        this.nextButton.append(`${messages.t('next')} `, createYouTubeIcon(getYouTubeChevron(messages.dir, 1), 20));
+
+        this.overlay.addEventListener('click', event => {
+            if (event.target.closest('[data-modal-close]')) {
+                this.close();
+            }
+        });
+        this.prevButton.addEventListener('click', () => this.previous());
+        this.nextButton.addEventListener('click', () => this.next());
+
+        document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * Load the current video into the player and update the controls
+     */
+    showCurrentVideo() {
+        const video = this.videos[this.index];
+
+        this.titleElement.textContent = video.title || '';
+        this.prevButton.disabled = this.index === 0;
+        this.nextButton.disabled = this.index === this.videos.length - 1;
+        this.positionElement.textContent = this.videos.length > 1
+            ? this.messages.t('player.position', { number: this.index + 1, total: this.videos.length })
+            : '';
+        this.updateHash(video.id);
+
+        if (this.player && typeof this.player.loadVideoById === 'function') {
+            if (this.options.autoplay) {
+                this.player.loadVideoById(video.id);
+            } else {
+                this.player.cueVideoById(video.id);
+            }
+            return;
+        }
+
+        // Clear the link an earlier failed load left
+        this.playerTarget.replaceChildren();
+
+        loadYouTubeIframeApi()
+            .then(YT => {
+                // The viewer may have closed the dialog or moved on while the API was loading
+                if (!this.isOpen() || this.player) return;
+
+                this.player = new YT.Player(this.playerTarget, {
+                    videoId: this.videos[this.index].id,
+                    playerVars: {
+                        autoplay: this.options.autoplay ? 1 : 0,
+                        playsinline: 1,
+                        rel: 0
+                    },
+                    events: {
+                        onReady: () => {
+                            // Catch up if navigation happened before the player was ready
+                            const currentId = this.videos[this.index].id;
+                            if (this.isOpen() && currentId !== video.id) {
+                                this.player.loadVideoById(currentId);
+                            }
+                        }
+                    }
+                });
+            })
+            .catch(error => {
+                console.error('Error loading YouTube player:', error);
+                if (this.isOpen() && !this.player) this.showYouTubeLink(this.videos[this.index]);
+            });
+    }
+
+    /**
+     * Offer the video on YouTube in place of the player
+     * Opening it from here would not follow a click of the viewer's, and popup blockers would stop it.
+     */
+    showYouTubeLink(video) {
+        const { messages } = this;
+        this.playerTarget.replaceChildren(createYouTubeElement('div', { className: 'youtube-modal-fallback', role: 'status' }, [
+            createYouTubeElement('p', { text: messages.t('player.unavailable') }),
+            createYouTubeElement('a', {
+                href: `https://www.youtube.com/watch?v=${encodeURIComponent(video.id)}`,
+                target: '_blank',
+                className: 'youtube-modal-fallback-link'
+            }, [
+                messages.t('player.watchOnYouTube'),
+                createYouTubeElement('span', { className: 'youtube-visually-hidden', text: ` ${messages.t('newWindow')}` })
+            ])
+        ]));
+    }
+
+    /**
+     * Reflect the open video in the URL so it can be shared
+     */
+    updateHash(videoId) {
+        if (!this.options.deepLink || !window.history || !window.history.replaceState) return;
+
+        const url = videoId
+            ? `${window.location.pathname}${window.location.search}#video=${encodeURIComponent(videoId)}`
+            : `${window.location.pathname}${window.location.search}`;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Keyboard handling while the dialog is open: Escape, arrow keys and focus trapping
+     */
+    handleKeydown(event) {
+        if (!this.isOpen()) return;
+
+        switch (event.key) {
+            case 'Escape':
+                event.preventDefault();
+                this.close();
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                // Don't steal arrow keys from focused controls other than our own buttons
+                if (event.target !== document.body && !this.dialog.contains(event.target)) return;
+                // "Next" sits on the left in RTL
+                const forward = event.key === (this.messages.dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight');
+                event.preventDefault();
+                if (forward) this.next(); else this.previous();
+                break;
+            }
+            case 'Tab':
+                this.trapFocus(event);
+                break;
+        }
+    }
+
+    /**
+     * Keep Tab and Shift+Tab cycling within the dialog
+     */
+    trapFocus(event) {
+        const focusable = Array.from(
+            this.dialog.querySelectorAll('button:not([disabled]), iframe, [href], [tabindex]:not([tabindex="-1"])')
+        );
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (!this.dialog.contains(document.activeElement)) {
+            event.preventDefault();
+            first.focus();
+        } else if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Add CSS styles, once; colours come from the theme's custom properties (see youtube-theme.js)
+const addYouTubePlayerStyles = () => {
+    addYouTubeStyleSheet('youtube-player-styles', `
+        .youtube-modal {
+            position: fixed;
+            inset: 0;
+            z-index: 1000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+            box-sizing: border-box;
+        }
+
+        .youtube-modal[hidden] {
+            display: none;
+        }
+
+        .youtube-modal-backdrop {
+            position: absolute;
+            inset: 0;
+            background-color: rgba(0, 0, 0, 0.85);
+        }
+
+        .youtube-modal-dialog {
+            position: relative;
+            width: 100%;
+            max-width: 960px;
+            background-color: var(--youtube-surface);
+            color: var(--youtube-text);
+            border-radius: var(--youtube-radius);
+            overflow: hidden;
+            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+        }
+
+        .youtube-modal-header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+            padding: 12px 16px;
+        }
+
+        .youtube-modal-title {
+            margin: 0;
+            font-size: 16px;
+            line-height: 1.4;
+            text-align: start;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .youtube-modal-close,
+        .youtube-modal-nav button {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            background: none;
+            border: 1px solid var(--youtube-border);
+            border-radius: 4px;
+            color: inherit;
+            font: inherit;
+            padding: 6px 10px;
+            cursor: pointer;
+        }
+
+        .youtube-modal-close {
+            flex-shrink: 0;
+            border: none;
+            padding: 4px;
+        }
+
+        .youtube-modal-nav button:disabled {
+            opacity: 0.4;
+            cursor: default;
+        }
+
+        .youtube-modal-close:focus-visible,
+        .youtube-modal-nav button:focus-visible {
+            outline: 2px solid var(--youtube-focus);
+            outline-offset: 2px;
+        }
+
+        .youtube-modal-player {
+            position: relative;
+            padding-top: 56.25%; /* 16:9 aspect ratio */
+            background-color: #000;
+        }
+
+        .youtube-modal-player iframe,
+        .youtube-modal-player-target {
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            margin: 0;
+            border: none;
+            border-radius: 0;
+        }
+
+        .youtube-modal-fallback {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 12px;
+            padding: 16px;
+            box-sizing: border-box;
+            color: #fff;
+            text-align: center;
+        }
+
+        .youtube-modal-fallback p {
+            margin: 0;
+        }
+
+        .youtube-modal-fallback-link {
+            background-color: var(--youtube-brand);
+            color: var(--youtube-on-brand);
+            border-radius: 4px;
+            padding: 8px 16px;
+            text-decoration: none;
+        }
+
+        .youtube-modal-fallback-link:focus-visible {
+            outline: 2px solid var(--youtube-focus);
+            outline-offset: 2px;
+        }
+
+        .youtube-modal-nav {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            padding: 12px 16px;
+        }
+
+        .youtube-modal-position {
+            font-size: 14px;
+            opacity: 0.8;
+        }
+
+        body.youtube-modal-open {
+            overflow: hidden;
+        }
+    `);
+};
+
+export {
+    YouTubePlayerModal
+};
@@ -0,0 +1,306 @@
+/**
+ * YouTube Widget Search
+ *
+ * Search box for YouTubeChannelVideos (see youtube-api.js), turned on with its `search` option or
+ * the data-search attribute.
+ *
+ * Features:
+ * - Filters the videos the widget has loaded or cached (every tab, every loaded page) by title and
+ *   description as the viewer types
+ * - Arabic-aware matching: diacritics (tashkeel) and tatweel are ignored, alef/hamza forms, alef
+ *   maqsura and taa marbuta are folded, and Arabic-Indic digits match Western ones
+ * - Optional filters by show (the widget's playlist tabs and labelled sources) and by date range
+ * - When nothing loaded matches, offers to ask YouTube's search.list, scoped to the widget's channel,
+ *   on Enter or with a button; never while typing (100 quota units per search, so results are kept per query)
+ */
+
+import { createYouTubeElement } from './youtube-dom.js';
+import { YouTubeLayoutRenderer } from './youtube-layouts.js';
+
+// Milliseconds to wait after the last keystroke before searching
+const YOUTUBE_SEARCH_DELAY = 250;
+
+// Shortest query (after normalization) sent to YouTube's search
+const YOUTUBE_SEARCH_MIN_REMOTE_LENGTH = 2;
+
+/**
+ * Fold text for matching: lower case, no diacritics or tatweel, one form of alef, yaa, waw and
+ * haa/taa marbuta, Western digits, and single spaces between words
+ */
+const normalizeYouTubeSearchText = text => String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    // Tashkeel, Quranic annotation marks and the superscript alef
+    .replace(/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06DC\u06DF-\u06E8\u06EA-\u06ED]/g, '')
+    .replace(/\u0640/g, '') // Tatweel
+    .replace(/[آأإٱ]/g, 'ا')
+    .replace(/ؤ/g, 'و')
+    .replace(/[ئى]/g, 'ي')
+    .replace(/ة/g, 'ه')
+    // Arabic-Indic (U+0660) and Persian (U+06F0) digits both end in their value
+    .replace(/[٠-٩۰-۹]/g, digit => String(digit.charCodeAt(0) & 0xF))
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Filter a catalogue of { video, sourceIds } entries
+ * Every word of the query must appear in the title or the description; videos matching all words
+ * in the title come first, newest first within each group. show is { sourceIds } or null; from and
+ * to are timestamps (to is exclusive) or null.
+ */
+const filterYouTubeVideos = (catalogue, { query = '', show = null, from = null, to = null } = {}) => {
+    const terms = normalizeYouTubeSearchText(query).split(' ').filter(Boolean);
+
+    return catalogue
+        .filter(({ sourceIds }) => !show || show.sourceIds.some(id => sourceIds.includes(id)))
+        .filter(({ video }) => {
+            if (from === null && to === null) return true;
+            const published = video.publishedAt ? new Date(video.publishedAt).getTime() : NaN;
+            return !Number.isNaN(published) && (from === null || published >= from) && (to === null || published < to);
+        })
+        .map(({ video }) => {
+            const title = normalizeYouTubeSearchText(video.title);
+            const text = `${title} ${normalizeYouTubeSearchText(video.description)}`;
+            return {
+                video,
+                matches: terms.every(term => text.includes(term)),
+                inTitle: terms.every(term => title.includes(term))
+            };
+        })
+        .filter(({ matches }) => matches)
+        .sort((a, b) => (b.inTitle - a.inTitle) || (new Date(b.video.publishedAt || 0) - new Date(a.video.publishedAt || 0)))
+        .map(({ video }) => video);
+};
+
+/**
+ * The search form and its results, shown above a widget's container
+ * While a search or filter is active the results replace the widget's videos on screen.
+ */
+class YouTubeVideoSearch {
+    constructor(widget) {
+        this.widget = widget;
+        this.element = null;
+        this.form = null;
+        this.status = null;
+        this.resultsElement = null;
+        this.results = []; // Videos on screen; the cards' data-video-index points into this list
+        this.shows = [];
+        this.timer = null;
+        this.sequence = 0; // Ignores searches that finish after a newer one started
+
+        this.handleInput = this.handleInput.bind(this);
+    }
+
+    /**
+     * Build the form and insert it before the widget's container
+     */
+    render() {
+        const idPrefix = `${this.widget.widgetId}-search`;
+        const { messages } = this.widget;
+        this.shows = this.widget.getSearchShows();
+
+        const field = (label, control) => createYouTubeElement('label', { className: 'youtube-search-field' }, [
+            createYouTubeElement('span', { className: 'youtube-search-label', text: label }),
+            control
+        ]);
+
+        this.form = createYouTubeElement('form', { className: 'youtube-search-form', role: 'search', 'aria-label': messages.t('search.label') }, [
+            createYouTubeElement('input', {
+                type: 'search',
+                name: 'query',
+                className: 'youtube-search-input',
+                placeholder: messages.t('search.placeholder'),
+                'aria-label': messages.t('search.input'),
+                'aria-controls': `${idPrefix}-results`,
+                autocomplete: 'off'
+            }),
+            this.shows.length > 0
+                ? field(messages.t('search.show'), createYouTubeElement('select', { name: 'show', className: 'youtube-search-show' }, [
+                    createYouTubeElement('option', { value: '', text: messages.t('search.allShows') }),
+                    ...this.shows.map((show, index) => createYouTubeElement('option', { value: index, text: show.label }))
+                ]))
+                : null,
+            field(messages.t('search.from'), createYouTubeElement('input', { type: 'date', name: 'from', className: 'youtube-search-date' })),
+            field(messages.t('search.to'), createYouTubeElement('input', { type: 'date', name: 'to', className: 'youtube-search-date' })),
+            createYouTubeElement('button', { type: 'reset', className: 'youtube-search-reset', text: messages.t('search.reset') })
+        ]);
+
+        this.status = createYouTubeElement('p', { className: 'youtube-search-status', role: 'status', 'aria-live': 'polite' });
+        this.resultsElement = createYouTubeElement('div', {
+            className: 'youtube-search-results',
+            id: `${idPrefix}-results`,
+            hidden: true
+        });
+        this.element = createYouTubeElement('div', { className: 'youtube-search', dir: messages.dir, lang: messages.locale }, [
+            this.form,
+            this.status,
+            this.resultsElement
+        ]);
+        this.widget.theme.apply(this.element);
+
+        this.form.addEventListener('input', this.handleInput);
+        this.form.addEventListener('change', this.handleInput);
+        // Only an explicit submit may ask YouTube, which costs 100 quota units per search
+        this.form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.update({ remote: true });
+        });
+        // Reset clears the fields after the event, so search once they are empty
+        this.form.addEventListener('reset', () => setTimeout(() => this.update()));
+
+        this.widget.container.before(this.element);
+    }
+
+    /**
+     * Search a moment after the viewer stops typing
+     */
+    handleInput() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.update(), YOUTUBE_SEARCH_DELAY);
+    }
+
+    /**
+     * The form's query and filters; dates are whole local days, so "to" includes its day
+     */
+    getCriteria() {
+        const { query, show, from, to } = this.form.elements;
+        const readDate = (input, addDays) => {
+            if (!input.value) return null;
+            const [year, month, day] = input.value.split('-').map(Number);
+            return new Date(year, month - 1, day + addDays).getTime();
+        };
+
+        return {
+            query: query.value.trim(),
+            show: show && show.value !== '' ? this.shows[Number(show.value)] : null,
+            from: readDate(from, 0),
+            to: readDate(to, 1)
+        };
+    }
+
+    /**
+     * Whether the form holds a query or a filter
+     */
+    isActive(criteria = this.getCriteria()) {
+        return Boolean(normalizeYouTubeSearchText(criteria.query) || criteria.show || criteria.from !== null || criteria.to !== null);
+    }
+
+    /**
+     * Run the search for the form's current values and show the results
+     * Typing searches the loaded videos only; with remote (the form was submitted), YouTube is asked
+     * when none of them match.
+     */
+    async update({ remote = false } = {}) {
+        clearTimeout(this.timer);
+        const sequence = ++this.sequence;
+        const criteria = this.getCriteria();
+
+        if (!this.isActive(criteria)) {
+            this.clear();
+            return;
+        }
+
+        let results = filterYouTubeVideos(await this.widget.getSearchCatalogue(criteria.show), criteria);
+        if (sequence !== this.sequence || this.widget.destroyed) return;
+
+        const canSearchRemotely = results.length === 0 && this.canSearchRemotely(criteria);
+        if (canSearchRemotely && remote) {
+            this.setStatus(this.widget.messages.t('search.searchingYouTube'));
+            this.resultsElement.setAttribute('aria-busy', 'true');
+            try {
+                results = await this.widget.searchChannelVideos(criteria.query, criteria);
+            } catch (error) {
+                this.widget.recordError(error, 'Error searching YouTube');
+            }
+            // A newer search shows its own results (or clears them), which also ends the busy state
+            if (sequence !== this.sequence || this.widget.destroyed) return;
+        }
+
+        this.showResults(results, { offerRemote: canSearchRemotely && !remote });
+    }
+
+    /**
+     * Whether YouTube may be asked about a query: YouTube's search knows nothing about our shows,
+     * so it is only asked about the whole channel, and only for queries of a few letters
+     */
+    canSearchRemotely(criteria) {
+        const query = normalizeYouTubeSearchText(criteria.query);
+        return !criteria.show && query.length >= YOUTUBE_SEARCH_MIN_REMOTE_LENGTH && this.widget.canSearchChannel();
+    }
+
+    /**
+     * Show result cards in place of the widget's videos
+     * With offerRemote, an empty result offers a button that asks YouTube.
+     */
+    showResults(videos, { offerRemote = false } = {}) {
+        const { messages } = this.widget;
+        this.results = videos;
+        this.resultsElement.replaceChildren();
+        this.resultsElement.removeAttribute('aria-busy');
+        this.resultsElement.hidden = false;
+        this.widget.container.hidden = true;
+
+        if (videos.length === 0 && offerRemote) {
+            this.setStatus(messages.t('search.noLocalResults'));
+            const button = createYouTubeElement('button', {
+                type: 'button',
+                className: 'youtube-search-remote',
+                text: messages.t('search.searchYouTube')
+            });
+            button.addEventListener('click', () => this.update({ remote: true }));
+            this.resultsElement.appendChild(button);
+            return;
+        }
+
+        if (videos.length === 0) {
+            this.setStatus(messages.t('search.noResults'));
+            return;
+        }
+
+        this.setStatus(this.widget.messages.t('search.results', { count: videos.length }));
+
+        const grid = createYouTubeElement('div', { className: 'youtube-videos-grid' });
+        this.resultsElement.appendChild(grid);
+        new YouTubeLayoutRenderer(this.widget, grid).render(videos.map((video, index) => ({ video, index })));
+        this.widget.analytics.observeCards(grid);
+    }
+
+    /**
+     * Remove the results and show the widget's videos again
+     */
+    clear() {
+        this.results = [];
+        this.resultsElement.replaceChildren();
+        this.resultsElement.hidden = true;
+        this.resultsElement.removeAttribute('aria-busy');
+        this.widget.container.hidden = false;
+        this.setStatus('');
+    }
+
+    /**
+     * Announce the number of results or what the search is doing
+     */
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+
+    /**
+     * Remove the form and stop a pending search
+     */
+    destroy() {
+        clearTimeout(this.timer);
+        this.sequence++;
+        if (this.element) {
+            this.element.remove();
+        }
+        if (this.widget.container) {
+            this.widget.container.hidden = false;
+        }
+        this.results = [];
+    }
+}
+
+export {
+    normalizeYouTubeSearchText,
+    YouTubeVideoSearch
+};
@@ -0,0 +1,175 @@
+/**
+ * YouTube Widget Theme
+ *
+ * The colours, corner radius and grid of the widget modules (youtube-api.js, youtube-layouts.js,
+ * youtube-player.js, youtube-search.js) come from CSS custom properties, so a page can restyle a
+ * widget without overriding its rules.
+ *
+ * Each theme key sets one custom property (see YOUTUBE_THEME_PROPERTIES and docs/youtube-api-usage.md):
+ * brand and onBrand (buttons, the selected tab, badges; text on them), surface (cards, the player),
+ * surfaceMuted (thumbnail placeholders, labels), text, textMuted, border, focus (outlines), radius,
+ * columns (of the grid on wide screens) and gap (between cards).
+ * A custom brand needs a contrast ratio of at least 4.5:1 with onBrand (WCAG AA), as button text
+ * sits on it; YouTube's #ff0000 has 4:1 with white, so the presets use #cc0000 (5.9:1).
+ *
+ * A widget picks a preset with the `theme` option (data-theme): 'dark' (the default) or 'light'.
+ * Single values can be changed with an object, which is applied to the widget as inline custom
+ * properties:
+ *   new YouTubeChannelVideos({ theme: { preset: 'light', brand: '#0a66c2', columns: 4 } });
+ * The default preset's values are also set on :root, and every preset rule has no specificity,
+ * so page CSS such as `#videos { --youtube-gap: 24px; }` wins without !important.
+ *
+ * More presets can be added with YouTubeTheme.register('sepia', { surface: '#f4ecd8', ... });
+ * keys they leave out are taken from the default preset.
+ */
+
+// The preset of widgets without a theme, and of elements outside any widget
+const YOUTUBE_DEFAULT_THEME = 'dark';
+
+// Custom properties by theme key
+const YOUTUBE_THEME_PROPERTIES = {
+    brand: '--youtube-brand',
+    onBrand: '--youtube-on-brand',
+    surface: '--youtube-surface',
+    surfaceMuted: '--youtube-surface-muted',
+    text: '--youtube-text',
+    textMuted: '--youtube-text-muted',
+    border: '--youtube-border',
+    focus: '--youtube-focus',
+    radius: '--youtube-radius',
+    columns: '--youtube-columns',
+    gap: '--youtube-gap'
+};
+
+// Presets by name
+const YOUTUBE_THEMES = {
+    dark: {
+        brand: '#cc0000',
+        onBrand: '#fff',
+        surface: '#111',
+        surfaceMuted: 'rgba(255, 255, 255, 0.1)',
+        text: '#fff',
+        textMuted: '#aaa',
+        border: 'rgba(255, 255, 255, 0.2)',
+        focus: '#fff',
+        radius: '8px',
+        columns: 3,
+        gap: '15px'
+    },
+    light: {
+        brand: '#cc0000',
+        onBrand: '#fff',
+        surface: '#fff',
+        surfaceMuted: 'rgba(0, 0, 0, 0.06)',
+        text: '#0f0f0f',
+        textMuted: '#606060',
+        border: 'rgba(0, 0, 0, 0.15)',
+        focus: '#0f0f0f',
+        radius: '8px',
+        columns: 3,
+        gap: '15px'
+    }
+};
+
+// Presets whose rule is already on the page
+const youtubeThemeStylesAdded = new Set();
+
+/**
+ * A preset with the widget's own values on top
+ */
+class YouTubeTheme {
+    constructor(theme = YOUTUBE_DEFAULT_THEME) {
+        const { preset = YOUTUBE_DEFAULT_THEME, ...values } = typeof theme === 'string' ? { preset: theme } : (theme || {});
+        this.preset = YouTubeTheme.resolve(preset);
+
+        // Custom property by custom property: the widget's values, without unknown keys
+        this.values = {};
+        Object.entries(values).forEach(([key, value]) => {
+            const property = YouTubeTheme.getProperty(key);
+            if (property) {
+                this.values[property] = String(value);
+            } else {
+                console.warn(`Unknown theme key "${key}"`);
+            }
+        });
+    }
+
+    /**
+     * Add a preset, or replace a built-in one
+     */
+    static register(name, values = {}) {
+        YOUTUBE_THEMES[name] = values;
+        youtubeThemeStylesAdded.delete(name);
+    }
+
+    /**
+     * The registered preset for a name, else the default preset
+     */
+    static resolve(name) {
+        if (YOUTUBE_THEMES[name]) return name;
+
+        console.warn(`Unknown theme "${name}"; using "${YOUTUBE_DEFAULT_THEME}"`);
+        return YOUTUBE_DEFAULT_THEME;
+    }
+
+    /**
+     * The custom property for a theme key; custom property names are accepted as they are
+     */
+    static getProperty(key) {
+        if (key.startsWith('--')) return key;
+        return YOUTUBE_THEME_PROPERTIES[key] || null;
+    }
+
+    /**
+     * Declarations for a preset's values, e.g. "--youtube-brand: #cc0000;"
+     */
+    static getDeclarations(name) {
+        const values = { ...YOUTUBE_THEMES[YOUTUBE_DEFAULT_THEME], ...YOUTUBE_THEMES[name] };
+        return Object.entries(values).map(([key, value]) => {
+            const property = YouTubeTheme.getProperty(key);
+            return property ? `${property}: ${value};` : '';
+        }).join(' ');
+    }
+
+    /**
+     * Add a preset's rule to the page the first time it is used
+     * :where() keeps the rules at zero specificity, so any page rule setting the same properties wins.
+     */
+    static addStyles(name) {
+        if (youtubeThemeStylesAdded.has(name)) return;
+        youtubeThemeStylesAdded.add(name);
+
+        const selector = name === YOUTUBE_DEFAULT_THEME
+            ? `:where(:root), :where([data-youtube-theme="${name}"])`
+            : `:where([data-youtube-theme="${name}"])`;
+
+        const styleElement = document.getElementById(`youtube-theme-${name}`) || document.createElement('style');
+        styleElement.id = `youtube-theme-${name}`;
+        styleElement.textContent = `${selector} { ${YouTubeTheme.getDeclarations(name)} }`;
+        document.head.appendChild(styleElement);
+    }
+
+    /**
+     * Style an element (a widget container, its search form or its player) with the theme
+     */
+    apply(element) {
+        YouTubeTheme.addStyles(YOUTUBE_DEFAULT_THEME);
+        YouTubeTheme.addStyles(this.preset);
+
+        element.setAttribute('data-youtube-theme', this.preset);
+        Object.entries(this.values).forEach(([property, value]) => element.style.setProperty(property, value));
+    }
+
+    /**
+     * Take the theme off an element again
+     */
+    remove(element) {
+        element.removeAttribute('data-youtube-theme');
+        Object.keys(this.values).forEach(property => element.style.removeProperty(property));
+    }
+}
+
+export {
+    YOUTUBE_DEFAULT_THEME,
+    YouTubeTheme
+};
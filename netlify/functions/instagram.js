@@ -0,0 +1,63 @@
+/**
+ * /api/instagram — Instagram proxy for the Instagram feed
+ *
+ * Keeps the Instagram access token on the server and caches the latest posts so visitors
+ * don't each call the API (it is rate limited per account).
+ *
+ * GET /api/instagram?limit=6  → { posts: [...], profileUrl, fetchedAt }
+ *
+ * Environment:
+ * - INSTAGRAM_ACCESS_TOKEN (required): Instagram API user access token of the account to show
+ * - INSTAGRAM_PROFILE_URL: the account's profile link (default: https://www.instagram.com/alaantv/)
+ * - INSTAGRAM_CACHE_TTL: seconds to cache the posts (default: 1800)
+ */
+
+const { InstagramDataClient } = require('../lib/instagram-data');
+const { jsonResponse } = require('../lib/json-response');
+
+const MAX_LIMIT = 25; // Posts per media page of the API
+const DEFAULT_PROFILE_URL = 'https://www.instagram.com/alaantv/';
+
+// Survives between invocations while the function instance stays warm
+const cache = new Map();
+
+exports.handler = async event => {
+    if (event.httpMethod && event.httpMethod !== 'GET') {
+        return jsonResponse(405, { error: 'Method not allowed' });
+    }
+
+    const accessToken = process.env.INSTAGRAM_ACCESS_TOKEN;
+    if (!accessToken) {
+        console.error('INSTAGRAM_ACCESS_TOKEN is not set');
+        return jsonResponse(500, { error: 'Server is not configured' });
+    }
+
+    const params = event.queryStringParameters || {};
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || 6, 1), MAX_LIMIT);
+    const ttl = Number(process.env.INSTAGRAM_CACHE_TTL) || 1800;
+    const key = `posts:${limit}`;
+
+    const entry = cache.get(key);
+    if (entry && entry.expires > Date.now()) {
+        return jsonResponse(200, entry.value, ttl);
+    }
+
+    try {
+        const client = new InstagramDataClient({ accessToken });
+        const value = {
+            posts: await client.getRecentPosts(limit),
+            profileUrl: process.env.INSTAGRAM_PROFILE_URL || DEFAULT_PROFILE_URL,
+            fetchedAt: new Date().toISOString()
+        };
+        cache.set(key, { value, expires: Date.now() + ttl * 1000 });
+        return jsonResponse(200, value, ttl);
+    } catch (error) {
+        console.error('Error fetching Instagram posts:', error);
+
+        // An expired token or a rate limit shouldn't empty the feed; keep serving the last good posts
+        if (entry) {
+            return jsonResponse(200, entry.value);
+        }
+        return jsonResponse(502, { error: 'Failed to fetch posts', reason: error.reason || null });
+    }
+};
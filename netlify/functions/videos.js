@@ -0,0 +1,241 @@
+/**
+ * /api/videos — YouTube proxy for the video widget
+ *
+ * Keeps the YouTube Data API key on the server and caches results so visitors
+ * don't each spend quota.
+ *
+ * GET /api/videos?channel=@tarfiehplus&maxResults=9  → { videos: [...], nextPageToken, fetchedAt }
+ * GET /api/videos?playlist=PL...&maxResults=9       → { videos: [...], nextPageToken, fetchedAt }
+ * Either list accepts &pageToken=<nextPageToken> for the following page.
+ * GET /api/videos?channel=@tarfiehplus&live=1        → { broadcast: {...} | null, fetchedAt }
+ * GET /api/videos?channel=@tarfiehplus&q=زينة+مكي     → { videos: [...], fetchedAt }
+ * Searches accept &publishedAfter= and &publishedBefore= (ISO-8601 dates).
+ *
+ * Environment:
+ * - YOUTUBE_API_KEY (required): YouTube Data API v3 key
+ * - YOUTUBE_API_REFERRER: Referer sent to YouTube, for a key restricted to HTTP referrers
+ * - YOUTUBE_CHANNEL: channel used when the request names none (default: @tarfiehplus)
+ * - YOUTUBE_ALLOWED_CHANNELS: comma-separated channels the proxy may serve (default: YOUTUBE_CHANNEL)
+ * - YOUTUBE_ALLOWED_PLAYLISTS: comma-separated playlist IDs the proxy may serve (default: none)
+ * - VIDEOS_CACHE_TTL: seconds to cache video lists (default: 3600)
+ * - LIVE_CACHE_TTL: seconds to cache live status (default: 60)
+ * - SEARCH_CACHE_TTL: seconds to cache search results (default: 21600; a search costs 100 quota units)
+ * - CACHE_MAX_ENTRIES: responses kept in memory (default: 500)
+ * - SEARCH_RATE_LIMIT: searches one client may send to YouTube per minute (default: 10; cached results don't count)
+ */
+
+const { YouTubeDataClient, YouTubeApiError } = require('../lib/youtube-data');
+const { jsonResponse } = require('../lib/json-response');
+
+const MAX_RESULTS_LIMIT = 50; // playlistItems.list and search.list maximum
+const MAX_QUERY_LENGTH = 100;
+// How long an expired response is kept to serve while YouTube reports quotaExceeded (quota resets daily)
+const STALE_LIMIT = 24 * 60 * 60 * 1000;
+const SEARCH_RATE_WINDOW = 60 * 1000;
+
+// Survive between invocations while the function instance stays warm
+const cache = new Map(); // Least recently used first: a read moves the entry to the end
+const searchCounts = new Map(); // Client → { count, resets } for the current minute
+
+/**
+ * Split a comma-separated environment variable into lowercase entries
+ */
+const parseList = value => (value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * An ISO-8601 date parameter in canonical form, or '' if it is missing or invalid
+ */
+const parseDate = value => (value && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : '');
+
+/**
+ * A client sent more than SEARCH_RATE_LIMIT searches to YouTube within a minute
+ */
+class SearchRateLimitError extends Error {
+    constructor(retryAfter) {
+        super('Too many searches');
+        this.name = 'SearchRateLimitError';
+        this.retryAfter = retryAfter; // Seconds until the client's minute is over
+    }
+}
+
+/**
+ * Map a failure to a JSON error response
+ */
+const errorResponse = error => {
+    // Not a failure of YouTube's; the widget doesn't retry this reason
+    if (error instanceof SearchRateLimitError) {
+        return jsonResponse(429, { error: error.message, reason: 'searchRateLimited' }, 0, {
+            'Retry-After': String(error.retryAfter)
+        });
+    }
+
+    console.error('Error fetching YouTube data:', error);
+
+    if (error instanceof YouTubeApiError) {
+        const notFound = ['channelNotFound', 'handleMismatch', 'playlistNotFound'];
+        const statusCode = notFound.includes(error.reason) ? 404 : 502;
+        return jsonResponse(statusCode, { error: error.message, reason: error.reason || null });
+    }
+
+    return jsonResponse(502, { error: 'Failed to fetch videos' });
+};
+
+/**
+ * Store a response, dropping responses too old to serve and then the least recently used ones
+ */
+const store = (key, value, ttl) => {
+    const now = Date.now();
+    cache.forEach((entry, cachedKey) => {
+        if (entry.expires + STALE_LIMIT <= now) cache.delete(cachedKey);
+    });
+
+    cache.delete(key);
+    cache.set(key, { value, expires: now + ttl * 1000 });
+
+    const maxEntries = Number(process.env.CACHE_MAX_ENTRIES) || 500;
+    for (const oldestKey of cache.keys()) {
+        if (cache.size <= maxEntries) break;
+        cache.delete(oldestKey);
+    }
+};
+
+/**
+ * Return a cached value or compute and store it
+ * An expired value is still returned when YouTube reports quotaExceeded
+ */
+const cached = async (key, ttl, compute) => {
+    const entry = cache.get(key);
+    if (entry) {
+        // Keep recently read responses when the cache is full
+        cache.delete(key);
+        cache.set(key, entry);
+    }
+    if (entry && entry.expires > Date.now()) {
+        return entry.value;
+    }
+
+    let value;
+    try {
+        value = await compute();
+    } catch (error) {
+        // Out of quota: keep serving the last good response until the quota resets
+        if (entry && error.reason === 'quotaExceeded') {
+            return entry.value;
+        }
+        throw error;
+    }
+
+    store(key, value, ttl);
+    return value;
+};
+
+/**
+ * The address a request came from, as reported by Netlify
+ */
+const getClient = event => {
+    const headers = event.headers || {};
+    return headers['x-nf-client-connection-ip'] || (headers['x-forwarded-for'] || '').split(',')[0].trim() || 'unknown';
+};
+
+/**
+ * Count a search for a client; returns the seconds to wait when it is over SEARCH_RATE_LIMIT, else 0
+ * Only searches sent to YouTube count, as each one spends 100 quota units; cached results are free.
+ */
+const limitSearches = client => {
+    const now = Date.now();
+    searchCounts.forEach((entry, key) => {
+        if (entry.resets <= now) searchCounts.delete(key);
+    });
+
+    const entry = searchCounts.get(client) || { count: 0, resets: now + SEARCH_RATE_WINDOW };
+    entry.count += 1;
+    searchCounts.set(client, entry);
+
+    const limit = Number(process.env.SEARCH_RATE_LIMIT) || 10;
+    return entry.count > limit ? Math.ceil((entry.resets - now) / 1000) : 0;
+};
+
+exports.handler = async event => {
+    if (event.httpMethod && event.httpMethod !== 'GET') {
+        return jsonResponse(405, { error: 'Method not allowed' });
+    }
+
+    const apiKey = process.env.YOUTUBE_API_KEY;
+    if (!apiKey) {
+        console.error('YOUTUBE_API_KEY is not set');
+        return jsonResponse(500, { error: 'Server is not configured' });
+    }
+
+    const params = event.queryStringParameters || {};
+    const defaultChannel = process.env.YOUTUBE_CHANNEL || '@tarfiehplus';
+    const maxResults = Math.min(Math.max(parseInt(params.maxResults, 10) || 10, 1), MAX_RESULTS_LIMIT);
+    const pageToken = (params.pageToken || '').trim();
+    const client = new YouTubeDataClient({ apiKey });
+
+    if (params.playlist) {
+        const playlist = params.playlist.trim();
+        if (!parseList(process.env.YOUTUBE_ALLOWED_PLAYLISTS).includes(playlist.toLowerCase())) {
+            return jsonResponse(403, { error: 'Playlist not allowed' });
+        }
+
+        try {
+            const ttl = Number(process.env.VIDEOS_CACHE_TTL) || 3600;
+            const body = await cached(`playlist:${playlist}:${maxResults}:${pageToken}`, ttl, async () => ({
+                ...(await client.getPlaylistPage(playlist, maxResults, pageToken)),
+                fetchedAt: new Date().toISOString()
+            }));
+            return jsonResponse(200, body, ttl);
+        } catch (error) {
+            return errorResponse(error);
+        }
+    }
+
+    const channel = (params.channel || defaultChannel).trim();
+    if (!parseList(process.env.YOUTUBE_ALLOWED_CHANNELS || defaultChannel).includes(channel.toLowerCase())) {
+        return jsonResponse(403, { error: 'Channel not allowed' });
+    }
+
+    try {
+        if (params.live) {
+            const ttl = Number(process.env.LIVE_CACHE_TTL) || 60;
+            const body = await cached(`live:${channel}`, ttl, async () => ({
+                broadcast: await client.getLiveBroadcast(channel),
+                fetchedAt: new Date().toISOString()
+            }));
+            return jsonResponse(200, body, ttl);
+        }
+
+        if (params.q !== undefined) {
+            const query = params.q.trim().slice(0, MAX_QUERY_LENGTH);
+            if (!query) {
+                return jsonResponse(400, { error: 'Empty search' });
+            }
+
+            const dates = { publishedAfter: parseDate(params.publishedAfter), publishedBefore: parseDate(params.publishedBefore) };
+            const ttl = Number(process.env.SEARCH_CACHE_TTL) || 21600;
+            const key = `search:${channel}:${query.toLowerCase()}:${maxResults}:${dates.publishedAfter}:${dates.publishedBefore}`;
+            const body = await cached(key, ttl, async () => {
+                const retryAfter = limitSearches(getClient(event));
+                if (retryAfter > 0) throw new SearchRateLimitError(retryAfter);
+
+                return {
+                    videos: await client.searchVideos(channel, query, maxResults, dates),
+                    fetchedAt: new Date().toISOString()
+                };
+            });
+            return jsonResponse(200, body, ttl);
+        }
+
+        const ttl = Number(process.env.VIDEOS_CACHE_TTL) || 3600;
+        const body = await cached(`videos:${channel}:${maxResults}:${pageToken}`, ttl, async () => ({
+            ...(await client.getPlaylistPage(await client.getUploadsPlaylistId(channel), maxResults, pageToken)),
+            fetchedAt: new Date().toISOString()
+        }));
+        return jsonResponse(200, body, ttl);
+    } catch (error) {
+        return errorResponse(error);
+    }
+};
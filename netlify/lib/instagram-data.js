@@ -0,0 +1,118 @@
+/**
+ * Instagram API client for Node (Netlify functions and build scripts)
+ *
+ * Reads an account's latest posts with the Instagram API (graph.instagram.com) and returns them
+ * normalized the way InstagramFeed in assets/js/instagram-feed.js renders them:
+ * { id, type, caption, thumbnail, url, publishedAt }, with publishedAt as an ISO string.
+ *
+ * Environment:
+ * - INSTAGRAM_API_BASE: alternative API base URL, e.g. a local stub server
+ * - INSTAGRAM_FIXTURES_DIR: answer requests from recorded JSON files instead of the network
+ */
+
+const path = require('path');
+const { createFixtureFetch } = require('./youtube-data');
+
+const DEFAULT_API_BASE = 'https://graph.instagram.com';
+
+const MEDIA_FIELDS = 'id,caption,media_type,media_url,thumbnail_url,permalink,timestamp';
+
+// media_type values from the API → the feed's post types
+const POST_TYPES = {
+    IMAGE: 'image',
+    VIDEO: 'video',
+    CAROUSEL_ALBUM: 'carousel'
+};
+
+class InstagramApiError extends Error {
+    constructor(message, status, reason) {
+        super(message);
+        this.name = 'InstagramApiError';
+        this.status = status; // HTTP status from the API
+        this.reason = reason; // The API's error type, e.g. 'OAuthException'
+    }
+}
+
+/**
+ * Collapse whitespace in a caption, keeping line breaks out of the cards
+ */
+const cleanCaption = caption => String(caption || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Turn an API media object into a feed post, or null if it has nothing to show
+ * Videos show their cover image (thumbnail_url); images and albums their first image (media_url).
+ */
+const normalizePost = item => {
+    if (!item || !item.id || !item.permalink) return null;
+
+    const type = POST_TYPES[item.media_type] || 'image';
+    const thumbnail = type === 'video' ? item.thumbnail_url : item.media_url;
+    if (!thumbnail) return null;
+
+    return {
+        id: String(item.id),
+        type,
+        caption: cleanCaption(item.caption),
+        thumbnail,
+        url: item.permalink,
+        publishedAt: item.timestamp ? new Date(item.timestamp).toISOString() : null
+    };
+};
+
+class InstagramDataClient {
+    constructor(options) {
+        this.options = {
+            accessToken: '', // Instagram API user access token (required)
+            baseUrl: process.env.INSTAGRAM_API_BASE || DEFAULT_API_BASE,
+            fetch: process.env.INSTAGRAM_FIXTURES_DIR
+                ? createFixtureFetch(path.resolve(process.env.INSTAGRAM_FIXTURES_DIR))
+                : (...args) => fetch(...args),
+            ...options
+        };
+    }
+
+    /**
+     * Call an API path and return the parsed body, throwing InstagramApiError on failure
+     */
+    async request(resource, params) {
+        const query = new URLSearchParams({ ...params, access_token: this.options.accessToken });
+        const response = await this.options.fetch(`${this.options.baseUrl}/${resource}?${query}`);
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            // Leave data empty; the status check below reports the failure
+        }
+
+        if (!response.ok) {
+            const reason = data && data.error ? data.error.type : undefined;
+            throw new InstagramApiError(`Failed to fetch ${resource}`, response.status, reason);
+        }
+
+        if (!data) {
+            throw new InstagramApiError(`Invalid JSON from ${resource}`, response.status);
+        }
+
+        return data;
+    }
+
+    /**
+     * The account's latest posts, newest first
+     */
+    async getRecentPosts(limit) {
+        const data = await this.request('me/media', { fields: MEDIA_FIELDS, limit });
+
+        return (data.data || [])
+            .map(normalizePost)
+            .filter(Boolean)
+            .slice(0, limit);
+    }
+}
+
+module.exports = {
+    InstagramDataClient,
+    InstagramApiError,
+    normalizePost,
+    cleanCaption
+};
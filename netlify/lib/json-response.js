@@ -0,0 +1,21 @@
+/**
+ * JSON responses for the Netlify functions (videos.js, instagram.js)
+ */
+
+/**
+ * A function response with a JSON body
+ * With maxAge (seconds), Netlify's CDN caches the response for everyone; browsers always revalidate.
+ * headers are added to (or replace) the default ones.
+ */
+const jsonResponse = (statusCode, body, maxAge = 0, headers = {}) => ({
+    statusCode,
+    headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'public, max-age=0, must-revalidate',
+        'Netlify-CDN-Cache-Control': maxAge > 0 ? `public, s-maxage=${maxAge}, stale-while-revalidate=${maxAge}` : 'no-store',
+        ...headers
+    },
+    body: JSON.stringify(body)
+});
+
+module.exports = { jsonResponse };
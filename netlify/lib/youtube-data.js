@@ -0,0 +1,381 @@
+/**
+ * YouTube Data API client for Node (Netlify functions and build scripts)
+ *
+ * Runs the same channel → uploads playlist → playlistItems chain as
+ * YouTubeChannelVideos.fetchVideos in assets/js/youtube-api.js and returns the same
+ * normalized video objects, with publishedAt as an ISO string so it survives JSON (null when YouTube
+ * sends no date or an invalid one).
+ *
+ * Environment:
+ * - YOUTUBE_API_BASE: alternative API base URL, e.g. a local stub server
+ * - YOUTUBE_FIXTURES_DIR: answer requests from recorded JSON files instead of the network
+ * - YOUTUBE_API_REFERRER: Referer sent with every request, for keys restricted to HTTP referrers
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_API_BASE = 'https://www.googleapis.com/youtube/v3';
+
+// Resolved channels (channel → { channelId, uploadsPlaylistId }) for as long as the process runs;
+// neither ID ever changes, and each lookup costs a request
+const resolvedChannels = new Map();
+
+class YouTubeApiError extends Error {
+    constructor(message, status, reason) {
+        super(message);
+        this.name = 'YouTubeApiError';
+        this.status = status; // HTTP status from the API
+        this.reason = reason; // First error reason from the API body, e.g. 'quotaExceeded',
+                              // or the client's own 'channelNotFound' / 'handleMismatch'
+    }
+}
+
+/**
+ * Create a fetch replacement that answers from recorded responses
+ * A request to /<resource>?... is answered with <dir>/<resource>.json
+ */
+const createFixtureFetch = dir => async url => {
+    const resource = new URL(url).pathname.split('/').pop();
+    const file = path.join(dir, `${resource}.json`);
+
+    if (!fs.existsSync(file)) {
+        return new Response(JSON.stringify({ error: { code: 404, message: `No fixture for ${resource}` } }), { status: 404 });
+    }
+
+    return new Response(fs.readFileSync(file, 'utf8'), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+    });
+};
+
+class YouTubeDataClient {
+    constructor(options) {
+        this.options = {
+            apiKey: '', // YouTube Data API key (required)
+            baseUrl: process.env.YOUTUBE_API_BASE || DEFAULT_API_BASE,
+            referrer: process.env.YOUTUBE_API_REFERRER || '', // Referer header, if the key is restricted to the site
+            fetch: process.env.YOUTUBE_FIXTURES_DIR
+                ? createFixtureFetch(path.resolve(process.env.YOUTUBE_FIXTURES_DIR))
+                : (...args) => fetch(...args),
+            ...options
+        };
+    }
+
+    /**
+     * Call an API resource and return the parsed body, throwing YouTubeApiError on failure
+     */
+    async request(resource, params) {
+        const query = new URLSearchParams({ ...params, key: this.options.apiKey });
+        const headers = this.options.referrer ? { Referer: this.options.referrer } : {};
+        const response = await this.options.fetch(`${this.options.baseUrl}/${resource}?${query}`, { headers });
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            // Leave data empty; the status check below reports the failure
+        }
+
+        if (!response.ok) {
+            const reason = data && data.error && data.error.errors && data.error.errors[0]
+                ? data.error.errors[0].reason
+                : undefined;
+            throw new YouTubeApiError(`Failed to fetch ${resource}`, response.status, reason);
+        }
+
+        if (!data) {
+            throw new YouTubeApiError(`Invalid JSON from ${resource}`, response.status);
+        }
+
+        return data;
+    }
+
+    /**
+     * Resolve a channel ID (UC...), @handle or legacy username to { channelId, uploadsPlaylistId }
+     * Same lookup as YouTubeChannelVideos.resolveChannel in the browser widget: one channels.list call,
+     * forHandle for handles (the answered handle must match), forHandle and then forUsername for bare names.
+     */
+    async resolveChannel(channel) {
+        const key = channel.toLowerCase();
+        if (resolvedChannels.has(key)) {
+            return resolvedChannels.get(key);
+        }
+
+        const lookup = async params => {
+            const data = await this.request('channels', { part: 'snippet,contentDetails', ...params });
+            return data.items && data.items.length > 0 ? data.items[0] : null;
+        };
+
+        let item = null;
+        if (/^UC[\w-]{22}$/.test(channel)) {
+            item = await lookup({ id: channel });
+        } else {
+            const handle = `@${channel.replace(/^@/, '')}`;
+            item = await lookup({ forHandle: handle });
+
+            const answeredHandle = item && item.snippet && item.snippet.customUrl;
+            const mismatch = item && (!answeredHandle || answeredHandle.toLowerCase() !== handle.toLowerCase())
+                ? `YouTube answered ${handle} with ${answeredHandle || item.id}`
+                : null;
+            if (mismatch) {
+                item = null;
+            }
+
+            // A bare name that isn't a handle may still be a legacy username
+            if (!item && !channel.startsWith('@')) {
+                item = await lookup({ forUsername: channel });
+            }
+            if (!item && mismatch) {
+                throw new YouTubeApiError(mismatch, 404, 'handleMismatch');
+            }
+        }
+
+        if (!item) {
+            throw new YouTubeApiError(`Channel ${channel} not found`, 404, 'channelNotFound');
+        }
+
+        const resolved = {
+            channelId: item.id,
+            uploadsPlaylistId: item.contentDetails.relatedPlaylists.uploads
+        };
+        resolvedChannels.set(key, resolved);
+        return resolved;
+    }
+
+    /**
+     * Resolve a channel ID (UC...), legacy username or @handle to a channel ID
+     */
+    async resolveChannelId(channel) {
+        const { channelId } = await this.resolveChannel(channel);
+        return channelId;
+    }
+
+    /**
+     * Get the uploads playlist ID of a channel
+     */
+    async getUploadsPlaylistId(channel) {
+        const { uploadsPlaylistId } = await this.resolveChannel(channel);
+        return uploadsPlaylistId;
+    }
+
+    /**
+     * Get the latest uploads of a channel as normalized video objects
+     */
+    async getLatestVideos(channel, maxResults) {
+        const playlistId = await this.getUploadsPlaylistId(channel);
+        return this.getPlaylistVideos(playlistId, maxResults);
+    }
+
+    /**
+     * Get the videos of a playlist as normalized video objects
+     */
+    async getPlaylistVideos(playlistId, maxResults) {
+        const page = await this.getPlaylistPage(playlistId, maxResults);
+        return page.videos;
+    }
+
+    /**
+     * Get one page of a playlist as { videos, nextPageToken }
+     */
+    async getPlaylistPage(playlistId, maxResults, pageToken = '') {
+        const data = await this.request('playlistItems', {
+            part: 'snippet,contentDetails',
+            maxResults,
+            playlistId,
+            ...(pageToken ? { pageToken } : {})
+        });
+
+        const videos = (data.items || [])
+            // Private and deleted videos stay in playlists without thumbnails
+            .filter(item => item.snippet.thumbnails && Object.keys(item.snippet.thumbnails).length > 0)
+            .map(item => YouTubeDataClient.normalizePlaylistItem(item));
+
+        return {
+            videos: await this.enrichVideos(videos),
+            nextPageToken: data.nextPageToken || null
+        };
+    }
+
+    /**
+     * Search a channel's videos with search.list (100 quota units per call) as normalized video objects
+     * publishedAfter and publishedBefore are optional ISO-8601 dates.
+     */
+    async searchVideos(channel, query, maxResults, { publishedAfter = '', publishedBefore = '' } = {}) {
+        const channelId = await this.resolveChannelId(channel);
+        const data = await this.request('search', {
+            part: 'snippet',
+            type: 'video',
+            channelId,
+            q: query,
+            maxResults,
+            ...(publishedAfter ? { publishedAfter } : {}),
+            ...(publishedBefore ? { publishedBefore } : {})
+        });
+
+        const videos = (data.items || [])
+            .filter(item => item.id && item.id.videoId)
+            .map(item => YouTubeDataClient.normalizeSearchResult(item));
+
+        return this.enrichVideos(videos);
+    }
+
+    /**
+     * Add duration (in seconds), view count and aspect ratio from videos.list, 50 videos per call
+     * Same as YouTubeChannelVideos.enrichVideos; videos are returned unchanged if the lookup fails
+     */
+    async enrichVideos(videos) {
+        const details = new Map();
+        try {
+            for (let i = 0; i < videos.length; i += 50) {
+                const ids = videos.slice(i, i + 50).map(video => video.id);
+                const data = await this.request('videos', {
+                    part: 'contentDetails,statistics,player',
+                    maxHeight: 360, // Makes player.embedWidth/embedHeight follow the video's aspect ratio
+                    id: ids.join(',')
+                });
+                (data.items || []).forEach(item => details.set(item.id, item));
+            }
+        } catch (error) {
+            console.error('Error fetching video details:', error);
+            return videos;
+        }
+
+        return videos.map(video => {
+            const item = details.get(video.id);
+            if (!item) return video;
+
+            return {
+                ...video,
+                duration: YouTubeDataClient.parseDuration(item.contentDetails && item.contentDetails.duration),
+                viewCount: item.statistics && item.statistics.viewCount !== undefined
+                    ? Number(item.statistics.viewCount)
+                    : null,
+                aspectRatio: YouTubeDataClient.getAspectRatio(item.player)
+            };
+        });
+    }
+
+    /**
+     * Find a live or upcoming broadcast among the channel's latest uploads
+     * Same approach as YouTubeChannelVideos.fetchLiveBroadcast
+     */
+    async getLiveBroadcast(channel) {
+        const playlistId = await this.getUploadsPlaylistId(channel);
+        const playlistData = await this.request('playlistItems', { part: 'contentDetails', maxResults: 10, playlistId });
+        const videoIds = (playlistData.items || []).map(item => item.contentDetails.videoId);
+        if (videoIds.length === 0) {
+            return null;
+        }
+
+        const videosData = await this.request('videos', { part: 'snippet,liveStreamingDetails', id: videoIds.join(',') });
+        const toBroadcast = (item, status) => ({
+            id: item.id,
+            status,
+            title: item.snippet.title,
+            thumbnail: YouTubeDataClient.pickThumbnail(item.snippet.thumbnails),
+            channelTitle: item.snippet.channelTitle,
+            scheduledStartTime: item.liveStreamingDetails && item.liveStreamingDetails.scheduledStartTime
+                ? item.liveStreamingDetails.scheduledStartTime
+                : null
+        });
+
+        const items = videosData.items || [];
+        const live = items.find(item => item.snippet.liveBroadcastContent === 'live');
+        if (live) {
+            return toBroadcast(live, 'live');
+        }
+
+        const staleBefore = Date.now() - 60 * 60 * 1000;
+        const upcoming = items
+            .filter(item => item.snippet.liveBroadcastContent === 'upcoming')
+            .map(item => toBroadcast(item, 'upcoming'))
+            .filter(broadcast => broadcast.scheduledStartTime && Date.parse(broadcast.scheduledStartTime) > staleBefore)
+            .sort((a, b) => Date.parse(a.scheduledStartTime) - Date.parse(b.scheduledStartTime));
+
+        return upcoming[0] || null;
+    }
+
+    /**
+     * Convert an ISO-8601 duration (PT1H2M3S, P1DT2H) to seconds, or null for P0D (live and upcoming streams)
+     */
+    static parseDuration(duration) {
+        const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration || '');
+        if (!match) return null;
+
+        const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part) || 0);
+        const total = ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+        return total > 0 ? total : null;
+    }
+
+    /**
+     * Width / height from the embed size returned for part=player with maxHeight, or null
+     */
+    static getAspectRatio(player) {
+        const width = player && Number(player.embedWidth);
+        const height = player && Number(player.embedHeight);
+        return width > 0 && height > 0 ? Math.round(width / height * 1000) / 1000 : null;
+    }
+
+    /**
+     * Pick the best available thumbnail
+     */
+    static pickThumbnail(thumbnails) {
+        return thumbnails.high || thumbnails.medium || thumbnails.default;
+    }
+
+    /**
+     * A date as an ISO string, or null when it is missing or invalid (the card then shows no date)
+     * Same as YouTubeChannelVideos.parseDate in assets/js/youtube-api.js
+     */
+    static toIsoDate(value) {
+        const date = value ? new Date(value) : null;
+        return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+    }
+
+    /**
+     * Convert a playlistItems entry to the widget's video object
+     */
+    static normalizePlaylistItem(item) {
+        const snippet = item.snippet;
+        return {
+            id: snippet.resourceId.videoId,
+            title: snippet.title,
+            description: snippet.description,
+            thumbnail: YouTubeDataClient.pickThumbnail(snippet.thumbnails),
+            // snippet.publishedAt is when the video was added to the playlist
+            publishedAt: YouTubeDataClient.toIsoDate((item.contentDetails && item.contentDetails.videoPublishedAt) || snippet.publishedAt),
+            channelTitle: snippet.channelTitle
+        };
+    }
+
+    /**
+     * Undo the HTML escaping of search.list snippets (&amp; &quot; &#39; &lt; &gt;)
+     */
+    static decodeHtmlEntities(text) {
+        const entities = { amp: '&', quot: '"', '#39': "'", lt: '<', gt: '>' };
+        return String(text || '').replace(/&(amp|quot|#39|lt|gt);/g, (match, name) => entities[name]);
+    }
+
+    /**
+     * Convert a search.list video result to the widget's video object
+     * Same as YouTubeChannelVideos.fetchSearchResults; search.list escapes its snippets, playlistItems.list doesn't
+     */
+    static normalizeSearchResult(item) {
+        const snippet = item.snippet;
+        return {
+            id: item.id.videoId,
+            title: YouTubeDataClient.decodeHtmlEntities(snippet.title),
+            description: YouTubeDataClient.decodeHtmlEntities(snippet.description),
+            thumbnail: YouTubeDataClient.pickThumbnail(snippet.thumbnails),
+            publishedAt: YouTubeDataClient.toIsoDate(snippet.publishedAt),
+            channelTitle: YouTubeDataClient.decodeHtmlEntities(snippet.channelTitle)
+        };
+    }
+}
+
+module.exports = {
+    YouTubeDataClient,
+    YouTubeApiError,
+    createFixtureFetch
+};
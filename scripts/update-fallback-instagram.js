@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Fallback Instagram Snapshot Generator
+ *
+ * Refreshes assets/data/fallback-instagram.json with the account's latest posts, through the
+ * same client as the /api/instagram proxy. Runs in the Netlify build (see netlify.toml), so the
+ * Instagram feed has real posts to show when the proxy can't be reached.
+ *
+ * Instagram's image URLs are signed and stop working after a while, so the snapshot is only as
+ * fresh as the last deploy; the feed hides images that no longer load.
+ * profileUrl and any other top-level settings in the file are left untouched.
+ *
+ * Usage:
+ *   node scripts/update-fallback-instagram.js [options]
+ *
+ * Options:
+ *   --max <n>              Number of posts to include (default: 6)
+ *   --file <path>          JSON file to update (default: assets/data/fallback-instagram.json)
+ *   --fixtures <dir>       Read recorded API responses from <dir> instead of the network
+ *   --dry-run              Print a diff of the changes without writing the file
+ *   --strict               Exit with an error when Instagram can't be reached (default: keep the file and exit 0)
+ *
+ * Environment:
+ *   INSTAGRAM_ACCESS_TOKEN Instagram API user access token (not needed with --fixtures)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createFixtureFetch } = require('../netlify/lib/youtube-data');
+const { InstagramDataClient } = require('../netlify/lib/instagram-data');
+const { serialize, diffLines } = require('./update-fallback-videos');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'assets', 'data', 'fallback-instagram.json');
+
+// Version written to the file's "version" key (see InstagramFeed.loadFallbackFile)
+const FALLBACK_INSTAGRAM_VERSION = 1;
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = argv => {
+    const args = {
+        max: 6,
+        file: DEFAULT_FILE,
+        fixtures: null,
+        dryRun: false,
+        strict: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--max': args.max = parseInt(argv[++i], 10); break;
+            case '--file': args.file = path.resolve(argv[++i]); break;
+            case '--fixtures': args.fixtures = path.resolve(argv[++i]); break;
+            case '--dry-run': args.dryRun = true; break;
+            case '--strict': args.strict = true; break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!Number.isInteger(args.max) || args.max < 1 || args.max > 25) {
+        throw new Error('--max must be a number between 1 and 25');
+    }
+
+    return args;
+};
+
+/**
+ * Replace the posts in the existing file contents, keeping its other settings
+ */
+const mergePosts = (existing, posts) => ({
+    ...existing,
+    version: FALLBACK_INSTAGRAM_VERSION,
+    posts
+});
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const accessToken = process.env.INSTAGRAM_ACCESS_TOKEN || (args.fixtures ? 'fixtures' : '');
+
+    const before = fs.readFileSync(args.file, 'utf8');
+    const existing = JSON.parse(before);
+
+    if (!accessToken) {
+        const message = 'INSTAGRAM_ACCESS_TOKEN is not set; keeping the existing Instagram posts';
+        if (args.strict) throw new Error(message);
+        console.warn(message);
+        return;
+    }
+
+    const client = new InstagramDataClient({
+        accessToken,
+        ...(args.fixtures ? { fetch: createFixtureFetch(args.fixtures) } : {})
+    });
+
+    let posts;
+    try {
+        posts = await client.getRecentPosts(args.max);
+    } catch (error) {
+        // An expired token shouldn't block a deploy; the committed snapshot still works
+        if (args.strict) throw error;
+        console.warn(`Could not fetch Instagram posts (${error.reason || error.message}); keeping the existing posts`);
+        return;
+    }
+
+    if (posts.length === 0) {
+        console.warn('The account returned no posts; keeping the existing Instagram posts');
+        return;
+    }
+
+    const after = serialize(mergePosts(existing, posts));
+    const relativeFile = path.relative(process.cwd(), args.file);
+
+    if (after === before) {
+        console.log(`${relativeFile} is up to date`);
+        return;
+    }
+
+    if (args.dryRun) {
+        console.log(`--- ${relativeFile}\n+++ ${relativeFile} (updated)`);
+        console.log(diffLines(before, after).join('\n'));
+        return;
+    }
+
+    fs.writeFileSync(args.file, after);
+    console.log(`Updated ${relativeFile} with ${posts.length} posts`);
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs,
+    mergePosts
+};
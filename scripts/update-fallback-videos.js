@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/**
+ * Fallback Videos Snapshot Generator
+ *
+ * Refreshes assets/data/fallback-videos.json from the channel's latest uploads, using
+ * the same channel → uploads playlist → playlistItems chain as the widget.
+ * Runs as the Netlify build command (see netlify.toml).
+ *
+ * Editorial data in the file is preserved:
+ * - entries with "manual": true are kept (titles trimmed), ahead of the generated ones
+ * - "titleOverride" on any entry replaces the title coming from YouTube
+ * - "thumbnail", "pin" and "expiresAt" on generated entries carry over to the regenerated ones
+ * - showFeaturedVideo and any other top-level settings are left untouched
+ * Files in an older format are migrated to the current schema version first
+ * (see assets/js/youtube-fallback.js).
+ *
+ * Usage:
+ *   node scripts/update-fallback-videos.js [options]
+ *
+ * Options:
+ *   --channel <handle|id>  Channel to read (default: YOUTUBE_CHANNEL or @tarfiehplus)
+ *   --max <n>              Number of uploads to include (default: 9)
+ *   --file <path>          JSON file to update (default: assets/data/fallback-videos.json)
+ *   --fixtures <dir>       Read recorded API responses from <dir> instead of the network
+ *   --dry-run              Print a diff of the changes without writing the file
+ *   --strict               Exit with an error when YouTube can't be reached (default: keep the file and exit 0)
+ *
+ * Environment:
+ *   YOUTUBE_API_KEY        YouTube Data API v3 key (not needed with --fixtures)
+ *   YOUTUBE_API_REFERRER   Referer sent to YouTube, for a key restricted to HTTP referrers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { YouTubeDataClient, createFixtureFetch } = require('../netlify/lib/youtube-data');
+const { FALLBACK_VIDEO_KEYS, cleanFallbackTitle, migrateFallbackVideos, validateFallbackVideos } = require('../assets/js/youtube-fallback');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'assets', 'data', 'fallback-videos.json');
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = argv => {
+    const args = {
+        channel: process.env.YOUTUBE_CHANNEL || '@tarfiehplus',
+        max: 9,
+        file: DEFAULT_FILE,
+        fixtures: null,
+        dryRun: false,
+        strict: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--channel': args.channel = argv[++i]; break;
+            case '--max': args.max = parseInt(argv[++i], 10); break;
+            case '--file': args.file = path.resolve(argv[++i]); break;
+            case '--fixtures': args.fixtures = path.resolve(argv[++i]); break;
+            case '--dry-run': args.dryRun = true; break;
+            case '--strict': args.strict = true; break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!Number.isInteger(args.max) || args.max < 1 || args.max > 50) {
+        throw new Error('--max must be a number between 1 and 50');
+    }
+
+    return args;
+};
+
+// Keys set by editors on generated entries that survive regeneration
+const EDITORIAL_KEYS = ['titleOverride', 'thumbnail', 'pin', 'expiresAt'];
+
+/**
+ * Collapse whitespace (including the stray newlines YouTube titles often end with)
+ */
+const cleanTitle = title => cleanFallbackTitle(title || '');
+
+/**
+ * Write an entry's keys in a fixed order so regenerated files diff cleanly
+ */
+const orderEntry = entry => {
+    const ordered = {};
+    FALLBACK_VIDEO_KEYS.forEach(key => {
+        if (entry[key] !== undefined) ordered[key] = entry[key];
+    });
+    Object.keys(entry).sort().forEach(key => {
+        if (!(key in ordered)) ordered[key] = entry[key];
+    });
+    return ordered;
+};
+
+/**
+ * Merge freshly fetched videos into the existing file contents
+ */
+const mergeVideos = (existing, fetchedVideos) => {
+    const existingVideos = (existing.videos || []).map(video => (typeof video === 'string' ? { id: video } : video));
+    const editorial = new Map(existingVideos.map(video => [
+        video.id,
+        Object.fromEntries(EDITORIAL_KEYS.filter(key => video[key] !== undefined).map(key => [key, video[key]]))
+    ]));
+
+    const manualVideos = existingVideos.filter(video => video.manual);
+    const manualIds = new Set(manualVideos.map(video => video.id));
+
+    const generatedVideos = fetchedVideos
+        .filter(video => !manualIds.has(video.id))
+        .map(video => {
+            const editorialKeys = editorial.get(video.id) || {};
+            return {
+                ...editorialKeys,
+                id: video.id,
+                title: cleanTitle(editorialKeys.titleOverride || video.title),
+                url: `https://www.youtube.com/watch?v=${video.id}`,
+                publishedAt: video.publishedAt || undefined,
+                duration: video.duration || undefined,
+                // null when videos.list didn't return them; the file leaves such keys out
+                viewCount: typeof video.viewCount === 'number' ? video.viewCount : undefined,
+                aspectRatio: typeof video.aspectRatio === 'number' ? video.aspectRatio : undefined
+            };
+        })
+        // Newest first, undated videos last; the ID breaks ties so the order never flip-flops between runs
+        .sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || '') || a.id.localeCompare(b.id));
+
+    const videos = [
+        ...manualVideos.map(video => ({
+            ...video,
+            title: cleanTitle(video.titleOverride || video.title) || undefined
+        })),
+        ...generatedVideos
+    ].map(orderEntry);
+
+    return { ...existing, videos };
+};
+
+/**
+ * Serialize the file the way it is committed
+ */
+const serialize = data => `${JSON.stringify(data, null, 2)}\n`;
+
+/**
+ * Minimal line diff (longest common subsequence) for --dry-run output
+ * Each change is shown with up to `context` unchanged lines around it; "..." marks skipped lines.
+ */
+const diffLines = (before, after, context = 3) => {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            diff.push(`  ${a[i]}`);
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            diff.push(`- ${a[i++]}`);
+        } else {
+            diff.push(`+ ${b[j++]}`);
+        }
+    }
+
+    const changed = diff.map(line => !line.startsWith('  '));
+    const isShown = index => changed
+        .slice(Math.max(0, index - context), index + context + 1)
+        .some(Boolean);
+
+    const lines = [];
+    diff.forEach((line, index) => {
+        if (!isShown(index)) return;
+        if (lines.length > 0 && !isShown(index - 1)) lines.push('...');
+        lines.push(line);
+    });
+
+    return lines;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const apiKey = process.env.YOUTUBE_API_KEY || (args.fixtures ? 'fixtures' : '');
+
+    const before = fs.readFileSync(args.file, 'utf8');
+    const { data: existing } = migrateFallbackVideos(JSON.parse(before));
+
+    if (!apiKey) {
+        const message = 'YOUTUBE_API_KEY is not set; keeping the existing fallback videos';
+        if (args.strict) throw new Error(message);
+        console.warn(message);
+        return;
+    }
+
+    const client = new YouTubeDataClient({
+        apiKey,
+        ...(args.fixtures ? { fetch: createFixtureFetch(args.fixtures) } : {})
+    });
+
+    let fetchedVideos;
+    try {
+        fetchedVideos = (await client.getLatestVideos(args.channel, args.max)).slice(0, args.max);
+    } catch (error) {
+        // A YouTube outage shouldn't block a deploy; the committed snapshot still works
+        if (args.strict) throw error;
+        console.warn(`Could not fetch videos (${error.reason || error.message}); keeping the existing fallback videos`);
+        return;
+    }
+
+    if (fetchedVideos.length === 0) {
+        console.warn('The channel returned no videos; keeping the existing fallback videos');
+        return;
+    }
+
+    const merged = mergeVideos(existing, fetchedVideos);
+    const after = serialize(merged);
+    const relativeFile = path.relative(process.cwd(), args.file);
+
+    // Hand-edited entries may still be broken; scripts/validate-fallback-videos.js fails the build for them
+    validateFallbackVideos(merged).errors.forEach(({ path: where, message }) => {
+        console.warn(`${relativeFile}: ${where} ${message}`);
+    });
+
+    if (after === before) {
+        console.log(`${relativeFile} is up to date`);
+        return;
+    }
+
+    if (args.dryRun) {
+        console.log(`--- ${relativeFile}\n+++ ${relativeFile} (updated)`);
+        console.log(diffLines(before, after).join('\n'));
+        return;
+    }
+
+    fs.writeFileSync(args.file, after);
+    console.log(`Updated ${relativeFile} with ${fetchedVideos.length} videos`);
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs,
+    cleanTitle,
+    mergeVideos,
+    serialize,
+    diffLines
+};
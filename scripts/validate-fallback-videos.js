@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Fallback Videos Check
+ *
+ * Validates assets/data/fallback-videos.json against its schema (see
+ * assets/data/fallback-videos.schema.json), with the same rules the widget applies in the browser.
+ * Runs after the snapshot generator in the Netlify build (see netlify.toml), so a broken
+ * file fails the deploy instead of silently losing videos.
+ *
+ * Usage:
+ *   node scripts/validate-fallback-videos.js [options]
+ *
+ * Options:
+ *   --file <path>  JSON file to check (default: assets/data/fallback-videos.json)
+ *   --migrate      Upgrade an older file to the current version and write it back
+ *
+ * Exits with 1 when the file has errors; warnings are printed but don't fail the check.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { migrateFallbackVideos, validateFallbackVideos } = require('../assets/js/youtube-fallback');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'assets', 'data', 'fallback-videos.json');
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = argv => {
+    const args = {
+        file: DEFAULT_FILE,
+        migrate: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--file': args.file = path.resolve(argv[++i]); break;
+            case '--migrate': args.migrate = true; break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return args;
+};
+
+/**
+ * Serialize the file the way it is committed
+ */
+const serialize = data => `${JSON.stringify(data, null, 2)}\n`;
+
+/**
+ * Check (and with migrate, upgrade) file contents; returns the report and the data to write, if any
+ */
+const checkFile = (contents, { migrate = false } = {}) => {
+    const parsed = JSON.parse(contents);
+    const { data, fromVersion } = migrate ? migrateFallbackVideos(parsed) : { data: parsed, fromVersion: null };
+    const { errors, warnings } = validateFallbackVideos(data);
+
+    return {
+        errors,
+        warnings,
+        fromVersion,
+        output: migrate ? serialize(data) : null
+    };
+};
+
+const main = () => {
+    const args = parseArgs(process.argv.slice(2));
+    const relativeFile = path.relative(process.cwd(), args.file);
+    const contents = fs.readFileSync(args.file, 'utf8');
+    const { errors, warnings, fromVersion, output } = checkFile(contents, args);
+
+    warnings.forEach(({ path: where, message }) => console.warn(`warning: ${where} ${message}`));
+    errors.forEach(({ path: where, message }) => console.error(`error: ${where ? `${where} ` : ''}${message}`));
+
+    if (output !== null && output !== contents) {
+        fs.writeFileSync(args.file, output);
+        console.log(`Migrated ${relativeFile} from version ${fromVersion}`);
+    }
+
+    if (errors.length > 0) {
+        console.error(`${relativeFile} has ${errors.length} error(s)`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`${relativeFile} is valid`);
+};
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    parseArgs,
+    checkFile
+};
@@ -0,0 +1,177 @@
+/**
+ * Service Worker
+ *
+ * Keeps the video wall working without a connection. Registered by assets/js/script.js; it lives
+ * at the site root so its scope covers the whole page.
+ *
+ * - App shell (the page, its CSS, scripts and logos): precached on install, then network first,
+ *   falling back to the cached copy. The page and its modules are fetched together, so a new
+ *   index.html never runs against the scripts or CSS of an older deploy.
+ * - Data files (fallback-videos.json and the other assets/data files): network first, falling back
+ *   to the last copy that was fetched
+ * - Thumbnails from YouTube and Instagram: cache first, limited to THUMBNAIL_LIMIT images of up to
+ *   THUMBNAIL_MAX_BYTES each; the oldest are dropped first
+ * - /api/ requests are left alone; the widgets keep their own caches in IndexedDB
+ *
+ * Bump CACHE_VERSION when the list of shell files changes; activating the new worker deletes the
+ * caches of older versions.
+ */
+
+const CACHE_VERSION = 4;
+const CACHE_PREFIX = 'alaan-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v${CACHE_VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data-v${CACHE_VERSION}`;
+const THUMBNAIL_CACHE = `${CACHE_PREFIX}thumbnails-v${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/assets/css/style.css',
+    '/assets/js/youtube-dom.js',
+    '/assets/js/youtube-i18n.js',
+    '/assets/js/youtube-theme.js',
+    '/assets/js/youtube-errors.js',
+    '/assets/js/youtube-player.js',
+    '/assets/js/youtube-cache.js',
+    '/assets/js/youtube-layouts.js',
+    '/assets/js/youtube-search.js',
+    '/assets/js/youtube-fallback.js',
+    '/assets/js/youtube-analytics.js',
+    '/assets/js/youtube-api.js',
+    '/assets/js/instagram-feed.js',
+    '/assets/js/script.js',
+    '/assets/img/logo-1.png',
+    '/assets/img/logo.png',
+    '/assets/img/_logo.png'
+];
+
+const DATA_FILES = [
+    '/assets/data/fallback-videos.json',
+    '/assets/data/editorial-videos.json',
+    '/assets/data/fallback-instagram.json'
+];
+
+// Thumbnail hosts, with their subdomains
+const THUMBNAIL_HOSTS = ['i.ytimg.com', 'cdninstagram.com', 'fbcdn.net'];
+
+const THUMBNAIL_LIMIT = 150;
+const THUMBNAIL_MAX_BYTES = 512 * 1024;
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+
+        // The data files are only a head start; the page still works if one of them is missing
+        const data = await caches.open(DATA_CACHE);
+        await Promise.all(DATA_FILES.map(url => data.add(url).catch(error => {
+            console.warn(`Could not precache ${url}:`, error);
+        })));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, DATA_CACHE, THUMBNAIL_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+            .map(name => caches.delete(name)));
+
+        await trimThumbnails();
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/')) return;
+
+        if (request.mode === 'navigate') {
+            event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+        } else if (url.pathname.startsWith('/assets/data/')) {
+            event.respondWith(networkFirst(request, DATA_CACHE));
+        } else if (SHELL_FILES.includes(url.pathname)) {
+            event.respondWith(networkFirst(request, SHELL_CACHE));
+        }
+        return;
+    }
+
+    const host = url.hostname.toLowerCase();
+    if (THUMBNAIL_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+        event.respondWith(cachedThumbnail(request, event));
+    }
+});
+
+/**
+ * The network's answer, kept for later; the cached copy (or the fallback URL's) when offline
+ */
+const networkFirst = async (request, cacheName, fallbackUrl = null) => {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true })
+            || (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+/**
+ * A thumbnail from the cache, or from the network and cached when it is small enough
+ * Opaque responses (hosts without CORS) are passed through but not cached: their size is unknown,
+ * and browsers count each one as several megabytes of the site's storage.
+ */
+const cachedThumbnail = async (request, event) => {
+    const cache = await caches.open(THUMBNAIL_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+
+    let response;
+    try {
+        response = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+    } catch (error) {
+        // No CORS headers (or offline); let the image load the usual way
+        return fetch(request);
+    }
+
+    if (response.ok) {
+        event.waitUntil(cacheThumbnail(cache, request.url, response.clone()));
+    }
+    return response;
+};
+
+/**
+ * Cache a thumbnail if it is at most THUMBNAIL_MAX_BYTES
+ * Without a Content-Length (e.g. compressed or chunked responses), the body is measured instead.
+ */
+const cacheThumbnail = async (cache, url, response) => {
+    const length = response.headers.get('Content-Length');
+    const size = length ? Number(length) : (await response.clone().blob()).size;
+    if (!(size <= THUMBNAIL_MAX_BYTES)) return;
+
+    await cache.put(url, response);
+    await trimThumbnails();
+};
+
+/**
+ * Drop the oldest thumbnails beyond THUMBNAIL_LIMIT
+ */
+const trimThumbnails = async () => {
+    const cache = await caches.open(THUMBNAIL_CACHE);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(keys.length - THUMBNAIL_LIMIT, 0)).map(key => cache.delete(key)));
+};
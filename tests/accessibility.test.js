@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWidgetPage, startWidget, waitFor } = require('./helpers/widget-dom');
+
+const TABS = [{ label: 'الأحدث' }, { label: 'مأكول الهنا', playlist: 'PLfixture' }];
+
+const pressKey = (page, element, key) => {
+    element.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+};
+
+/**
+ * ids used more than once, and id references (aria-labelledby, aria-controls, ...) that don't resolve to one element
+ */
+const getIdProblems = document => {
+    const ids = Array.from(document.querySelectorAll('[id]'), element => element.id);
+    const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+
+    const dangling = [];
+    ['aria-labelledby', 'aria-describedby', 'aria-controls', 'for'].forEach(attribute => {
+        document.querySelectorAll(`[${attribute}]`).forEach(element => {
+            element.getAttribute(attribute).split(/\s+/).forEach(id => {
+                if (!document.getElementById(id)) dangling.push(`${attribute}="${id}"`);
+            });
+        });
+    });
+
+    return { duplicates, dangling };
+};
+
+test('the cards are a list with a single tab stop that the arrow keys move', async t => {
+    const page = await loadWidgetPage();
+    t.after(page.close);
+
+    const { widget, container } = await startWidget(page);
+
+    assert.equal(container.getAttribute('role'), 'region');
+    assert.equal(container.getAttribute('aria-label'), widget.messages.t('heading'));
+
+    const list = container.querySelector('[data-roving-focus]');
+    assert.equal(list.getAttribute('role'), 'list');
+    const links = Array.from(list.querySelectorAll('.youtube-video-link'));
+    assert.ok(links.length > 1);
+    links.forEach(link => assert.equal(link.closest('[role]').getAttribute('role'), 'listitem'));
+
+    const tabStops = () => links.filter(link => link.getAttribute('tabindex') === '0');
+    assert.deepEqual(tabStops(), [links[0]]);
+    assert.ok(links.slice(1).every(link => link.getAttribute('tabindex') === '-1'));
+
+    // The widget is right-to-left, so ArrowLeft goes to the next card
+    links[0].focus();
+    pressKey(page, links[0], 'ArrowLeft');
+    assert.equal(page.document.activeElement, links[1]);
+    assert.deepEqual(tabStops(), [links[1]]);
+
+    pressKey(page, links[1], 'End');
+    assert.equal(page.document.activeElement, links[links.length - 1]);
+    pressKey(page, page.document.activeElement, 'Home');
+    assert.equal(page.document.activeElement, links[0]);
+    assert.deepEqual(tabStops(), [links[0]]);
+
+    // Thumbnails are decoration next to the title in the same link
+    container.querySelectorAll('.youtube-thumbnail').forEach(image => assert.equal(image.getAttribute('alt'), ''));
+    container.querySelectorAll('.youtube-play-button').forEach(button => assert.equal(button.getAttribute('aria-hidden'), 'true'));
+});
+
+test('the tabs are a tablist whose panel is labelled by the selected tab', async t => {
+    const page = await loadWidgetPage();
+    t.after(page.close);
+
+    const { container } = await startWidget(page, { tabs: TABS });
+
+    // Every render rebuilds the tab buttons and the panel
+    const getTabs = () => Array.from(container.querySelectorAll('[role="tablist"] > [role="tab"]'));
+    const getPanel = () => container.querySelector('[role="tabpanel"]');
+    assert.deepEqual(getTabs().map(tab => tab.textContent), TABS.map(tab => tab.label));
+
+    const assertSelected = index => {
+        const tabs = getTabs();
+        tabs.forEach((tab, tabIndex) => {
+            assert.equal(tab.getAttribute('aria-selected'), String(tabIndex === index));
+            assert.equal(tab.getAttribute('tabindex'), tabIndex === index ? '0' : '-1');
+            assert.equal(tab.getAttribute('aria-controls'), getPanel().id);
+        });
+        assert.equal(getPanel().getAttribute('aria-labelledby'), tabs[index].id);
+    };
+    assertSelected(0);
+
+    const tabs = getTabs();
+    tabs[0].focus();
+    pressKey(page, tabs[0], 'ArrowLeft');
+    assert.equal(page.document.activeElement, tabs[1], 'focus moves without loading the tab');
+    assert.equal(tabs[1].getAttribute('aria-selected'), 'false');
+
+    tabs[1].click();
+    await waitFor(() => getTabs()[1].getAttribute('aria-selected') === 'true' && !getPanel().hasAttribute('aria-busy'),
+        { message: 'the second tab' });
+    assert.ok(getPanel().querySelector('.youtube-video-link'));
+    assertSelected(1);
+});
+
+test('the player is a modal dialog labelled by the video title that gives focus back', async t => {
+    const page = await loadWidgetPage();
+    t.after(page.close);
+
+    const { widget, container } = await startWidget(page);
+    const link = container.querySelector('.youtube-video-link');
+    link.focus();
+    link.click();
+
+    const dialog = await waitFor(() => page.document.querySelector('.youtube-modal:not([hidden]) [role="dialog"]'),
+        { message: 'the player' });
+    assert.equal(dialog.getAttribute('aria-modal'), 'true');
+    const title = page.document.getElementById(dialog.getAttribute('aria-labelledby'));
+    assert.ok(dialog.contains(title));
+    assert.equal(title.textContent, widget.renderedVideos[0].title);
+
+    const close = dialog.querySelector('.youtube-modal-close');
+    assert.equal(page.document.activeElement, close);
+    assert.equal(close.getAttribute('aria-label'), widget.messages.t('player.close'));
+
+    pressKey(page, close, 'Escape');
+    assert.equal(dialog.closest('.youtube-modal').hidden, true);
+    assert.equal(page.document.activeElement, link);
+});
+
+test('the player stays open with a link to YouTube when the Player API fails to load', async t => {
+    const page = await loadWidgetPage();
+    t.after(page.close);
+
+    const { widget, container } = await startWidget(page);
+    const opened = [];
+    page.window.open = (...args) => opened.push(args);
+    container.querySelector('.youtube-video-link').click();
+
+    const script = await waitFor(() => page.document.querySelector('script[src*="iframe_api"]'), { message: 'the API script' });
+    script.dispatchEvent(new page.window.Event('error'));
+
+    const link = await waitFor(() => page.document.querySelector('.youtube-modal-fallback-link'), { message: 'the link' });
+    const dialog = link.closest('[role="dialog"]');
+    assert.equal(dialog.closest('.youtube-modal').hidden, false);
+    assert.equal(link.href, `https://www.youtube.com/watch?v=${widget.renderedVideos[0].id}`);
+    assert.equal(link.target, '_blank');
+    assert.ok(link.textContent.startsWith(widget.messages.t('player.watchOnYouTube')));
+    assert.equal(opened.length, 0);
+    assert.ok(page.logs.error.some(message => message.includes('Error loading YouTube player')));
+
+    // The next video gets its own link
+    dialog.querySelector('.youtube-modal-next').click();
+    const retried = await waitFor(() => page.document.querySelectorAll('script[src*="iframe_api"]')[1], { message: 'the second API script' });
+    retried.dispatchEvent(new page.window.Event('error'));
+    await waitFor(() => page.document.querySelector('.youtube-modal-fallback-link'), { message: 'the second link' });
+    assert.equal(page.document.querySelector('.youtube-modal-fallback-link').href,
+        `https://www.youtube.com/watch?v=${widget.renderedVideos[1].id}`);
+});
+
+test('ids stay unique with several widgets, tabs, search boxes and players on a page', async t => {
+    const page = await loadWidgetPage();
+    t.after(page.close);
+
+    const first = await startWidget(page, { tabs: TABS, search: true });
+    const second = await startWidget(page, { tabs: TABS, search: true });
+    [first, second].forEach(({ widget }) => widget.player.open(widget.renderedVideos, 0));
+
+    assert.equal(page.document.querySelectorAll('[role="dialog"]').length, 2);
+    assert.deepEqual(getIdProblems(page.document), { duplicates: [], dangling: [] });
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createFixtureFetch, YouTubeDataClient } = require('../netlify/lib/youtube-data');
+const { migrateFallbackVideos, validateFallbackVideos, selectFallbackVideos } = require('../assets/js/youtube-fallback');
+const { mergeVideos, serialize } = require('../scripts/update-fallback-videos');
+
+const FALLBACK_FILE = path.join(__dirname, '..', 'assets', 'data', 'fallback-videos.json');
+const FIXTURES_DIR = path.join(__dirname, '..', 'netlify', 'fixtures', 'youtube');
+
+test('the committed fallback file is valid and current', () => {
+    const data = JSON.parse(fs.readFileSync(FALLBACK_FILE, 'utf8'));
+    const { errors } = validateFallbackVideos(data);
+
+    assert.deepEqual(errors, []);
+    assert.equal(migrateFallbackVideos(data).fromVersion, data.version);
+});
+
+test('the snapshot generator reproduces the committed file from the fixtures', async () => {
+    const before = fs.readFileSync(FALLBACK_FILE, 'utf8');
+    const client = new YouTubeDataClient({ apiKey: 'fixtures', fetch: createFixtureFetch(FIXTURES_DIR) });
+
+    const videos = await client.getLatestVideos('@tarfiehplus', 9);
+    const merged = mergeVideos(migrateFallbackVideos(JSON.parse(before)).data, videos);
+
+    assert.equal(serialize(merged), before);
+    assert.ok(merged.videos.every(video => typeof video.viewCount === 'number' && typeof video.aspectRatio === 'number'));
+});
+
+test('the snapshot generator leaves the date out of undated videos and puts them last', () => {
+    const merged = mergeVideos({ version: 1, videos: [] }, [
+        { id: 'zYeW_0jhAyU', title: 'Undated', publishedAt: null },
+        { id: 'Vn8sntZsZOg', title: 'Dated', publishedAt: '2025-09-08T16:00:00.000Z' }
+    ]);
+
+    assert.deepEqual(merged.videos.map(video => video.id), ['Vn8sntZsZOg', 'zYeW_0jhAyU']);
+    assert.equal(merged.videos[1].publishedAt, undefined);
+    assert.deepEqual(validateFallbackVideos(merged).errors, []);
+});
+
+test('migrates version 0 files', () => {
+    const { data, fromVersion } = migrateFallbackVideos({ videos: ['Vn8sntZsZOg', { id: 'zYeW_0jhAyU', title: ' Title\n' }] });
+
+    assert.equal(fromVersion, 0);
+    assert.deepEqual(data.videos, [{ id: 'Vn8sntZsZOg' }, { id: 'zYeW_0jhAyU', title: 'Title' }]);
+});
+
+test('only accepts http(s) URLs and paths on the site for url and thumbnail', () => {
+    const entry = fields => ({ version: 1, videos: [{ id: 'Vn8sntZsZOg', title: 'Title', ...fields }] });
+
+    ['https://www.youtube.com/watch?v=Vn8sntZsZOg', '/assets/images/a.jpg', 'assets/images/a.jpg'].forEach(url => {
+        assert.deepEqual(validateFallbackVideos(entry({ url, thumbnail: url })).errors, [], url);
+    });
+    ['javascript:alert(1)', 'JavaScript:alert(1)', 'java\tscript:alert(1)', 'data:image/png;base64,AAAA', '//evil.example/a.jpg'].forEach(url => {
+        const { data, errors } = validateFallbackVideos(entry({ url }));
+        assert.equal(errors.length, 1, url);
+        assert.deepEqual(data.videos, [], url);
+    });
+});
+
+test('hides entries outside their dates and puts pinned ones first', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    const videos = [
+        { id: 'a', title: 'A' },
+        { id: 'b', title: 'B', pin: 2 },
+        { id: 'c', title: 'C', publishedAt: '2026-02-01T00:00:00Z' },
+        { id: 'd', title: 'D', expiresAt: '2025-12-01T00:00:00Z' },
+        { id: 'e', title: 'E', pin: 1 }
+    ];
+
+    assert.deepEqual(selectFallbackVideos(videos, now).map(video => video.id), ['e', 'b', 'a']);
+});
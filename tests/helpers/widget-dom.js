@@ -0,0 +1,172 @@
+/**
+ * Test harness for the widget scripts
+ *
+ * Loads the widget modules of index.html (and the modules they import) into a jsdom window, the way
+ * the page does, and answers the widgets' requests without the network:
+ * - googleapis.com from the recorded responses in netlify/fixtures/youtube (see createFixtureFetch)
+ * - URLs on the page's origin (assets/data/...) from the files in the repository
+ * A test's respond(url) runs first; it returns a Response, or nothing to use the default answer.
+ * Its setup(window) runs before the modules load, e.g. to add browser features jsdom lacks.
+ * jsdom doesn't run module scripts, so the modules are linked with vm.SourceTextModule, which needs
+ * node --experimental-vm-modules (see the test script in package.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createFixtureFetch } = require('../../netlify/lib/youtube-data');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PAGE_URL = 'https://alaan.tv/';
+const FIXTURES_DIR = path.join(ROOT, 'netlify', 'fixtures', 'youtube');
+
+// The widget modules in the order index.html loads them
+const WIDGET_MODULES = [...fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').matchAll(/<script type="module" src="(assets\/js\/[^"]+)"/g)]
+    .map(match => match[1]);
+
+const fixtureFetch = createFixtureFetch(FIXTURES_DIR);
+
+/**
+ * A JSON response, e.g. an API error body
+ */
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+});
+
+/**
+ * The API's answer to a request over quota
+ */
+const quotaExceededResponse = () => jsonResponse({
+    error: { code: 403, message: 'Quota exceeded', errors: [{ reason: 'quotaExceeded' }] }
+}, 403);
+
+/**
+ * Answer a request on the page's origin with a file of the repository
+ */
+const fileResponse = url => {
+    const file = path.join(ROOT, decodeURIComponent(url.pathname));
+    if (!file.startsWith(ROOT) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        return new Response('Not found', { status: 404 });
+    }
+    return new Response(fs.readFileSync(file), { status: 200 });
+};
+
+/**
+ * Start a page with the widget scripts
+ * Returns { window, document, widgets, requests, logs, close }: widgets holds what the modules export,
+ * requests the URLs fetched and logs the console's { error, warn } messages.
+ */
+const loadWidgetPage = async ({ body = '', respond = () => undefined, setup = () => {} } = {}) => {
+    const logs = { error: [], warn: [] };
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => logs.error.push(args.map(String).join(' ')));
+    virtualConsole.on('warn', (...args) => logs.warn.push(args.map(String).join(' ')));
+
+    const dom = new JSDOM(`<!DOCTYPE html><html lang="ar" dir="rtl"><head></head><body>${body}</body></html>`, {
+        url: PAGE_URL,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    // Not implemented by jsdom
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    setup(window);
+
+    const requests = [];
+    window.fetch = async (input, init) => {
+        const url = new URL(String(input), PAGE_URL);
+        requests.push(url.href);
+
+        const response = await respond(url, init);
+        if (response) return response;
+        if (url.hostname === 'www.googleapis.com') return fixtureFetch(url.href);
+        if (url.origin === window.location.origin) return fileResponse(url);
+        throw new window.TypeError('Failed to fetch');
+    };
+
+    // Every page gets its own instances of the modules, like a browser tab
+    const context = dom.getInternalVMContext();
+    const modules = new Map();
+    const loadModule = file => {
+        if (!modules.has(file)) {
+            const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+            modules.set(file, new vm.SourceTextModule(source, { context, identifier: file }));
+        }
+        return modules.get(file);
+    };
+    const linker = (specifier, referencingModule) => loadModule(
+        path.posix.join(path.posix.dirname(referencingModule.identifier), specifier)
+    );
+
+    for (const file of WIDGET_MODULES) {
+        const module = loadModule(file);
+        await module.link(linker);
+        await module.evaluate();
+    }
+    const widgets = {};
+    modules.forEach(module => Object.assign(widgets, module.namespace));
+
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    } else {
+        window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    }
+
+    return {
+        window,
+        document: window.document,
+        widgets,
+        requests,
+        logs,
+        close: () => window.close()
+    };
+};
+
+/**
+ * Wait until check() returns something truthy, and return it
+ */
+const waitFor = async (check, { timeout = 2000, message = 'condition' } = {}) => {
+    const started = Date.now();
+    for (;;) {
+        const result = check();
+        if (result) return result;
+        if (Date.now() - started > timeout) throw new Error(`Timed out waiting for ${message}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+/**
+ * Start a widget in a new container and wait until it shows videos or an error
+ * Live detection and retries are off so that every request is one the test expects.
+ */
+const startWidget = async (page, options = {}) => {
+    const container = page.document.createElement('div');
+    page.document.body.appendChild(container);
+
+    const widget = new page.widgets.YouTubeChannelVideos({
+        apiKey: 'test-key',
+        channelUsername: '@tarfiehplus',
+        maxResults: 9,
+        liveDetection: false,
+        retries: 0,
+        container,
+        ...options
+    });
+    widget.init();
+
+    await waitFor(() => !container.hasAttribute('aria-busy')
+        && container.querySelector('.youtube-video-link, .youtube-error'), { message: 'the widget to render' });
+    return { widget, container };
+};
+
+module.exports = {
+    jsonResponse,
+    quotaExceededResponse,
+    loadWidgetPage,
+    startWidget,
+    waitFor
+};
@@ -0,0 +1,202 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { jsonResponse, loadWidgetPage, startWidget, waitFor } = require('./helpers/widget-dom');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'netlify', 'fixtures', 'youtube');
+const playlistItems = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'playlistItems.json'), 'utf8'));
+
+const HOSTILE_TITLE = '"><img src=x onerror="window.pwned = true"><script>window.pwned = true</script>';
+const HOSTILE_URL = 'javascript:window.pwned = true';
+
+/**
+ * Nothing from the data became markup: no injected elements, handlers or javascript: URLs
+ */
+const assertNothingInjected = (page, container) => {
+    assert.equal(container.querySelector('script'), null);
+    assert.equal(container.querySelector('img[onerror], [onerror]'), null);
+    assert.equal(page.window.pwned, undefined);
+    container.querySelectorAll('[href], [src]').forEach(element => {
+        const url = element.getAttribute('href') || element.getAttribute('src');
+        assert.match(url, /^https:\/\//, `${element.tagName} ${url}`);
+    });
+};
+
+/**
+ * Enforce Trusted Types as "require-trusted-types-for 'script'; trusted-types <policies>" does
+ * jsdom has no Trusted Types, so this adds window.trustedTypes and makes innerHTML and script src
+ * refuse plain strings, like a browser under that CSP. Closing the window lifts it again, as jsdom
+ * empties the page with a plain string.
+ */
+const enforceTrustedTypes = (window, policies) => {
+    class TrustedHTML {
+        constructor(value) { this.value = value; }
+        toString() { return this.value; }
+    }
+    class TrustedScriptURL extends TrustedHTML {}
+
+    window.TrustedHTML = TrustedHTML;
+    window.trustedTypes = {
+        createPolicy: (name, rules) => {
+            if (!policies.includes(name)) throw new window.TypeError(`Policy "${name}" is not allowed`);
+            return {
+                createHTML: value => new TrustedHTML(rules.createHTML(value)),
+                createScriptURL: value => new TrustedScriptURL(rules.createScriptURL(value))
+            };
+        }
+    };
+
+    let enforced = true;
+    const requireTrusted = (prototype, property, Type) => {
+        const { set } = Object.getOwnPropertyDescriptor(prototype, property);
+        Object.defineProperty(prototype, property, {
+            set(value) {
+                if (enforced && !(value instanceof Type)) throw new window.TypeError(`${property} requires ${Type.name}`);
+                set.call(this, String(value));
+            }
+        });
+    };
+    requireTrusted(window.Element.prototype, 'innerHTML', TrustedHTML);
+    requireTrusted(window.HTMLScriptElement.prototype, 'src', TrustedScriptURL);
+
+    const { close } = window;
+    window.close = () => {
+        enforced = false;
+        close.call(window);
+    };
+};
+
+// A card template returning markup, with the title escaped by the template
+const stringCardTemplate = video => `<h4 class="template-title">${video.title.replace(/[<>&"]/g, '')}</h4>`;
+
+test('titles and URLs from the API are shown as text and dropped', async t => {
+    const items = JSON.parse(JSON.stringify(playlistItems.items));
+    items[0].snippet.title = HOSTILE_TITLE;
+    items[0].snippet.thumbnails = { high: { url: HOSTILE_URL } };
+
+    const page = await loadWidgetPage({
+        respond: url => (url.pathname.endsWith('/playlistItems') ? jsonResponse({ ...playlistItems, items }) : undefined)
+    });
+    t.after(page.close);
+
+    const { container } = await startWidget(page);
+
+    const card = container.querySelector('.youtube-video-link');
+    assert.equal(card.querySelector('.youtube-video-title').textContent, HOSTILE_TITLE);
+    assert.equal(card.querySelector('.youtube-thumbnail').hasAttribute('src'), false);
+    assertNothingInjected(page, container);
+    assert.ok(page.logs.warn.some(message => message.includes('Dropped a src')));
+});
+
+test('titles and URLs from the proxy are shown as text and dropped', async t => {
+    const page = await loadWidgetPage({
+        respond: url => (url.pathname === '/api/videos'
+            ? jsonResponse({
+                videos: [{
+                    id: 'Vn8sntZsZOg',
+                    title: HOSTILE_TITLE,
+                    url: HOSTILE_URL,
+                    thumbnail: { url: HOSTILE_URL },
+                    publishedAt: '2025-09-08T16:00:00Z'
+                }]
+            })
+            : undefined)
+    });
+    t.after(page.close);
+
+    const { container } = await startWidget(page, { apiKey: '', endpoint: '/api/videos' });
+
+    const card = container.querySelector('.youtube-video-link');
+    assert.equal(card.querySelector('.youtube-video-title').textContent, HOSTILE_TITLE);
+    assert.equal(card.href, 'https://www.youtube.com/watch?v=Vn8sntZsZOg', 'the link falls back to the watch page');
+    assert.equal(card.querySelector('.youtube-thumbnail').hasAttribute('src'), false);
+    assertNothingInjected(page, container);
+});
+
+test('fallback entries with a hostile title or a javascript: URL are not rendered as markup', async t => {
+    const page = await loadWidgetPage();
+    t.after(page.close);
+
+    // A container without an API behind it, so createFallbackVideos() is all there is
+    const container = page.document.createElement('div');
+    page.document.body.appendChild(container);
+    const widget = new page.widgets.YouTubeChannelVideos({
+        apiKey: 'test-key',
+        channelUsername: '@tarfiehplus',
+        container,
+        fallbackVideos: [
+            { id: 'Vn8sntZsZOg', title: HOSTILE_TITLE },
+            { id: 'zYeW_0jhAyU', title: 'Link', url: HOSTILE_URL },
+            { id: '9UwX3EWRojg', title: 'Thumbnail', thumbnail: HOSTILE_URL }
+        ]
+    });
+
+    const videos = widget.createFallbackVideos();
+
+    // The schema check rejects the entries with a javascript: URL; the title is data, not markup
+    // Array.from: the widget's arrays come from the jsdom window's realm
+    assert.deepEqual(Array.from(videos, video => video.id), ['Vn8sntZsZOg']);
+    assert.equal(videos[0].title, HOSTILE_TITLE);
+    assert.equal(page.logs.warn.filter(message => message.includes('http(s) URL')).length, 2);
+
+    widget.renderVideos(videos);
+
+    assert.equal(container.querySelector('.youtube-video-title').textContent, HOSTILE_TITLE);
+    assertNothingInjected(page, container);
+});
+
+test('Instagram\'s hosts are allowed for the Instagram feed only', async t => {
+    const post = {
+        id: '17900000000000002',
+        type: 'image',
+        caption: 'مأكول الهنا مع الشيف عمر',
+        thumbnail: 'https://scontent.cdninstagram.com/v/post.jpg',
+        url: 'https://www.instagram.com/p/abc/',
+        publishedAt: '2025-09-07T15:30:00.000Z'
+    };
+    const page = await loadWidgetPage({
+        respond: url => (url.pathname === '/api/instagram'
+            ? jsonResponse({ posts: [post, { ...post, id: 'x', url: HOSTILE_URL }] })
+            : undefined)
+    });
+    t.after(page.close);
+
+    const element = page.document.createElement('div');
+    page.document.body.appendChild(element);
+    const feed = new page.widgets.InstagramFeed({ container: element, locale: 'en' });
+    feed.init();
+    await waitFor(() => element.querySelector('.instagram-post'), { message: 'the Instagram posts' });
+
+    assert.equal(element.querySelectorAll('.instagram-post').length, 1);
+    assert.equal(element.querySelector('.instagram-post').href, post.url);
+    assert.equal(element.querySelector('.instagram-post-thumbnail').src, post.thumbnail);
+    assert.equal(element.getAttribute('dir'), 'ltr');
+    assert.equal(element.querySelector('.instagram-profile-link').textContent.trim(),
+        `${feed.messages.t('instagram.viewMore')} ${feed.messages.t('newWindow')}`);
+    assertNothingInjected(page, element);
+
+    // The same thumbnail on a YouTube card is replaced with YouTube's own
+    const { container } = await startWidget(page, {
+        apiKey: '',
+        endpoint: '/api/videos',
+        fallbackVideos: [{ id: 'Vn8sntZsZOg', title: 'Title', thumbnail: post.thumbnail }]
+    });
+    assert.equal(container.querySelector('.youtube-thumbnail').src, 'https://i.ytimg.com/vi/Vn8sntZsZOg/hqdefault.jpg');
+    assert.ok(page.logs.warn.some(message => message.includes('Skipping Instagram post 1')));
+});
+
+test('string card templates render while Trusted Types are enforced', async t => {
+    const page = await loadWidgetPage({ setup: window => enforceTrustedTypes(window, ['youtube-widget']) });
+    t.after(page.close);
+
+    const { container } = await startWidget(page, { cardTemplate: stringCardTemplate });
+    const cards = container.querySelectorAll('.youtube-video-link');
+    assert.equal(cards.length, 9);
+    cards.forEach(card => assert.ok(card.querySelector('.template-title')));
+    assert.deepEqual(page.logs.error, []);
+
+    // The player loads the IFrame API through the same policy
+    cards[0].click();
+    await waitFor(() => page.document.querySelector('script[src="https://www.youtube.com/iframe_api"]'), { message: 'the API script' });
+});
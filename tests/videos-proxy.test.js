@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { jsonResponse, loadWidgetPage, startWidget } = require('./helpers/widget-dom');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'netlify', 'fixtures', 'youtube');
+
+/**
+ * Point the proxy at a copy of the recorded responses, changed by edit(resource, body)
+ */
+const useFixtures = (t, edit = () => {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-fixtures-'));
+    fs.readdirSync(FIXTURES_DIR).forEach(file => {
+        const body = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+        edit(path.basename(file, '.json'), body);
+        fs.writeFileSync(path.join(dir, file), JSON.stringify(body));
+    });
+
+    const env = { YOUTUBE_API_KEY: 'fixtures', YOUTUBE_FIXTURES_DIR: dir };
+    const previous = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+    Object.assign(process.env, env);
+
+    t.after(() => {
+        Object.entries(previous).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+};
+
+/**
+ * The proxy module with an empty cache
+ */
+const loadProxy = () => {
+    const file = require.resolve('../netlify/functions/videos');
+    delete require.cache[file];
+    return require(file);
+};
+
+const get = (proxy, queryStringParameters, headers = {}) => proxy.handler({ httpMethod: 'GET', queryStringParameters, headers });
+
+test('videos without a publish date are served with a null date and shown without one', async t => {
+    useFixtures(t, (resource, body) => {
+        if (resource !== 'playlistItems') return;
+        delete body.items[1].snippet.publishedAt;
+        delete body.items[1].contentDetails.videoPublishedAt;
+        body.items[2].contentDetails.videoPublishedAt = 'not a date';
+        body.items[2].snippet.publishedAt = 'not a date';
+    });
+
+    const response = await get(loadProxy(), { channel: '@tarfiehplus', maxResults: '9' });
+    assert.equal(response.statusCode, 200);
+
+    const { videos } = JSON.parse(response.body);
+    assert.equal(videos.length, 9);
+    assert.equal(videos[1].publishedAt, null);
+    assert.equal(videos[2].publishedAt, null);
+    assert.equal(videos[0].publishedAt, '2025-09-08T16:00:00.000Z');
+
+    const page = await loadWidgetPage({
+        respond: url => (url.pathname === '/api/videos' ? jsonResponse(JSON.parse(response.body)) : undefined)
+    });
+    t.after(page.close);
+
+    const { container } = await startWidget(page, { apiKey: '', endpoint: '/api/videos' });
+    const cards = Array.from(container.querySelectorAll('.youtube-video-link'));
+    const card = id => cards.find(link => link.href.endsWith(id));
+    assert.equal(cards.length, 9);
+    assert.equal(card(videos[1].id).querySelector('time'), null);
+    assert.equal(card(videos[2].id).querySelector('time'), null);
+    assert.ok(card(videos[0].id).querySelector('time'));
+});
+
+test('only searches sent to YouTube count against the search rate limit', async t => {
+    useFixtures(t);
+    process.env.SEARCH_RATE_LIMIT = '1';
+    t.after(() => delete process.env.SEARCH_RATE_LIMIT);
+
+    const proxy = loadProxy();
+    const headers = { 'x-nf-client-connection-ip': '203.0.113.7' };
+    const search = q => get(proxy, { channel: '@tarfiehplus', q, maxResults: '9' }, headers);
+
+    assert.equal((await search('شيف')).statusCode, 200);
+    // The same query again is answered from the cache
+    assert.equal((await search('شيف')).statusCode, 200);
+
+    const limited = await search('وصفة');
+    assert.equal(limited.statusCode, 429);
+    assert.ok(Number(limited.headers['Retry-After']) > 0);
+    assert.deepEqual(JSON.parse(limited.body), { error: 'Too many searches', reason: 'searchRateLimited' });
+
+    // Another client has its own limit
+    const other = await get(proxy, { channel: '@tarfiehplus', q: 'وصفة', maxResults: '9' }, { 'x-nf-client-connection-ip': '203.0.113.8' });
+    assert.equal(other.statusCode, 200);
+});
+
+test('the widget does not retry a search the proxy rate limited', async t => {
+    useFixtures(t);
+    process.env.SEARCH_RATE_LIMIT = '1';
+    t.after(() => delete process.env.SEARCH_RATE_LIMIT);
+
+    const proxy = loadProxy();
+    const searches = [];
+    const page = await loadWidgetPage({
+        respond: async url => {
+            if (url.pathname !== '/api/videos') return undefined;
+            if (url.searchParams.has('q')) searches.push(url.searchParams.get('q'));
+            const response = await get(proxy, Object.fromEntries(url.searchParams));
+            return new Response(response.body, { status: response.statusCode, headers: response.headers });
+        }
+    });
+    t.after(page.close);
+
+    const { widget } = await startWidget(page, { apiKey: '', endpoint: '/api/videos', retries: 2, retryDelay: 0 });
+    await widget.searchChannelVideos('شيف');
+    await assert.rejects(widget.searchChannelVideos('وصفة'), error => {
+        assert.equal(error.kind, 'server');
+        assert.equal(error.reason, 'searchRateLimited');
+        assert.equal(error.retryable, false);
+        return true;
+    });
+    assert.deepEqual(searches, ['شيف', 'وصفة']);
+});
@@ -0,0 +1,277 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { jsonResponse, quotaExceededResponse, loadWidgetPage, startWidget, waitFor } = require('./helpers/widget-dom');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'netlify', 'fixtures', 'youtube');
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const playlistItems = readJson(path.join(FIXTURES_DIR, 'playlistItems.json')).items;
+const fallbackFile = readJson(path.join(__dirname, '..', 'assets', 'data', 'fallback-videos.json'));
+
+const apiRequests = page => page.requests.filter(url => url.startsWith('https://www.googleapis.com/'));
+const cardIds = container => [...container.querySelectorAll('.youtube-video-link')]
+    .map(link => new URL(link.href).searchParams.get('v'));
+
+test('renders the channel\'s uploads from the API', async t => {
+    const page = await loadWidgetPage();
+    t.after(page.close);
+
+    const { widget, container } = await startWidget(page);
+
+    assert.deepEqual(cardIds(container), playlistItems.map(item => item.contentDetails.videoId));
+    assert.equal(container.querySelector('.youtube-video-title').textContent.trim(), playlistItems[0].snippet.title.trim());
+    assert.match(container.querySelector('.youtube-thumbnail').src, /^https:\/\/i\.ytimg\.com\/vi\/Vn8sntZsZOg\//);
+    // PT24M13S in videos.json, in the widget's (Arabic) digits
+    assert.equal(container.querySelector('.youtube-duration-badge').textContent, widget.formatDuration(24 * 60 + 13));
+    assert.equal(container.querySelector('.youtube-error'), null);
+
+    // channels.list (the handle), playlistItems.list and videos.list for the durations
+    assert.deepEqual(apiRequests(page).map(url => new URL(url).pathname.split('/').pop()), ['channels', 'playlistItems', 'videos']);
+    assert.match(apiRequests(page)[0], /forHandle=%40tarfiehplus/);
+});
+
+test('shows the cached list on the next page load without calling the API', async t => {
+    const page = await loadWidgetPage();
+    t.after(page.close);
+
+    await startWidget(page);
+    const requestsBefore = apiRequests(page).length;
+
+    const { container } = await startWidget(page);
+
+    assert.equal(apiRequests(page).length, requestsBefore);
+    assert.equal(container.querySelectorAll('.youtube-video-link').length, playlistItems.length);
+});
+
+test('shows an error without a retry button for a channel that does not exist', async t => {
+    const page = await loadWidgetPage({
+        respond: url => (url.pathname.endsWith('/channels') ? jsonResponse({ items: [] }) : undefined)
+    });
+    t.after(page.close);
+
+    const { widget, container } = await startWidget(page, { channelUsername: '@missing' });
+
+    const error = container.querySelector('.youtube-error');
+    assert.equal(error.getAttribute('role'), 'alert');
+    assert.equal(error.dataset.errorKind, 'notFound');
+    assert.equal(error.querySelector('.youtube-error-message').textContent, widget.messages.t('error.notFound'));
+    assert.equal(error.querySelector('.youtube-error-retry'), null);
+    assert.ok(page.logs.error.some(message => message.includes('@missing')));
+});
+
+test('offers a retry after a server error, which loads the videos', async t => {
+    let failing = true;
+    const page = await loadWidgetPage({
+        respond: url => (failing && url.pathname.endsWith('/playlistItems')
+            ? jsonResponse({ error: { code: 503, errors: [{ reason: 'backendError' }] } }, 503)
+            : undefined)
+    });
+    t.after(page.close);
+
+    const { container } = await startWidget(page);
+    assert.equal(container.querySelector('.youtube-error').dataset.errorKind, 'server');
+
+    failing = false;
+    container.querySelector('.youtube-error-retry').click();
+    await waitFor(() => container.querySelector('.youtube-video-link'), { message: 'the retried list' });
+
+    assert.equal(container.querySelectorAll('.youtube-video-link').length, playlistItems.length);
+});
+
+test('backs off after quotaExceeded, also for other widgets on the page', async t => {
+    const page = await loadWidgetPage({
+        respond: url => (url.pathname.endsWith('/playlistItems') ? quotaExceededResponse() : undefined)
+    });
+    t.after(page.close);
+
+    const { widget, container } = await startWidget(page);
+
+    const error = container.querySelector('.youtube-error');
+    assert.equal(error.dataset.errorKind, 'quota');
+    assert.equal(error.querySelector('.youtube-error-message').textContent, widget.messages.t('error.quota'));
+    assert.equal(error.querySelector('.youtube-error-retry'), null, 'retrying would only fail again');
+    assert.ok(widget.isQuotaBackoffActive());
+
+    const requestsBefore = apiRequests(page).length;
+    const { container: other } = await startWidget(page, { channelUsername: '@other' });
+
+    assert.equal(apiRequests(page).length, requestsBefore);
+    assert.equal(other.querySelector('.youtube-error').dataset.errorKind, 'quota');
+});
+
+test('shows the fallback file when the quota is exhausted', async t => {
+    const page = await loadWidgetPage({
+        respond: url => (url.hostname === 'www.googleapis.com' ? quotaExceededResponse() : undefined)
+    });
+    t.after(page.close);
+
+    const { container } = await startWidget(page, { fallbackUrl: 'assets/data/fallback-videos.json' });
+
+    const shown = page.widgets.selectFallbackVideos(fallbackFile.videos);
+    assert.deepEqual(cardIds(container), shown.map(video => video.id));
+    assert.equal(container.querySelector('.youtube-video-title').textContent, shown[0].title);
+    assert.equal(container.querySelector('.youtube-error'), null);
+});
+
+test('shows the fallbackVideos option when the network fails', async t => {
+    const page = await loadWidgetPage({
+        respond: url => {
+            if (url.hostname === 'www.googleapis.com') throw new TypeError('Failed to fetch');
+        }
+    });
+    t.after(page.close);
+
+    const { container } = await startWidget(page, {
+        fallbackVideos: [
+            { id: 'Vn8sntZsZOg', title: '  المزح نصّو جدّ\n' },
+            'zYeW_0jhAyU', // Bare IDs have no title and are skipped
+            { id: 'not-an-id', title: 'Skipped' }
+        ]
+    });
+
+    assert.deepEqual(cardIds(container), ['Vn8sntZsZOg']);
+    assert.equal(container.querySelector('.youtube-video-title').textContent, 'المزح نصّو جدّ');
+    assert.ok(page.logs.warn.length >= 2, 'invalid entries are logged');
+});
+
+test('shows a retryable error for a response that is not JSON', async t => {
+    let malformed = true;
+    const page = await loadWidgetPage({
+        respond: url => (malformed && url.pathname.endsWith('/playlistItems')
+            ? new Response('{"items": [', { status: 200, headers: { 'Content-Type': 'application/json' } })
+            : undefined)
+    });
+    t.after(page.close);
+
+    const { container } = await startWidget(page);
+
+    const error = container.querySelector('.youtube-error');
+    assert.equal(error.dataset.errorKind, 'unknown');
+    assert.equal(container.querySelector('.youtube-video-link'), null);
+    assert.ok(page.logs.error.some(message => message.includes('SyntaxError') || message.includes('JSON')));
+
+    malformed = false;
+    error.querySelector('.youtube-error-retry').click();
+    await waitFor(() => container.querySelector('.youtube-video-link'), { message: 'the retried list' });
+});
+
+test('reads the reason of an error response whose body is not JSON as missing', async t => {
+    const page = await loadWidgetPage({
+        respond: url => (url.pathname.endsWith('/playlistItems')
+            ? new Response('<html>Bad Gateway</html>', { status: 502 })
+            : undefined)
+    });
+    t.after(page.close);
+
+    const { container } = await startWidget(page);
+
+    assert.equal(container.querySelector('.youtube-error').dataset.errorKind, 'server');
+});
+
+test('shows the empty state for a channel without uploads', async t => {
+    const page = await loadWidgetPage({
+        respond: url => (url.pathname.endsWith('/playlistItems')
+            ? jsonResponse({ items: [], pageInfo: { totalResults: 0 } })
+            : undefined)
+    });
+    t.after(page.close);
+
+    const { widget, container } = await startWidget(page);
+
+    const error = container.querySelector('.youtube-error');
+    assert.equal(error.dataset.errorKind, 'empty');
+    assert.equal(error.querySelector('.youtube-error-message').textContent, widget.messages.t('error.empty'));
+    assert.equal(await widget.getFromCache(), null, 'an empty list is not cached');
+});
+
+test('does nothing without its container, and stops when the container is removed', async t => {
+    let answer;
+    const page = await loadWidgetPage({
+        body: '<div id="videos" data-yt-widget data-source="@tarfiehplus"></div>',
+        respond: url => (url.pathname === '/api/videos' ? new Promise(resolve => { answer = resolve; }) : undefined)
+    });
+    t.after(page.close);
+
+    const widget = new page.widgets.YouTubeChannelVideos({ apiKey: 'test-key', containerSelector: '#missing' });
+    widget.init();
+    assert.ok(page.logs.error.includes('YouTube container element not found'));
+
+    // The markup widget is waiting for the proxy; take its element off the page before the answer arrives
+    const element = page.document.getElementById('videos');
+    await waitFor(() => answer, { message: 'the proxy request' });
+    element.remove();
+    await waitFor(() => !page.widgets.YouTubeChannelVideos.getInstance(element), { message: 'the widget to stop' });
+    answer(jsonResponse({ videos: [{ id: 'Vn8sntZsZOg', title: 'Title', publishedAt: '2025-09-08T16:00:00Z' }] }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(element.querySelector('.youtube-video-link'), null);
+    assert.deepEqual(page.logs.error, ['YouTube container element not found']);
+});
+
+test('shows an expired cached list at once and replaces it with fresh videos', async t => {
+    let revalidate = null; // Set to hold the next playlistItems answer until the test releases it
+    const page = await loadWidgetPage({
+        respond: url => (revalidate && url.pathname.endsWith('/playlistItems') ? revalidate : undefined)
+    });
+    t.after(page.close);
+
+    const { widget } = await startWidget(page);
+    const cached = await widget.getFromCache();
+    assert.equal(cached.stale, false);
+    assert.equal(cached.videos.length, playlistItems.length);
+
+    // The same list, read by a widget that keeps lists for no time at all
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const title = 'عنوان جديد';
+    let release;
+    revalidate = new Promise(resolve => { release = resolve; });
+    const { widget: expiring, container } = await startWidget(page, { cacheExpiration: 0 });
+
+    assert.equal((await expiring.getFromCache()).stale, true);
+    assert.equal(container.querySelector('.youtube-video-title').textContent.trim(), playlistItems[0].snippet.title.trim(),
+        'the cached list is shown while it is revalidated');
+
+    const [first, ...rest] = playlistItems;
+    release(jsonResponse({ items: [{ ...first, snippet: { ...first.snippet, title } }, ...rest] }));
+    await waitFor(() => container.querySelector('.youtube-video-title').textContent === title, { message: 'the revalidated list' });
+    assert.equal((await expiring.getFromCache()).videos[0].title, title);
+});
+
+test('drops impressions seen before analytics consent and reports the ones after it', async t => {
+    // IntersectionObserver stand-in: the test decides when a card comes into view
+    const observers = [];
+    const page = await loadWidgetPage({
+        setup: window => {
+            window.IntersectionObserver = class {
+                constructor(callback) {
+                    this.callback = callback;
+                    this.targets = new Set();
+                    observers.push(this);
+                }
+                observe(target) { this.targets.add(target); }
+                unobserve(target) { this.targets.delete(target); }
+                disconnect() { this.targets.clear(); }
+            };
+        }
+    });
+    t.after(page.close);
+
+    const show = link => observers.forEach(observer => {
+        if (observer.targets.has(link)) observer.callback([{ target: link, isIntersecting: true }]);
+    });
+
+    let consent = false;
+    const events = [];
+    const { container } = await startWidget(page, { analytics: [event => events.push(event)], analyticsConsent: () => consent });
+    const [first, second] = container.querySelectorAll('.youtube-video-link');
+
+    show(first);
+    assert.deepEqual(events, []);
+
+    consent = true;
+    show(first);
+    show(second);
+    assert.deepEqual(events.map(event => [event.type, event.position]), [['impression', 2]]);
+});